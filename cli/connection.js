@@ -0,0 +1,83 @@
+import { readFileSync, existsSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { Actor, HttpAgent } from "@dfinity/agent";
+import { Ed25519KeyIdentity } from "@dfinity/identity";
+import { Secp256k1KeyIdentity } from "@dfinity/identity-secp256k1";
+import { parsePrivateKey } from "../src/swiss_subnet_frontend/src/pem.js";
+import { idlFactory } from "../src/declarations/swiss_subnet_backend/swiss_subnet_backend.did.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, "..");
+
+export const DEFAULT_HOSTS = {
+    local: "http://localhost:4943",
+    ic: "https://ic0.app",
+};
+
+/**
+ * Load an identity from a PEM file as written by `dfx identity export`
+ */
+export function loadIdentity(pemPath) {
+    if (!existsSync(pemPath)) {
+        throw new Error(`Identity file not found: ${pemPath}`);
+    }
+
+    let key;
+    try {
+        key = parsePrivateKey(readFileSync(pemPath, "utf8"));
+    } catch (err) {
+        throw new Error(`${err.message} in ${pemPath}`);
+    }
+    return key.type === "secp256k1"
+        ? Secp256k1KeyIdentity.fromSecretKey(key.secretKey)
+        : Ed25519KeyIdentity.generate(key.secretKey);
+}
+
+/**
+ * Resolve the backend canister ID from the command line, the environment or
+ * the canister_ids.json files written by dfx
+ */
+export function resolveCanisterId(network, explicitId) {
+    if (explicitId) return explicitId;
+
+    const fromEnv = process.env.CANISTER_ID_SWISS_SUBNET_BACKEND
+        || process.env.VITE_CANISTER_ID_SWISS_SUBNET_BACKEND;
+    if (fromEnv) return fromEnv;
+
+    const candidates = network === "ic"
+        ? [resolve(ROOT, "canister_ids.json")]
+        : [resolve(ROOT, ".dfx", network, "canister_ids.json")];
+
+    for (const file of candidates) {
+        if (!existsSync(file)) continue;
+        const ids = JSON.parse(readFileSync(file, "utf8"));
+        const id = ids.swiss_subnet_backend?.[network];
+        if (id) return id;
+    }
+
+    throw new Error(
+        "Backend canister ID not found. " +
+        "Pass --canister-id or set CANISTER_ID_SWISS_SUBNET_BACKEND"
+    );
+}
+
+/**
+ * Create an actor for the backend canister, mirroring getActor() in the frontend
+ */
+export async function createActor({ network = "local", host, canisterId, identity }) {
+    const agentHost = host || DEFAULT_HOSTS[network] || DEFAULT_HOSTS.local;
+    const agent = new HttpAgent({ host: agentHost, identity });
+
+    // Fetch root key for local development only
+    if (network !== "ic") {
+        await agent.fetchRootKey();
+    }
+
+    const actor = Actor.createActor(idlFactory, {
+        agent,
+        canisterId,
+    });
+
+    return { actor, agent, host: agentHost, canisterId };
+}
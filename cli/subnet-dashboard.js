@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/**
+ * Headless client for the subnet dashboard backend.
+ *
+ *   ic-admin get-topology | subnet-dashboard upload --network local
+ *   subnet-dashboard stats --network ic
+ *
+ * Every command prints JSON on stdout so it can be piped into other tools.
+ * Errors are printed as JSON on stderr with a non-zero exit code.
+ */
+import { readFileSync } from "fs";
+import { parseArgs } from "util";
+import { Certificate } from "@dfinity/agent";
+import { Principal } from "@dfinity/principal";
+import { parseTopologyText, VIRTUAL_SUBNETS } from "../src/swiss_subnet_frontend/src/topology.js";
+import { DEFAULT_BATCH_SIZE, UploadError, uploadInBatches } from "../src/swiss_subnet_frontend/src/upload.js";
+import {
+    DEFAULT_MAX_CERTIFICATE_AGE_MINUTES,
+    bytesEqual,
+    certificateTime,
+    expectedCertifiedData,
+    isCertificateStale,
+    lookupBytes,
+} from "../src/swiss_subnet_frontend/src/certification.js";
+import { ROLES, fromCandidRole, toCandidRole } from "../src/swiss_subnet_frontend/src/roles.js";
+import { createDataCenterLookup } from "../src/swiss_subnet_frontend/src/geography.js";
+import { assessSubnetRisk, rankSubnetRisks } from "../src/swiss_subnet_frontend/src/risk.js";
+import { createActor, loadIdentity, resolveCanisterId } from "./connection.js";
+
+const USAGE = `Usage: subnet-dashboard <command> [options]
+
+Commands:
+  upload [file]     Validate and upload a topology file (reads stdin when no file or "-")
+  clear             Delete all data stored in the canister (a copy is kept for restore)
+  restore           Bring back the data as it was before the last clear or upload
+  stats             Print network statistics and data freshness
+  subnets           Print all subnets (without their nodes unless --nodes is given)
+  subnet <id>       Print a single subnet with its nodes
+  risk [id]         Rank subnets by fault-tolerance risk, or assess a single subnet
+  verify            Verify the certified network statistics
+  whoami            Print the principal calls are signed with and its role
+  roles             List the principals with an assigned role (admins only)
+  grant <principal> <role>
+                    Assign a role (${ROLES.join(", ")}); "viewer" revokes (admins only)
+
+Options:
+  --network <name>      local (default) or ic
+  --host <url>          Replica URL (defaults to the network's host)
+  --canister-id <id>    Backend canister ID
+  --identity <file>     PEM file of the identity to sign calls with (default: anonymous).
+                        upload, clear and restore need an uploader or admin identity
+  --strict              upload: refuse files with validation errors
+  --dry-run             upload: validate only, do not contact the canister
+  --batch-size <n>      upload: nodes per batch (default ${DEFAULT_BATCH_SIZE})
+  --resume <session>    upload: resume an interrupted upload session
+  --nodes               subnets: include node lists
+  --max-certificate-age <minutes>
+                        verify: report certificates older than this as stale (default ${DEFAULT_MAX_CERTIFICATE_AGE_MINUTES})
+  --pretty              Indent JSON output
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+    network: { type: "string", default: process.env.DFX_NETWORK || "local" },
+    host: { type: "string" },
+    "canister-id": { type: "string" },
+    identity: { type: "string", default: process.env.SUBNET_DASHBOARD_IDENTITY },
+    strict: { type: "boolean", default: false },
+    "dry-run": { type: "boolean", default: false },
+    "batch-size": { type: "string", default: String(DEFAULT_BATCH_SIZE) },
+    resume: { type: "string" },
+    nodes: { type: "boolean", default: false },
+    "max-certificate-age": { type: "string", default: String(DEFAULT_MAX_CERTIFICATE_AGE_MINUTES) },
+    pretty: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+class CliError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.details = details;
+    }
+}
+
+/**
+ * Convert candid values into plain JSON (bigint, blobs, optionals)
+ */
+function toJson(value) {
+    if (typeof value === "bigint") {
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+            ? Number(value)
+            : value.toString();
+    }
+    if (value instanceof Uint8Array) {
+        return Buffer.from(value).toString("hex");
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJson);
+    }
+    if (value && typeof value === "object") {
+        if (value instanceof Principal) return value.toText();
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJson(v)]));
+    }
+    return value;
+}
+
+function readInput(file) {
+    if (!file || file === "-") {
+        if (process.stdin.isTTY) {
+            throw new CliError("No topology file given and nothing piped on stdin");
+        }
+        return readFileSync(0, "utf8");
+    }
+    return readFileSync(file, "utf8");
+}
+
+function summarize(report) {
+    return {
+        format: report.format,
+        totalNodes: report.totalNodes,
+        counts: report.counts,
+        isValid: report.isValid,
+        fileErrors: report.fileErrors,
+        errors: report.errors,
+        warningCount: report.warnings.length,
+        unknownRewardTypes: report.unknownRewardTypes,
+        duplicateNodeIds: report.duplicateNodeIds,
+    };
+}
+
+function unwrapResult(result) {
+    if (result && "err" in result) {
+        throw new CliError(result.err);
+    }
+    return result.ok;
+}
+
+async function connect(options) {
+    const identity = options.identity ? loadIdentity(options.identity) : undefined;
+    const canisterId = resolveCanisterId(options.network, options["canister-id"]);
+    return createActor({
+        network: options.network,
+        host: options.host,
+        canisterId,
+        identity,
+    });
+}
+
+const commands = {
+    async upload(options, [file]) {
+        const { nodes, subnetConfigs, report } = parseTopologyText(readInput(file));
+        const validation = summarize(report);
+
+        if (!report.canUpload) {
+            throw new CliError("Topology file cannot be uploaded", validation);
+        }
+        if (options.strict && !report.isValid) {
+            throw new CliError("Topology file has validation errors (--strict)", validation);
+        }
+        if (options["dry-run"]) {
+            return { uploaded: false, validation };
+        }
+
+        const batchSize = Number(options["batch-size"]);
+        if (!Number.isInteger(batchSize) || batchSize <= 0) {
+            throw new CliError("--batch-size must be a positive integer");
+        }
+
+        const { actor } = await connect(options);
+        let result;
+        try {
+            result = await uploadInBatches(actor, nodes, {
+                batchSize,
+                sessionId: options.resume,
+                subnetConfigs,
+                onProgress: ({ phase, completedBatches, totalBatches, batchIndex, attempt }) => {
+                    const detail = phase === "retrying" ? ` (batch ${batchIndex + 1}, attempt ${attempt})` : "";
+                    process.stderr.write(`${phase}: ${completedBatches}/${totalBatches} batches${detail}\n`);
+                },
+            });
+        } catch (err) {
+            if (err instanceof UploadError && err.sessionId !== undefined) {
+                throw new CliError(err.message, {
+                    sessionId: err.sessionId,
+                    batchIndex: err.batchIndex,
+                    resume: `--resume ${err.sessionId}`,
+                });
+            }
+            throw err;
+        }
+        const stats = await actor.getNetworkStats();
+
+        return { uploaded: true, sessionId: result.sessionId, message: result.message, validation, stats };
+    },
+
+    async clear(options) {
+        const { actor } = await connect(options);
+        return { message: await actor.refreshData() };
+    },
+
+    async restore(options) {
+        const { actor } = await connect(options);
+        return { message: unwrapResult(await actor.restoreBackup()) };
+    },
+
+    async stats(options) {
+        const { actor } = await connect(options);
+        const [networkStats, globalStats, freshness] = await Promise.all([
+            actor.getNetworkStats(),
+            actor.getGlobalStats(),
+            actor.getDataFreshness(),
+        ]);
+        return { networkStats, globalStats, freshness };
+    },
+
+    async subnets(options) {
+        const { actor } = await connect(options);
+        const subnets = await actor.getSubnets();
+        subnets.sort((a, b) => Number(b.nodeCount) - Number(a.nodeCount));
+        return options.nodes
+            ? subnets
+            : subnets.map(({ nodes, ...subnet }) => subnet);
+    },
+
+    async subnet(options, [subnetId]) {
+        if (!subnetId) {
+            throw new CliError("Missing subnet ID: subnet-dashboard subnet <id>");
+        }
+        const { actor } = await connect(options);
+        return unwrapResult(await actor.getSubnetById(subnetId));
+    },
+
+    async risk(options, [subnetId]) {
+        const { actor } = await connect(options);
+        const lookup = createDataCenterLookup();
+        if (subnetId) {
+            return assessSubnetRisk(unwrapResult(await actor.getSubnetById(subnetId)), lookup);
+        }
+        const subnets = await actor.getSubnets();
+        return rankSubnetRisks(subnets.filter(subnet => !VIRTUAL_SUBNETS.includes(subnet.subnetId)), lookup);
+    },
+
+    async whoami(options) {
+        const { actor, agent } = await connect(options);
+        const principal = await agent.getPrincipal();
+        return { principal, role: fromCandidRole(await actor.getMyRole()) };
+    },
+
+    async roles(options) {
+        const { actor } = await connect(options);
+        return unwrapResult(await actor.getRoles())
+            .map(([principal, role]) => ({ principal, role: fromCandidRole(role) }));
+    },
+
+    async grant(options, [principal, role]) {
+        if (!principal || !role) {
+            throw new CliError("Usage: subnet-dashboard grant <principal> <role>");
+        }
+        let target;
+        try {
+            target = Principal.fromText(principal);
+        } catch {
+            throw new CliError(`Not a valid principal: ${principal}`);
+        }
+        let candidRole;
+        try {
+            candidRole = toCandidRole(role);
+        } catch (err) {
+            throw new CliError(err.message);
+        }
+        const { actor } = await connect(options);
+        return { message: unwrapResult(await actor.setRole(target, candidRole)) };
+    },
+
+    async verify(options) {
+        const maxAgeMinutes = Number(options["max-certificate-age"]);
+        if (!(maxAgeMinutes > 0)) {
+            throw new CliError("--max-certificate-age must be a positive number of minutes");
+        }
+
+        const { actor, agent, canisterId } = await connect(options);
+        const response = await actor.getNetworkStatsCertified();
+        const result = {
+            verified: false,
+            stale: false,
+            certificatePresent: response.certificate.length > 0,
+            certifiedAt: null,
+            stats: response.stats,
+            witness: new Uint8Array(response.witness),
+            certifiedData: null,
+            recomputedHash: null,
+        };
+
+        if (!result.certificatePresent) {
+            return { ...result, reason: "No certificate in response" };
+        }
+
+        let cert;
+        try {
+            cert = await Certificate.create({
+                certificate: new Uint8Array(response.certificate[0]),
+                rootKey: agent.rootKey,
+                canisterId: Principal.fromText(canisterId),
+                // Freshness is checked below against --max-certificate-age
+                maxAgeInMinutes: Infinity,
+            });
+        } catch (err) {
+            return { ...result, reason: `Invalid certificate: ${err.message}` };
+        }
+
+        const certifiedData = lookupBytes(cert, [
+            new TextEncoder().encode("canister"),
+            Principal.fromText(canisterId).toUint8Array(),
+            new TextEncoder().encode("certified_data"),
+        ]);
+
+        if (!certifiedData || certifiedData.length === 0) {
+            return { ...result, reason: "No certified data in certificate" };
+        }
+
+        result.certifiedData = certifiedData;
+        result.certifiedAt = certificateTime(cert);
+        if (!result.certifiedAt) {
+            return { ...result, reason: "Certificate has no time" };
+        }
+
+        // Recompute the certified hash from the stats as returned, like the backend does
+        result.recomputedHash = await expectedCertifiedData("stats", response.stats, response);
+        if (!result.recomputedHash) {
+            return { ...result, reason: "Response has no witness (nothing certified yet)" };
+        }
+
+        if (!bytesEqual(result.certifiedData, result.recomputedHash)) {
+            return { ...result, reason: "Hash of the returned stats does not match the certified data" };
+        }
+
+        if (isCertificateStale(result.certifiedAt, maxAgeMinutes)) {
+            return {
+                ...result,
+                stale: true,
+                reason: `Hash matches, but the certificate is older than ${maxAgeMinutes} minutes`,
+            };
+        }
+
+        return { ...result, verified: true, reason: "Hash of the returned stats matches the certified data" };
+    },
+};
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        options: OPTIONS,
+        allowPositionals: true,
+    });
+    const [command, ...args] = positionals;
+
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    if (!commands[command]) {
+        throw new CliError(`Unknown command: ${command}`);
+    }
+
+    const output = await commands[command](options, args);
+    process.stdout.write(JSON.stringify(toJson(output), null, options.pretty ? 2 : undefined) + "\n");
+
+    // verify exits non-zero when the data could not be verified so scripts can check it
+    return command === "verify" && !output.verified ? 2 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        const error = { error: err.message };
+        if (err.details) error.details = toJson(err.details);
+        process.stderr.write(JSON.stringify(error) + "\n");
+        process.exitCode = 1;
+    });
@@ -1,44 +1,402 @@
-import { useState, useEffect } from 'react';
-import { getActor, getErrorMessage, formatTimestamp, verifyCertificate } from './actor';
+import { useState, useEffect, useMemo } from 'react';
+import { getActor, getErrorMessage, formatTimestamp, shouldRefreshData, checkCertifiedResponse } from './actor';
+import { DEFAULT_MAX_CERTIFICATE_AGE_MINUTES, worstCertificateStatus } from './certification';
+import { loadSettings, saveSettings, clearSettings, isOnline, watchOnlineStatus } from './connection';
+import {
+  INTERNET_IDENTITY_URL,
+  identityFromPem,
+  loginWithInternetIdentity,
+  restoreInternetIdentity,
+  logoutInternetIdentity,
+} from './identity';
+import { fromCandidRole, hasRole } from './roles';
+import { parseTopologyText } from './topology';
+import { uploadInBatches, UploadError } from './upload';
+import { diffTopology } from './topologyDiff';
+import { createDataCenterLookup, loadDataCenterOverrides } from './geography';
+import { loadProviderNames, nodeEntries } from './providers';
+import { matchRoute, routePath, navigate } from './router';
+import { indexConfigs } from './subnetConfig';
+import { fromCandidRules, toCandidRules } from './classification';
+import { parseSnapshotId, serializeSnapshotId, statsFromSubnets } from './snapshots';
+import { loadRefreshInterval, saveRefreshInterval, hasDataChanged, summarizeChanges } from './refresh';
+import { fromCandidBackup, clearSummary } from './backup';
+import {
+  CACHE_RETRY_MS,
+  dashboardCacheKey,
+  saveDashboardCache,
+  loadDashboardCache,
+  clearDashboardCache,
+  cachedCertificateStatus,
+} from './cache';
+import { parseFilters, serializeFilters, hasActiveFilters, toggleFacet, applyFilters, facetOptions } from './filters';
+import { GENERATION_COLORS, subnetGenerationData, nodeDistribution, nodeCountHistogram } from './analytics';
+import { SUBNET_COLUMNS, NODE_COLUMNS, subnetRows, nodeRows } from './tables';
+import { computeNetworkDecentralization, computeDecentralization, isBelowThreshold, DEFAULT_NAKAMOTO_THRESHOLD } from './metrics';
+import { assessSubnetRisk, rankSubnetRisks } from './risk';
+import { spareCapacity, apiBoundaryNodes, apiBoundaryMemberIds } from './virtualSubnets';
+import ValidationReport from './components/ValidationReport';
+import UploadProgress from './components/UploadProgress';
+import TopologyDiff from './components/TopologyDiff';
+import WorldMap from './components/WorldMap';
+import RolloutPanel from './components/RolloutPanel';
+import RiskReport, { RiskFindings } from './components/RiskReport';
+import { SpareCapacity, ApiBoundaryNodes } from './components/VirtualSubnets';
+import ClassificationRules from './components/ClassificationRules';
+import { SnapshotPicker, SnapshotTrends } from './components/Snapshots';
+import { RefreshIntervalPicker, ChangeToast } from './components/AutoRefresh';
+import SearchBar, { SearchResults } from './components/SearchBar';
+import RouteLink from './components/RouteLink';
+import NodePage from './components/NodePage';
+import NodeListPage from './components/NodeListPage';
+import { ProviderDirectory, ProviderProfile } from './components/Providers';
+import NotFound from './components/NotFound';
+import ExportButtons from './components/ExportButtons';
+import DataTable from './components/DataTable';
+import ConnectionSettings from './components/ConnectionSettings';
+import { SignIn, RoleManager } from './components/Access';
+import { ClearDataDialog, RestoreBackup } from './components/Backup';
+import { SubnetBadges, SubnetConfigPanel } from './components/SubnetConfig';
+import { DecentralizationSummary, DecentralizationBadge, DecentralizationStats } from './components/Decentralization';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import './App.css';
 
+const TOOLTIP_STYLE = { background: '#1e293b', border: '1px solid rgba(255, 255, 255, 0.2)', borderRadius: 8 };
+const AXIS_PROPS = { stroke: '#93c5fd', fontSize: 12 };
+const BAR_ROW_HEIGHT = 22;
+
+const VIEWS = [
+  { key: 'cards', label: 'Cards' },
+  { key: 'subnets', label: 'Subnet table' },
+  { key: 'nodes', label: 'Node table' },
+];
+
 function App() {
   const [networkStats, setNetworkStats] = useState(null);
   const [globalStats, setGlobalStats] = useState(null);
   const [subnets, setSubnets] = useState([]);
+  const [subnetConfigs, setSubnetConfigs] = useState({});
+  const [classificationRules, setClassificationRules] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotId, setSnapshotId] = useState(() => parseSnapshotId(window.location.search));
   const [selectedSubnet, setSelectedSubnet] = useState(null);
+  const [subnetNotFound, setSubnetNotFound] = useState(null);
+  const [subnetCertificate, setSubnetCertificate] = useState(null);
+  const [route, setRoute] = useState(() => matchRoute(window.location.pathname));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [actor, setActor] = useState(null);
+  const [identity, setIdentity] = useState(null);
+  const [role, setRole] = useState(null);
+  const [connection, setConnection] = useState(loadSettings);
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [retrying, setRetrying] = useState(null);
+  const [online, setOnline] = useState(isOnline);
   const [message, setMessage] = useState('');
   const [uploadFile, setUploadFile] = useState(null);
+  const [parsedUpload, setParsedUpload] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [failedUpload, setFailedUpload] = useState(null);
+  const [pendingDiff, setPendingDiff] = useState(null);
+  const [dataCenterOverrides, setDataCenterOverrides] = useState({});
+  const [providerNames, setProviderNames] = useState({});
+  const [filters, setFilters] = useState(() => parseFilters(window.location.search));
+  const [nakamotoThreshold, setNakamotoThreshold] = useState(
+    () => Number(localStorage.getItem('nakamotoThreshold')) || DEFAULT_NAKAMOTO_THRESHOLD
+  );
   const [initialized, setInitialized] = useState(false);
   const [certificateStatus, setCertificateStatus] = useState(null);
+  const [certifiedAt, setCertifiedAt] = useState(null);
+  const [cachedData, setCachedData] = useState(null);
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const [refreshInterval, setRefreshInterval] = useState(loadRefreshInterval);
+  const [changeSummary, setChangeSummary] = useState(null);
+  const [view, setView] = useState(() => localStorage.getItem('subnetView') || 'cards');
+  const [backup, setBackup] = useState(null);
+  const [confirmingClear, setConfirmingClear] = useState(false);
+
+  const showCachedData = (entry) => {
+    setNetworkStats(entry.networkStats);
+    setGlobalStats(entry.globalStats);
+    setSubnets(entry.subnets);
+    setSubnetConfigs(entry.subnetConfigs);
+    setCertificateStatus(cachedCertificateStatus(entry));
+    setCertifiedAt(entry.certifiedAt || null);
+    setCachedData(entry);
+  };
 
+  // (Re)build the actor whenever the connection settings or the signed-in
+  // identity change, or to retry a failed connection
   useEffect(() => {
+    let cancelled = false;
+
     const initActor = async () => {
+      setConnectionStatus('connecting');
+      setError(null);
+
+      // Show the last loaded data right away instead of a loading screen
+      if (reconnectAttempt === 0 && snapshotId === null && !networkStats) {
+        const cached = await loadDashboardCache(dashboardCacheKey(connection));
+        if (cancelled) return;
+        if (cached) showCachedData(cached);
+      }
+
       try {
-        const actorInstance = await getActor();
+        const actorInstance = await getActor(connection, {
+          identity: identity || undefined,
+          onRetry: (method, attempt) => !cancelled && setRetrying({ method, attempt }),
+        });
+
+        // Canisters without access control have no roles
+        let currentRole = null;
+        try {
+          currentRole = fromCandidRole(await actorInstance.getMyRole());
+        } catch (err) {
+          console.warn("Failed to fetch role:", err);
+        }
+        if (cancelled) return;
+        setRole(currentRole);
         setActor(actorInstance);
+        setConnectionStatus('connected');
+        setRetrying(null);
         setInitialized(true);
         setMessage('Connected to canister');
       } catch (err) {
         console.error("Failed to create actor:", err);
+        if (cancelled) return;
+        setConnectionStatus('error');
+        setRetrying(null);
         setError("Failed to initialize: " + getErrorMessage(err));
       }
     };
     
     initActor();
+    return () => { cancelled = true; };
+  }, [connection, reconnectAttempt, identity]);
+
+  // Internet Identity sessions survive a reload until the delegation expires
+  useEffect(() => {
+    restoreInternetIdentity().then(restored => restored && setIdentity(restored));
   }, []);
 
-  const handleFileChange = (event) => {
+  // Load whatever the canister holds so a reload or deep link shows the
+  // dashboard, or the selected snapshot instead of the live data
+  useEffect(() => {
+    if (actor) loadDashboardData();
+  }, [actor, snapshotId]);
+
+  useEffect(() => watchOnlineStatus(setOnline), []);
+
+  // Catch up on whatever was missed while offline
+  useEffect(() => {
+    if (!online) return;
+    if (actor) loadDashboardData();
+    else if (connectionStatus === 'error') setReconnectAttempt(attempt => attempt + 1);
+  }, [online]);
+
+  // While showing cached data, keep trying to reach the canister
+  useEffect(() => {
+    if (!cachedData || !online || loading || connectionStatus === 'connecting') return;
+    const timer = setTimeout(() => {
+      if (actor) loadDashboardData();
+      else setReconnectAttempt(attempt => attempt + 1);
+    }, CACHE_RETRY_MS);
+    return () => clearTimeout(timer);
+  }, [cachedData, online, loading, connectionStatus, actor]);
+
+  // Remember the last successfully loaded live data for the next start
+  useEffect(() => {
+    if (loading || error || !actor || snapshotId !== null || cachedData || !networkStats || !certificateStatus) return;
+    saveDashboardCache(dashboardCacheKey(connection), {
+      networkStats,
+      globalStats,
+      subnets,
+      subnetConfigs,
+      certificateStatus,
+      certifiedAt,
+    });
+  }, [loading]);
+
+  // Check the live data for changes and reload it in place: the route,
+  // filters and selected subnet stay as they are
+  useEffect(() => {
+    if (!actor || !refreshInterval || snapshotId !== null || cachedData || !online || loading || uploadProgress) return;
+    const timer = setInterval(async () => {
+      try {
+        const lastUpdateTime = await actor.getLastUpdateTime();
+        if (!hasDataChanged(lastUpdateTime, networkStats)) return;
+        const previousSubnets = subnets;
+        const loadedSubnets = await loadDashboardData();
+        if (loadedSubnets) setChangeSummary(summarizeChanges(previousSubnets, loadedSubnets));
+      } catch (err) {
+        console.warn("Failed to check for new data:", err);
+      }
+    }, refreshInterval * 1000);
+    return () => clearInterval(timer);
+  }, [actor, refreshInterval, snapshotId, cachedData, online, loading, uploadProgress, networkStats]);
+
+  useEffect(() => {
+    saveRefreshInterval(refreshInterval);
+  }, [refreshInterval]);
+
+  useEffect(() => {
+    localStorage.setItem('nakamotoThreshold', String(nakamotoThreshold));
+  }, [nakamotoThreshold]);
+
+  useEffect(() => {
+    localStorage.setItem('subnetView', view);
+  }, [view]);
+
+  useEffect(() => {
+    loadDataCenterOverrides().then(setDataCenterOverrides);
+    loadProviderNames().then(setProviderNames);
+  }, []);
+
+  // Keep the filter state in the URL so filtered views can be shared
+  useEffect(() => {
+    const search = serializeFilters(filters, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', window.location.pathname + search + window.location.hash);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    const search = serializeSnapshotId(snapshotId, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', window.location.pathname + search + window.location.hash);
+    }
+  }, [snapshotId]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      setRoute(matchRoute(window.location.pathname));
+      setFilters(parseFilters(window.location.search));
+      setSnapshotId(parseSnapshotId(window.location.search));
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // The selected subnet follows the /subnet/:id route and is reloaded with
+  // the rest of the data
+  useEffect(() => {
+    if (!actor && !cachedData) return;
+    setSubnetNotFound(null);
+
+    if (route.name !== 'subnet') {
+      setSelectedSubnet(null);
+      return;
+    }
+
+    setSubnetCertificate(null);
+
+    // Snapshots are not certified, their subnets come with the snapshot;
+    // cached data is shown as it was saved
+    if (snapshotId !== null || cachedData) {
+      const subnet = subnets.find(s => s.subnetId === route.id) || null;
+      setSelectedSubnet(subnet);
+      if (!subnet && subnets.length > 0) setSubnetNotFound(route.id);
+      return;
+    }
+
+    let cancelled = false;
+    actor.getSubnetByIdCertified(route.id)
+      .then(async response => {
+        if (cancelled) return;
+        const [subnet] = response.subnet;
+        if (!subnet) {
+          setSelectedSubnet(null);
+          setSubnetNotFound(route.id);
+          return;
+        }
+        const result = await checkCertifiedResponse(response, subnet, connection.canisterId, { kind: 'subnet' });
+        if (cancelled) return;
+        setSubnetCertificate(result);
+        // Fail closed like loadDashboardData
+        if (result.status === 'invalid') {
+          setSelectedSubnet(null);
+          setError(`Subnet ${route.id} does not match the canister's certificate and was not loaded`);
+          return;
+        }
+        setSelectedSubnet(subnet);
+      })
+      .catch(err => {
+        console.error('Error:', err);
+        if (!cancelled) setError('Failed to load subnet: ' + getErrorMessage(err));
+      });
+
+    return () => { cancelled = true; };
+  }, [actor, route, snapshotId, Boolean(cachedData), (snapshotId !== null || cachedData) && subnets, networkStats?.lastUpdated]);
+
+  const lookupDataCenter = useMemo(
+    () => createDataCenterLookup(dataCenterOverrides),
+    [dataCenterOverrides]
+  );
+
+  const handleFileChange = async (event) => {
     const file = event.target.files[0];
+    if (!file) return;
+
+    // A new file cannot resume a session staged from another one
+    await handleDiscardUpload();
     setUploadFile(file);
+    setError(null);
     setMessage(`Selected: ${file.name}`);
+
+    try {
+      const fileText = await file.text();
+      const parsed = parseTopologyText(fileText);
+      setParsedUpload(parsed);
+      console.log("📋 Validation report:", parsed.report);
+    } catch (err) {
+      console.error('Error reading file:', err);
+      setParsedUpload(null);
+      setError('Failed to read file: ' + err.message);
+    }
+  };
+
+  const handleCancelUpload = async () => {
+    await handleDiscardUpload();
+    setUploadFile(null);
+    setParsedUpload(null);
+    setPendingDiff(null);
+    setMessage('');
+  };
+
+  // Compare the selected file with the canister's data before committing it
+  const handleReviewUpload = async () => {
+    if (!actor || !parsedUpload) return;
+
+    if (failedUpload) {
+      await handleUploadNodes();
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setMessage('Comparing with current data...');
+      const currentSubnets = await actor.getSubnets();
+      const hasCurrentData = currentSubnets.some(subnet => subnet.nodes.length > 0);
+
+      if (!hasCurrentData) {
+        setLoading(false);
+        await handleUploadNodes();
+        return;
+      }
+
+      setPendingDiff(diffTopology(currentSubnets, parsedUpload.nodes));
+      setMessage('');
+    } catch (err) {
+      console.error('Error comparing topology:', err);
+      setError('Failed to load current data for comparison: ' + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
   };
 
-  // Clear all data function
+  // Clear all data once confirmed; the canister backs it up first
   const handleClearData = async () => {
     if (!actor) return;
     
@@ -47,11 +405,16 @@ function App() {
     
     try {
       await actor.refreshData();
+      setConfirmingClear(false);
+      await loadBackup();
+      await clearDashboardCache(dashboardCacheKey(connection));
       setNetworkStats(null);
       setGlobalStats(null);
       setSubnets([]);
+      setSubnetConfigs({});
       setSelectedSubnet(null);
       setCertificateStatus(null);
+      navigate(routePath('home'));
       setMessage('✅ All data cleared successfully');
       setTimeout(() => setMessage(''), 3000);
     } catch (err) {
@@ -62,226 +425,249 @@ function App() {
     }
   };
 
+  const handleRestoreBackup = async () => {
+    if (!actor) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await actor.restoreBackup();
+      if ('err' in result) {
+        setError('Failed to restore the previous data: ' + result.err);
+        return;
+      }
+      setMessage(`✅ ${result.ok}`);
+      navigate(routePath('home'));
+      await loadDashboardData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      setError('Failed to restore the previous data: ' + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Saving rules reclassifies every stored node, so reload everything afterwards
+  const handleSaveRules = async (rules) => {
+    if (!actor) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await actor.setClassificationRules(toCandidRules(rules));
+      if ('err' in result) {
+        setError('Failed to save classification rules: ' + result.err);
+        return;
+      }
+      setMessage(`✅ Classification rules saved, ${result.ok} nodes reclassified`);
+      await loadDashboardData();
+      setTimeout(() => setMessage(''), 3000);
+    } catch (err) {
+      console.error('Error saving classification rules:', err);
+      setError('Failed to save classification rules: ' + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleUploadNodes = async () => {
     if (!actor) {
       setError('Actor not initialized. Please refresh the page.');
       return;
     }
     
-    if (!uploadFile) {
+    if (!uploadFile || !parsedUpload) {
       setError('Please select a JSON file first');
       return;
     }
+
+    if (!parsedUpload.report.canUpload) {
+      setError('The selected file has validation errors. Fix the file or select another one.');
+      return;
+    }
     
     setLoading(true);
     setError(null);
     
     try {
-      if (networkStats) {
-        setMessage('Clearing old data...');
-        await actor.refreshData();
-        setNetworkStats(null);
-        setGlobalStats(null);
-        setSubnets([]);
-        setSelectedSubnet(null);
-      } else {
-        await actor.refreshData();
-      }
-      
-      setMessage('Reading and processing file...');
-      
-      const fileText = await uploadFile.text();
-      const parsedData = JSON.parse(fileText);
-      
-      let processedNodes = [];
-      
-      // Check if this is topology.json format
-      if (parsedData.subnets && typeof parsedData.subnets === 'object') {
-        console.log('📡 Detected topology.json format');
-        setMessage('Converting topology format...');
-        
-        // 1. Process nodes in subnets
-        for (const [subnetId, subnetData] of Object.entries(parsedData.subnets)) {
-          if (subnetData.nodes && typeof subnetData.nodes === 'object') {
-            for (const [nodeId, nodeInfo] of Object.entries(subnetData.nodes)) {
-              processedNodes.push({
-                node_id: nodeId,
-                node_hardware_generation: nodeInfo.node_reward_type || "",
-                node_operator_id: nodeInfo.node_operator_id || "",
-                node_provider_id: nodeInfo.node_provider_id || "",
-                dc_id: nodeInfo.dc_id || "",
-                region: nodeInfo.dc_id || "",
-                status: "active",
-                subnet_id: subnetId
-              });
-            }
-          }
-        }
-        console.log(`✅ Processed ${processedNodes.length} nodes from subnets`);
-        
-        // 2. Process unassigned_nodes 
-        if (parsedData.unassigned_nodes && typeof parsedData.unassigned_nodes === 'object') {
-          const unassignedBefore = processedNodes.length;
-          
-          for (const [nodeId, nodeInfo] of Object.entries(parsedData.unassigned_nodes)) {
-            processedNodes.push({
-              node_id: nodeId,
-              node_hardware_generation: nodeInfo.node_reward_type || "",
-              node_operator_id: nodeInfo.node_operator_id || "",
-              node_provider_id: nodeInfo.node_provider_id || "",
-              dc_id: nodeInfo.dc_id || "",
-              region: nodeInfo.dc_id || "",
-              status: "unassigned",
-              subnet_id: "unassigned"
-            });
-          }
-          
-          const unassignedCount = processedNodes.length - unassignedBefore;
-          console.log(`✅ Processed ${unassignedCount} unassigned nodes`);
-        }
-        
-        // 3. Process api_boundary_nodes 
-        if (parsedData.api_boundary_nodes && Array.isArray(parsedData.api_boundary_nodes)) {
-          const apiBefore = processedNodes.length;
-          
-          for (const nodeId of parsedData.api_boundary_nodes) {
-            let foundInSubnets = false;
-            let foundInUnassigned = false;
-            
-            for (const [subnetId, subnetData] of Object.entries(parsedData.subnets)) {
-              if (subnetData.nodes && subnetData.nodes[nodeId]) {
-                foundInSubnets = true;
-                break;
-              }
-            }
-            
-            if (!foundInSubnets && parsedData.unassigned_nodes && parsedData.unassigned_nodes[nodeId]) {
-              foundInUnassigned = true;
-            }
-            
-            if (!foundInSubnets && !foundInUnassigned) {
-              processedNodes.push({
-                node_id: nodeId,
-                node_hardware_generation: "",
-                node_operator_id: "",
-                node_provider_id: "",
-                dc_id: "",
-                region: "",
-                status: "api_boundary",
-                subnet_id: "api_boundary"
-              });
-            }
-          }
-          
-          const apiCount = processedNodes.length - apiBefore;
-          console.log(`✅ Processed ${parsedData.api_boundary_nodes.length} API boundary node IDs (${apiCount} new)`);
-        }
-        
-        console.log(`✅ TOTAL: ${processedNodes.length} nodes from topology.json`);
-        
-      } else {
-        console.log('📡 Detected flat nodes format');
-        const nodes = parsedData.nodes || parsedData;
-        
-        processedNodes = nodes
-          .filter(node => node.subnet_id)
-          .map(node => ({
-            node_id: node.node_id || "",
-            node_hardware_generation: node.node_hardware_generation || "",
-            node_operator_id: node.node_operator_id || "", 
-            node_provider_id: node.node_provider_id || "",
-            dc_id: node.dc_id || "",
-            region: node.region || "",
-            status: node.status || "",
-            subnet_id: node.subnet_id || ""
-          }));
-      }
-      
+      const processedNodes = parsedUpload.nodes;
       console.log(`Processing ${processedNodes.length} total nodes`);
       console.log("Sample node:", processedNodes[0]);
       
       setMessage(`Uploading ${processedNodes.length} nodes...`);
       
-      const result = await actor.loadNodesFromFile(processedNodes);
+      // Nodes are staged in batches; the current data stays in place until the commit
+      const result = await uploadInBatches(actor, processedNodes, {
+        sessionId: failedUpload?.sessionId,
+        subnetConfigs: parsedUpload.subnetConfigs,
+        onProgress: setUploadProgress,
+      });
 
-      if (result && 'ok' in result) {
-        setMessage(result.ok);
-        
-        console.log("🔄 Updating certification...");
-        try {
-          await actor.updateCertification();
-          console.log("✅ Certification updated");
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        } catch (certErr) {
-          console.warn("⚠️ Failed to update certification:", certErr);
-        }
-        
-        await loadDashboardData();
-      } else if (result && 'err' in result) {
-        setError(result.err);
-      }
+      setFailedUpload(null);
+      setUploadProgress(null);
+      setUploadFile(null);
+      setParsedUpload(null);
+      setPendingDiff(null);
+      setMessage(result.message);
+      
+      await loadDashboardData();
     } catch (err) {
       console.error('Error:', err);
-      setError('Failed: ' + err.message);
+      if (err instanceof UploadError && err.sessionId !== undefined) {
+        setFailedUpload({ sessionId: err.sessionId, batchIndex: err.batchIndex });
+        setError(`Upload interrupted: ${getErrorMessage(err)}. The current data was not changed.`);
+      } else {
+        setUploadProgress(null);
+        setError('Failed: ' + getErrorMessage(err));
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const handleDiscardUpload = async () => {
+    if (failedUpload && actor) {
+      try {
+        await actor.abortUpload(failedUpload.sessionId);
+      } catch (err) {
+        console.warn("⚠️ Failed to discard upload session:", err);
+      }
+    }
+    setFailedUpload(null);
+    setUploadProgress(null);
+  };
+
+  // Snapshots are listed for the picker and the trend charts in both views
+  const loadSnapshots = async () => {
+    try {
+      setSnapshots(await actor.getSnapshots());
+    } catch (err) {
+      console.warn("Failed to fetch snapshots:", err);
+      setSnapshots([]);
+    }
+  };
+
+  // Older canisters keep no backup
+  const loadBackup = async () => {
+    try {
+      setBackup(fromCandidBackup(await actor.getBackup()));
+    } catch (err) {
+      console.warn("Failed to fetch backup:", err);
+      setBackup(null);
+    }
+  };
+
+  const loadSnapshotData = async (id) => {
+    const result = await actor.getSnapshot(BigInt(id));
+    if ('err' in result) {
+      setError(`Snapshot #${id}: ${result.err}`);
+      setSnapshotId(null);
+      return;
+    }
+
+    const { summary, subnets: snapshotSubnets, configs: snapshotConfigs } = result.ok;
+    const configs = indexConfigs(snapshotConfigs);
+    const stats = statsFromSubnets(snapshotSubnets, summary.takenAt);
+    setSubnetConfigs(configs);
+    setNetworkStats(stats.networkStats);
+    setGlobalStats(stats.globalStats);
+    setSubnets(snapshotSubnets
+      .map(subnet => ({ ...subnet, config: configs[subnet.subnetId] || null }))
+      .sort((a, b) => Number(b.nodeCount) - Number(a.nodeCount)));
+    setCertificateStatus('snapshot');
+  };
+
+  // Resolves with the loaded subnets, or nothing for a snapshot or a failure
   const loadDashboardData = async () => {
     if (!actor) return;
     
     setLoading(true);
     setError(null);
     setCertificateStatus(null);
+    setCertifiedAt(null);
     
     try {
-      // Try certified query first
-      let certifiedData = null;
-      let certificateValid = false;
-      
+      await loadSnapshots();
+      await loadBackup();
+      if (snapshotId !== null) {
+        await loadSnapshotData(snapshotId);
+        return;
+      }
+
+      // Stats and subnets are both loaded through certified queries; the
+      // page is only as verified as the less verified of the two
+      let statsData;
+      let statsCheck;
       console.log("🔍 Attempting to fetch certified data...");
       
       try {
-        certifiedData = await actor.getNetworkStatsCertified();
+        const certifiedData = await actor.getNetworkStatsCertified();
         console.log("📊 Certified data received:", certifiedData);
-        
-        if (certifiedData.certificate && certifiedData.certificate.length > 0 && certifiedData.certificate[0]) {
-          console.log("🔐 Certificate found, verifying...");
-          const canisterId = import.meta.env.VITE_CANISTER_ID_SWISS_SUBNET_BACKEND;
-          certificateValid = await verifyCertificate(certifiedData, canisterId);
-          
-          if (certificateValid) {
-            console.log("✅ CERTIFICATE VERIFIED!");
-            setCertificateStatus('verified');
-            setMessage('✅ Data cryptographically verified by Internet Computer');
-            setNetworkStats(certifiedData.stats);
-          } else {
-            console.warn("⚠️ Certificate verification failed");
-            setCertificateStatus('invalid');
-            setMessage('⚠️ Certificate verification failed - using unverified data');
-            const stats = await actor.getNetworkStats();
-            setNetworkStats(stats);
-          }
-        } else {
-          console.warn("⚠️ No certificate in response");
-          setCertificateStatus('missing');
-          setMessage('⚠️ No certificate available - using unverified data');
-          setNetworkStats(certifiedData.stats);
-        }
+        statsData = certifiedData.stats;
+        statsCheck = await checkCertifiedResponse(certifiedData, statsData, connection.canisterId);
       } catch (certErr) {
         console.warn("Certified query failed, falling back to regular query:", certErr);
-        setCertificateStatus('unavailable');
-        setMessage('⚠️ Certified query unavailable - using regular query');
-        const stats = await actor.getNetworkStats();
-        setNetworkStats(stats);
+        statsCheck = { status: 'unavailable', certifiedAt: null };
+        statsData = await actor.getNetworkStats();
       }
       
+      // Load subnet configurations (older canisters do not store them)
+      let configs = {};
+      try {
+        configs = indexConfigs(await actor.getSubnetConfigs());
+      } catch (err) {
+        console.warn("Failed to fetch subnet configurations:", err);
+      }
+      setSubnetConfigs(configs);
+
+      // Classification rules are not available on older canisters either
+      try {
+        setClassificationRules(fromCandidRules(await actor.getClassificationRules()));
+      } catch (err) {
+        console.warn("Failed to fetch classification rules:", err);
+        setClassificationRules(null);
+      }
+
       // Load subnets
-      const subnetsData = await actor.getSubnets();
-      const sortedSubnets = subnetsData.sort((a, b) => 
-        Number(b.nodeCount) - Number(a.nodeCount)
-      );
+      let subnetsData;
+      let subnetsCheck;
+      try {
+        const certifiedSubnets = await actor.getSubnetsCertified();
+        subnetsData = certifiedSubnets.subnets;
+        subnetsCheck = await checkCertifiedResponse(certifiedSubnets, subnetsData, connection.canisterId, { kind: 'subnets' });
+      } catch (certErr) {
+        console.warn("Certified subnet query failed, falling back to regular query:", certErr);
+        subnetsCheck = { status: 'unavailable', certifiedAt: null };
+        subnetsData = await actor.getSubnets();
+      }
+
+      const status = worstCertificateStatus(statsCheck.status, subnetsCheck.status);
+      const certifiedTimes = [statsCheck.certifiedAt, subnetsCheck.certifiedAt].filter(Boolean);
+      setCertifiedAt(certifiedTimes.length > 0 ? new Date(Math.min(...certifiedTimes)) : null);
+      setCertificateStatus(status);
+
+      // Fail closed: data that does not match its certificate is never shown.
+      // Whatever verified data is on screen stays; on a first load the last
+      // verified data saved in the cache is shown instead, if there is any.
+      if (status === 'invalid') {
+        console.error("❌ Certificate verification failed - not showing the data");
+        setError('The data returned by the canister does not match its certificate and was not loaded');
+        if (!networkStats) {
+          const cached = await loadDashboardCache(dashboardCacheKey(connection));
+          if (cached?.certificateStatus === 'verified') showCachedData(cached);
+        }
+        return;
+      }
+
+      const certificateValid = status === 'verified';
+      if (certificateValid) console.log("✅ CERTIFICATE VERIFIED!");
+      setNetworkStats(statsData);
+      const sortedSubnets = subnetsData
+        .map(subnet => ({ ...subnet, config: configs[subnet.subnetId] || null }))
+        .sort((a, b) => Number(b.nodeCount) - Number(a.nodeCount));
       setSubnets(sortedSubnets);
       
       // Fetch global stats (all nodes including unassigned)
@@ -293,36 +679,95 @@ function App() {
         console.warn("Failed to fetch global stats:", err);
       }
       
+      setCachedData(null);
+      
       // Clear message after delay if not certificate status
       if (!certificateValid) {
         setTimeout(() => setMessage(''), 5000);
       }
+      return sortedSubnets;
     } catch (err) {
       console.error('Error loading dashboard data:', err);
       setError('Failed to load data: ' + getErrorMessage(err));
+      // Keep showing the cached data as it was, not a half-loaded mix
+      if (cachedData) showCachedData(cachedData);
     } finally {
       setLoading(false);
+      setRetrying(null);
     }
   };
 
-  const handleSubnetClick = async (subnet) => {
-    if (!actor) return;
-    
+  // Switching networks drops everything loaded from the previous canister
+  const handleConnectionChange = (settings) => {
+    saveSettings(settings);
+    setActor(null);
+    setNetworkStats(null);
+    setGlobalStats(null);
+    setSubnets([]);
+    setSubnetConfigs({});
+    setSelectedSubnet(null);
+    setCertificateStatus(null);
+    setCertifiedAt(null);
+    setCachedData(null);
+    setChangeSummary(null);
+    setRole(null);
+    setReconnectAttempt(0);
+    setConnection(settings);
+  };
+
+  const handleConnectionReset = () => {
+    clearSettings();
+    handleConnectionChange(loadSettings());
+  };
+
+  // A staged upload belongs to the principal that started it
+  const handleSignIn = async (getIdentity) => {
+    setError(null);
     try {
-      const result = await actor.getSubnetById(subnet.subnetId);
-      if (result && 'ok' in result) {
-        setSelectedSubnet(result.ok);
-      }
+      const signedIn = await getIdentity();
+      await handleDiscardUpload();
+      setIdentity(signedIn);
+      setMessage(`Signed in as ${signedIn.getPrincipal().toText()}`);
     } catch (err) {
-      console.error('Error:', err);
+      console.error('Error signing in:', err);
+      setError('Failed to sign in: ' + getErrorMessage(err));
     }
   };
 
-  if (!initialized) {
+  const handleSignOut = async () => {
+    await handleDiscardUpload();
+    await logoutInternetIdentity();
+    setIdentity(null);
+    setMessage('Signed out');
+  };
+
+  const handleSubnetClick = (subnet) => {
+    navigate(routePath('subnet', subnet.subnetId));
+  };
+
+  const connectionSettings = (
+    <ConnectionSettings
+      settings={connection}
+      status={online ? connectionStatus : 'offline'}
+      retrying={retrying}
+      onApply={handleConnectionChange}
+      onReset={handleConnectionReset}
+      disabled={loading}
+    />
+  );
+
+  if (!initialized && !cachedData) {
     return (
       <div className="loading-screen">
         <div className="loading-title">Connecting to Internet Computer</div>
-        <div className="loading-progress">Initializing...</div>
+        {error ? (
+          <div className="error-banner">{error}</div>
+        ) : (
+          <div className="loading-progress">
+            {retrying ? `Retrying ${retrying.method} (attempt ${retrying.attempt})...` : 'Initializing...'}
+          </div>
+        )}
+        {connectionSettings}
       </div>
     );
   }
@@ -337,18 +782,57 @@ function App() {
     totalNodes: realSubnets.reduce((sum, s) => sum + Number(s.nodeCount), 0),
     gen1Nodes: realSubnets.reduce((sum, s) => sum + Number(s.gen1Count), 0),
     gen2Nodes: realSubnets.reduce((sum, s) => sum + Number(s.gen2Count), 0),
+    unknownNodes: realSubnets.reduce((sum, s) => sum + Number(s.unknownCount), 0),
   } : null;
 
+  const filtersActive = hasActiveFilters(filters);
+  const filterResults = filtersActive ? applyFilters(subnets, filters) : null;
+  const visibleSubnets = filterResults
+    ? realSubnets.filter(subnet => filterResults.subnetIds.has(subnet.subnetId))
+    : realSubnets;
+
+  const decentralization = computeNetworkDecentralization(realSubnets);
+  const subnetsBelowThreshold = realSubnets.filter(subnet =>
+    isBelowThreshold(decentralization.bySubnet[subnet.subnetId], nakamotoThreshold)
+  );
+  const selectedDecentralization = selectedSubnet ? computeDecentralization(selectedSubnet.nodes) : null;
+  const apiBoundaryIds = apiBoundaryMemberIds(subnets);
+  const selectedNodes = selectedSubnet
+    ? selectedSubnet.nodes.map(node => ({
+      node,
+      subnetId: selectedSubnet.subnetId,
+      apiBoundary: selectedSubnet.subnetId === 'api_boundary' || apiBoundaryIds.has(node.nodeId),
+    }))
+    : [];
+  const subnetRisks = rankSubnetRisks(realSubnets, lookupDataCenter);
+  // The pseudo-subnets are left out of realSubnets, they get sections of their own
+  const capacity = spareCapacity(subnets, lookupDataCenter);
+  const boundary = apiBoundaryNodes(subnets);
+  const selectedRisk = selectedSubnet && selectedSubnet.subnetId !== 'unassigned' && selectedSubnet.subnetId !== 'api_boundary'
+    ? assessSubnetRisk(selectedSubnet, lookupDataCenter)
+    : null;
+
   const pieData = realSubnetStats ? [
-    { name: 'Gen1', value: realSubnetStats.gen1Nodes, color: '#8b5cf6' },
-    { name: 'Gen2', value: realSubnetStats.gen2Nodes, color: '#06b6d4' },
+    { name: 'Gen1', value: realSubnetStats.gen1Nodes, color: GENERATION_COLORS.Gen1 },
+    { name: 'Gen2', value: realSubnetStats.gen2Nodes, color: GENERATION_COLORS.Gen2 },
+    { name: 'Unknown', value: realSubnetStats.unknownNodes, color: GENERATION_COLORS.Unknown },
   ].filter(item => item.value > 0) : [];
 
-  const subnetChartData = realSubnets.slice(0, 10).map(subnet => ({
-    name: subnet.subnetId.substring(0, 8) + '...',
-    Gen1: Number(subnet.gen1Count),
-    Gen2: Number(subnet.gen2Count),
-  }));
+  const exportSource = { networkStats, globalStats, certificateStatus };
+
+  const showDashboard = route.name === 'home' || route.name === 'subnet';
+  const canUpload = hasRole(role, 'uploader');
+  const hasData = networkStats && subnets.length > 0;
+
+  const subnetChartData = subnetGenerationData(realSubnets);
+  const providerChartData = nodeDistribution(realSubnets, 'nodeProviderId');
+  const dataCenterChartData = nodeDistribution(realSubnets, 'dcId');
+  const sizeChartData = nodeCountHistogram(realSubnets);
+
+  // Chart elements toggle the matching facet; unselected ones are dimmed
+  // while that facet is in use
+  const filterBy = (key, value) => setFilters(toggleFacet(filters, key, value));
+  const chartOpacity = (key, value) => (filters[key].length === 0 || filters[key].includes(value) ? 1 : 0.3);
 
   return (
     <div className="app-container">
@@ -356,20 +840,58 @@ function App() {
         <div className="header">
           <h1 className="header-title">ICP Subnet Dashboard</h1>
           <p className="header-subtitle">Real-time view of Internet Computer subnets</p>
+
+          {connectionSettings}
+
+          <SignIn
+            principal={identity?.getPrincipal().toText()}
+            role={role}
+            internetIdentity={Boolean(INTERNET_IDENTITY_URL)}
+            onKeyFile={(file) => handleSignIn(async () => identityFromPem(await file.text()))}
+            onInternetIdentity={() => handleSignIn(loginWithInternetIdentity)}
+            onSignOut={handleSignOut}
+            disabled={loading}
+          />
           
           <div className="status-container">
+            {cachedData && (
+              <div className="warning-banner">
+                📦 Showing cached data saved {formatTimestamp(cachedData.savedAt)}
+                {shouldRefreshData(cachedData.savedAt) && ' (more than an hour old)'}
+                {connectionStatus === 'connecting' || loading
+                  ? ' - refreshing from the canister…'
+                  : ' - the canister is unreachable, retrying in the background'}
+              </div>
+            )}
+
+            {!online && (
+              <div className="warning-banner">
+                📴 You are offline - showing the last loaded data. It will refresh when the connection is back.
+              </div>
+            )}
+
             {error && <div className="error-banner">{error}</div>}
             
             {/* Certificate Status Banner */}
             {certificateStatus === 'verified' && (
               <div className="certificate-banner">
                 ✅ Data cryptographically verified by Internet Computer
+                {certifiedAt && (
+                  <span className="certificate-time">certified at {certifiedAt.toLocaleString()}</span>
+                )}
+              </div>
+            )}
+            
+            {certificateStatus === 'stale' && (
+              <div className="warning-banner">
+                ⏱️ Stale certificate: certified at {certifiedAt.toLocaleString()}, more than{' '}
+                {DEFAULT_MAX_CERTIFICATE_AGE_MINUTES} minutes ago - data may be outdated
               </div>
             )}
             
             {certificateStatus === 'invalid' && (
               <div className="warning-banner">
-                ⚠️ Certificate verification failed - using unverified data
+                ⚠️ Certificate verification failed - the canister's response was not shown
               </div>
             )}
             
@@ -384,6 +906,15 @@ function App() {
                 ⚠️ Certified query not available - using regular query
               </div>
             )}
+
+            {certificateStatus === 'snapshot' && (
+              <div className="warning-banner">
+                🕰️ Viewing snapshot #{snapshotId} from {formatTimestamp(networkStats.lastUpdated)} - historical data is not certified
+                <button className="refresh-button secondary" onClick={() => setSnapshotId(null)} disabled={loading}>
+                  Back to live data
+                </button>
+              </div>
+            )}
             
             {/* Regular messages */}
             {message && !error && !certificateStatus && (
@@ -391,30 +922,130 @@ function App() {
             )}
           </div>
 
-          <div className="header-controls">
-            <input type="file" accept=".json" onChange={handleFileChange} style={{ display: 'none' }} id="file-upload" />
-            <label htmlFor="file-upload" className="refresh-button" style={{ cursor: 'pointer' }}>
-              Select Subnet and Node topology (JSON File)
-            </label>
+          <SnapshotPicker
+            snapshots={snapshots}
+            selectedId={snapshotId}
+            onSelect={setSnapshotId}
+            disabled={loading}
+          />
+
+          {snapshotId === null && (
+            <RefreshIntervalPicker interval={refreshInterval} onChange={setRefreshInterval} />
+          )}
+
+          {/* Snapshots are read-only, and only uploaders may change the data */}
+          {snapshotId === null && canUpload && (
+            <div className="header-controls">
+              <input type="file" accept=".json" onChange={handleFileChange} style={{ display: 'none' }} id="file-upload" />
+              <label htmlFor="file-upload" className="refresh-button" style={{ cursor: 'pointer' }}>
+                Select Subnet and Node topology (JSON File)
+              </label>
             
-            <button className="refresh-button" onClick={handleUploadNodes} disabled={loading || !uploadFile}>
-              {loading ? 'Processing...' : 'Upload & Process Data'}
-            </button>
-
-            {networkStats && (
-              <button 
-                className="refresh-button" 
-                onClick={handleClearData} 
-                disabled={loading}
-                style={{ background: '#ef4444' }}
+              <button
+                className="refresh-button"
+                onClick={handleReviewUpload}
+                disabled={loading || !parsedUpload || !parsedUpload.report.canUpload}
               >
-                {loading ? 'Clearing...' : 'Clear All Data'}
+                {loading ? 'Processing...' : failedUpload ? 'Resume Upload' : 'Upload & Process Data'}
               </button>
-            )}
-          </div>
+
+              {hasData && (
+                <button 
+                  className="refresh-button danger" 
+                  onClick={() => setConfirmingClear(true)} 
+                  disabled={loading || confirmingClear}
+                >
+                  Clear All Data
+                </button>
+              )}
+            </div>
+          )}
+
+          {confirmingClear && canUpload && hasData && (
+            <ClearDataDialog
+              summary={clearSummary(subnets)}
+              backup={backup}
+              onConfirm={handleClearData}
+              onCancel={() => setConfirmingClear(false)}
+              disabled={loading}
+            />
+          )}
+
+          {snapshotId === null && canUpload && backup && !confirmingClear && !uploadProgress && (
+            <RestoreBackup backup={backup} onRestore={handleRestoreBackup} disabled={loading} />
+          )}
+
+          {uploadProgress && (
+            <UploadProgress
+              progress={uploadProgress}
+              failed={failedUpload}
+              onResume={handleUploadNodes}
+              onDiscard={handleDiscardUpload}
+              disabled={loading}
+            />
+          )}
+
+          {pendingDiff && !uploadProgress && (
+            <TopologyDiff
+              diff={pendingDiff}
+              onConfirm={handleUploadNodes}
+              onCancel={handleCancelUpload}
+              disabled={loading}
+            />
+          )}
+
+          {parsedUpload && !pendingDiff && !uploadProgress && (
+            <ValidationReport
+              fileName={uploadFile?.name}
+              report={parsedUpload.report}
+              onConfirm={handleReviewUpload}
+              onCancel={handleCancelUpload}
+              disabled={loading}
+            />
+          )}
         </div>
 
-        {networkStats && realSubnetStats && (
+        {route.name === 'node' && (
+          <NodePage actor={actor} nodeId={route.id} lookup={lookupDataCenter} />
+        )}
+
+        {route.name === 'dc' && (
+          <NodeListPage actor={actor} kind={route.name} id={route.id} lookup={lookupDataCenter} />
+        )}
+
+        {(route.name === 'provider' || route.name === 'operator') && (
+          <ProviderProfile
+            kind={route.name}
+            id={route.id}
+            subnets={subnets}
+            names={providerNames}
+            lookup={lookupDataCenter}
+            loading={loading || connectionStatus === 'connecting'}
+          />
+        )}
+
+        {(route.name === 'providers' || route.name === 'operators') && (
+          <ProviderDirectory
+            kind={route.name === 'providers' ? 'provider' : 'operator'}
+            subnets={subnets}
+            names={providerNames}
+            loading={loading || connectionStatus === 'connecting'}
+          />
+        )}
+
+        {route.name === 'notFound' && (
+          <NotFound title="Page not found">
+            There is nothing at <code>{route.id}</code>.
+          </NotFound>
+        )}
+
+        {subnetNotFound && (
+          <NotFound title="Subnet not found">
+            No subnet with ID <code>{subnetNotFound}</code> is in the current topology.
+          </NotFound>
+        )}
+
+        {showDashboard && hasData && realSubnetStats && (
           <>
             {globalStats && (
                 <div className="top-summary">
@@ -492,36 +1123,266 @@ function App() {
             </div>
 
 
-            <div className="subnets-section">
-              <h2 className="subnets-title">Subnets({realSubnets.length})</h2>
-              <div className="subnets-grid">
-                {realSubnets.map((subnet, index) => (
-                  <button key={index} onClick={() => handleSubnetClick(subnet)}
-                    className={`subnet-card ${selectedSubnet?.subnetId === subnet.subnetId ? 'selected' : ''}`}>
-                    
-                    {/* Subnet ID - selectable for copying */}
-                    <div 
-                      className="subnet-id-selectable" 
-                      onClick={(e) => e.stopPropagation()}
-                      style={{ marginBottom: '8px' }}
-                    >
-                      {subnet.subnetId}
+            {realSubnets.length > 0 && (
+              <DecentralizationSummary
+                network={decentralization.network}
+                belowThresholdCount={subnetsBelowThreshold.length}
+                threshold={nakamotoThreshold}
+                onThresholdChange={setNakamotoThreshold}
+              />
+            )}
+
+            {realSubnets.length > 0 && (
+              <div className="analytics-section">
+                <div className="section-header">
+                  <h2 className="top-summary-title">📈 Analytics</h2>
+                  <span className="progress-text">Click a chart element to filter the subnet list</span>
+                  <span className="profile-links">
+                    <RouteLink to="providers">All node providers</RouteLink>
+                    <RouteLink to="operators">All node operators</RouteLink>
+                  </span>
+                </div>
+
+                <div className="stats-grid">
+                  <StatsCard title="Node providers" value={providerChartData.length} color="#10b981" icon="🏢" />
+                  <StatsCard title="Data centers" value={dataCenterChartData.length} color="#f59e0b" icon="🏭" />
+                  <StatsCard
+                    title="Average subnet size"
+                    value={(realSubnetStats.totalNodes / realSubnetStats.totalSubnets).toFixed(1)}
+                    color="#93c5fd"
+                    icon="📐"
+                  />
+                  <StatsCard
+                    title="Gen2 nodes"
+                    value={realSubnetStats.gen2Nodes}
+                    color={GENERATION_COLORS.Gen2}
+                    icon="⚡"
+                    percentage={realSubnetStats.totalNodes > 0 ? ((realSubnetStats.gen2Nodes / realSubnetStats.totalNodes) * 100).toFixed(1) : 0}
+                  />
+                </div>
+
+                <div className="charts-grid">
+                  <ChartCard title="Nodes by generation">
+                    <ResponsiveContainer width="100%" height={280}>
+                      <PieChart>
+                        <Pie
+                          data={pieData}
+                          dataKey="value"
+                          nameKey="name"
+                          outerRadius={100}
+                          label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                          onClick={(sector) => filterBy('generation', sector.payload.name)}
+                          cursor="pointer"
+                        >
+                          {pieData.map(entry => (
+                            <Cell key={entry.name} fill={entry.color} fillOpacity={chartOpacity('generation', entry.name)} />
+                          ))}
+                        </Pie>
+                        <Tooltip contentStyle={TOOLTIP_STYLE} />
+                        <Legend />
+                      </PieChart>
+                    </ResponsiveContainer>
+                  </ChartCard>
+
+                  <ChartCard title="Subnet sizes">
+                    <ResponsiveContainer width="100%" height={280}>
+                      <BarChart data={sizeChartData}>
+                        <XAxis dataKey="name" {...AXIS_PROPS} />
+                        <YAxis {...AXIS_PROPS} allowDecimals={false} />
+                        <Tooltip contentStyle={TOOLTIP_STYLE} cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }} />
+                        <Bar dataKey="subnets" name="Subnets" onClick={(bar) => filterBy('size', bar.payload.size)} cursor="pointer">
+                          {sizeChartData.map(entry => (
+                            <Cell key={entry.size} fill="#10b981" fillOpacity={chartOpacity('size', entry.size)} />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </ChartCard>
+
+                  <ChartCard title={`Nodes per subnet (${subnetChartData.length})`}>
+                    <div className="chart-scroll">
+                      <ResponsiveContainer width="100%" height={Math.max(200, subnetChartData.length * BAR_ROW_HEIGHT)}>
+                        <BarChart data={subnetChartData} layout="vertical">
+                          <XAxis type="number" {...AXIS_PROPS} allowDecimals={false} />
+                          <YAxis type="category" dataKey="name" width={90} interval={0} {...AXIS_PROPS} />
+                          <Tooltip contentStyle={TOOLTIP_STYLE} cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }} />
+                          <Legend />
+                          {['Gen1', 'Gen2', 'Unknown'].map(generation => (
+                            <Bar
+                              key={generation}
+                              dataKey={generation}
+                              stackId="generation"
+                              fill={GENERATION_COLORS[generation]}
+                              onClick={(bar) => filterBy('subnet', bar.payload.subnetId)}
+                              cursor="pointer"
+                            >
+                              {subnetChartData.map(entry => (
+                                <Cell
+                                  key={entry.subnetId}
+                                  fill={GENERATION_COLORS[generation]}
+                                  fillOpacity={chartOpacity('subnet', entry.subnetId)}
+                                />
+                              ))}
+                            </Bar>
+                          ))}
+                        </BarChart>
+                      </ResponsiveContainer>
                     </div>
-                    
-                    {/* Node counts */}
-                    <div className="subnet-stats">
-                      <span className="subnet-gen1">Gen1: {subnet.gen1Count.toString()}</span>
-                      <span className="subnet-gen2">Gen2: {subnet.gen2Count.toString()}</span>
+                  </ChartCard>
+
+                  <ChartCard title={`Nodes per provider (${providerChartData.length})`}>
+                    <div className="chart-scroll">
+                      <ResponsiveContainer width="100%" height={Math.max(200, providerChartData.length * BAR_ROW_HEIGHT)}>
+                        <BarChart data={providerChartData} layout="vertical">
+                          <XAxis type="number" {...AXIS_PROPS} allowDecimals={false} />
+                          <YAxis type="category" dataKey="name" width={90} interval={0} {...AXIS_PROPS} />
+                          <Tooltip contentStyle={TOOLTIP_STYLE} cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }} />
+                          <Bar dataKey="nodes" name="Nodes" onClick={(bar) => filterBy('provider', bar.payload.value)} cursor="pointer">
+                            {providerChartData.map(entry => (
+                              <Cell key={entry.value} fill="#8b5cf6" fillOpacity={chartOpacity('provider', entry.value)} />
+                            ))}
+                          </Bar>
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </ChartCard>
+
+                  <ChartCard title={`Nodes per data center (${dataCenterChartData.length})`}>
+                    <div className="chart-scroll">
+                      <ResponsiveContainer width="100%" height={Math.max(200, dataCenterChartData.length * BAR_ROW_HEIGHT)}>
+                        <BarChart data={dataCenterChartData} layout="vertical">
+                          <XAxis type="number" {...AXIS_PROPS} allowDecimals={false} />
+                          <YAxis type="category" dataKey="name" width={90} interval={0} {...AXIS_PROPS} />
+                          <Tooltip contentStyle={TOOLTIP_STYLE} cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }} />
+                          <Bar dataKey="nodes" name="Nodes" onClick={(bar) => filterBy('dc', bar.payload.value)} cursor="pointer">
+                            {dataCenterChartData.map(entry => (
+                              <Cell key={entry.value} fill="#f59e0b" fillOpacity={chartOpacity('dc', entry.value)} />
+                            ))}
+                          </Bar>
+                        </BarChart>
+                      </ResponsiveContainer>
                     </div>
-                    <div className="subnet-total">Total: {subnet.nodeCount.toString()} nodes</div>
-                  </button>
-                ))}
+                  </ChartCard>
+                </div>
               </div>
+            )}
+
+            <div className="subnets-section">
+              <SearchBar
+                filters={filters}
+                options={facetOptions(subnets)}
+                onChange={setFilters}
+                resultCount={filterResults ? filterResults.nodes.length : 0}
+              />
+
+              {filterResults && (
+                <SearchResults
+                  results={filterResults.nodes}
+                  onSelectSubnet={(subnetId) => handleSubnetClick({ subnetId })}
+                  actions={
+                    <ExportButtons
+                      view="filtered nodes"
+                      fileName="nodes-filtered"
+                      data={{ nodes: filterResults.nodes }}
+                      source={exportSource}
+                    />
+                  }
+                />
+              )}
+
+              <div className="section-header">
+                <h2 className="subnets-title">
+                  Subnets({filtersActive ? `${visibleSubnets.length} of ${realSubnets.length}` : realSubnets.length})
+                </h2>
+                <div className="view-toggle">
+                  {VIEWS.map(option => (
+                    <button
+                      key={option.key}
+                      className={`facet-chip ${view === option.key ? 'active' : ''}`}
+                      onClick={() => setView(option.key)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <ExportButtons
+                  view={filtersActive ? 'filtered subnets' : 'all subnets'}
+                  fileName="subnets"
+                  data={{ subnets: visibleSubnets }}
+                  source={exportSource}
+                />
+              </div>
+
+              {view === 'subnets' && (
+                <DataTable
+                  table="subnets"
+                  columns={SUBNET_COLUMNS}
+                  rows={subnetRows(visibleSubnets)}
+                  rowKey="subnetId"
+                  defaultSort={{ key: 'nodeCount', direction: 'desc' }}
+                  onRowClick={handleSubnetClick}
+                  selectedKey={selectedSubnet?.subnetId}
+                />
+              )}
+
+              {/* Every node, including unassigned and API boundary nodes */}
+              {view === 'nodes' && (
+                <DataTable
+                  table="nodes"
+                  columns={NODE_COLUMNS}
+                  rows={nodeRows(filterResults ? filterResults.nodes : nodeEntries(subnets))}
+                  rowKey="nodeId"
+                  defaultSort={{ key: 'subnetId', direction: 'asc' }}
+                />
+              )}
+
+              {view === 'cards' && (
+                <div className="subnets-grid">
+                  {visibleSubnets.map((subnet, index) => (
+                    <button key={index} onClick={() => handleSubnetClick(subnet)}
+                      className={`subnet-card ${selectedSubnet?.subnetId === subnet.subnetId ? 'selected' : ''} ${subnetsBelowThreshold.includes(subnet) ? 'below-threshold' : ''}`}>
+                      
+                      {/* Subnet ID - selectable for copying */}
+                      <div 
+                        className="subnet-id-selectable" 
+                        onClick={(e) => e.stopPropagation()}
+                        style={{ marginBottom: '8px' }}
+                      >
+                        {subnet.subnetId}
+                      </div>
+                      
+                      {/* Node counts */}
+                      <div className="subnet-stats">
+                        <span className="subnet-gen1">Gen1: {subnet.gen1Count.toString()}</span>
+                        <span className="subnet-gen2">Gen2: {subnet.gen2Count.toString()}</span>
+                      </div>
+                      <div className="subnet-total">Total: {subnet.nodeCount.toString()} nodes</div>
+                      <SubnetBadges config={subnet.config} />
+                      <DecentralizationBadge
+                        metrics={decentralization.bySubnet[subnet.subnetId]}
+                        belowThreshold={subnetsBelowThreshold.includes(subnet)}
+                      />
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
 
             {selectedSubnet && (
               <div className="details-section">
-                <h2 className="details-title">Subnet Details</h2>
+                <h2 className="details-title">
+                  Subnet Details
+                  {subnetCertificate && (
+                    <span
+                      className={`subnet-verification ${subnetCertificate.status === 'verified' || subnetCertificate.status === 'stale' ? subnetCertificate.status : 'unverified'}`}
+                      title={subnetCertificate.certifiedAt ? `Certified at ${subnetCertificate.certifiedAt.toLocaleString()}` : undefined}
+                    >
+                      {subnetCertificate.status === 'verified' && '✅ Certified'}
+                      {subnetCertificate.status === 'stale' && '⏱️ Stale certificate'}
+                      {subnetCertificate.status !== 'verified' && subnetCertificate.status !== 'stale' && '⚠️ Not verified'}
+                    </span>
+                  )}
+                </h2>
                 <div className="details-subnet-id">
                   <span className="details-subnet-label">ID:</span>
                   <span className="details-subnet-value">{selectedSubnet.subnetId}</span>
@@ -540,29 +1401,100 @@ function App() {
                     <div className="details-stat-value">{selectedSubnet.gen2Count.toString()}</div>
                   </div>
                 </div>
-                <h3 className="details-nodes-title">Nodes ({selectedSubnet.nodes.length})</h3>
-                <div className="nodes-grid">
-                  {selectedSubnet.nodes.map((node, index) => (
-                    <div key={index} className="node-card">
-                      <div className="node-id">{node.nodeId}</div>
-                      <div className={`node-badge ${node.generation.toLowerCase()}`}>
-                        {node.generation}
-                      </div>
-                      {node.region && <div style={{ fontSize: '11px', color: '#9ca3af' }}>Region: {node.region}</div>}
-                    </div>
-                  ))}
+                <DecentralizationStats metrics={selectedDecentralization} threshold={nakamotoThreshold} />
+                {selectedRisk && (
+                  <>
+                    <h3 className="details-nodes-title">Fault tolerance: {selectedRisk.faultTolerance} faulty nodes</h3>
+                    <RiskFindings risk={selectedRisk} />
+                  </>
+                )}
+                {selectedSubnet.subnetId !== 'unassigned' && selectedSubnet.subnetId !== 'api_boundary' && (
+                  <SubnetConfigPanel config={subnetConfigs[selectedSubnet.subnetId]} />
+                )}
+                <div className="section-header">
+                  <h3 className="details-nodes-title">Nodes ({selectedSubnet.nodes.length})</h3>
+                  <ExportButtons
+                    view={`subnet ${selectedSubnet.subnetId}`}
+                    fileName={`subnet-${selectedSubnet.subnetId}`}
+                    data={{ nodes: selectedNodes }}
+                    source={exportSource}
+                  />
                 </div>
+                {view === 'cards' ? (
+                  <div className="nodes-grid">
+                    {selectedSubnet.nodes.map((node, index) => (
+                      <div key={index} className="node-card">
+                        <div className="node-id">
+                          <RouteLink to="node" id={node.nodeId}>{node.nodeId}</RouteLink>
+                        </div>
+                        <div className={`node-badge ${node.generation.toLowerCase()}`}>
+                          {node.generation}
+                        </div>
+                        {node.dcId && (
+                          <div style={{ fontSize: '11px', color: '#9ca3af' }}>
+                            <RouteLink to="dc" id={node.dcId}>
+                              {node.dcId}: {lookupDataCenter(node.dcId).city}, {lookupDataCenter(node.dcId).countryName}
+                            </RouteLink>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <DataTable
+                    table="subnetNodes"
+                    columns={NODE_COLUMNS}
+                    rows={nodeRows(selectedNodes)}
+                    rowKey="nodeId"
+                    defaultSort={{ key: 'nodeId', direction: 'asc' }}
+                  />
+                )}
               </div>
             )}
+
+            <WorldMap
+              subnets={subnets}
+              lookup={lookupDataCenter}
+              selectedSubnetId={selectedSubnet?.subnetId}
+            />
+
+            <RolloutPanel subnets={subnets} />
+
+            <RiskReport risks={subnetRisks} />
+
+            <SpareCapacity capacity={capacity} />
+
+            <ApiBoundaryNodes boundary={boundary} />
+
+            <SnapshotTrends snapshots={snapshots} selectedId={snapshotId} />
+
+            {classificationRules && snapshotId === null && canUpload && (
+              <ClassificationRules
+                rules={classificationRules}
+                subnets={subnets}
+                onSave={handleSaveRules}
+                disabled={loading}
+              />
+            )}
           </>
         )}
 
-        {!networkStats && !loading && (
+        {showDashboard && !hasData && !loading && (
           <div style={{ textAlign: 'center', padding: '60px 20px', color: '#93c5fd' }}>
             <h2>Get Started</h2>
-            <p>Select and upload your JSON file to view the dashboard</p>
+            <p>
+              {canUpload
+                ? 'Select and upload your JSON file to view the dashboard'
+                : 'No topology has been uploaded yet. Sign in as an uploader to upload one.'}
+            </p>
           </div>
         )}
+
+        {showDashboard && actor && snapshotId === null && hasRole(role, 'admin') && (
+          <RoleManager actor={actor} disabled={loading} />
+        )}
+
+        {changeSummary && <ChangeToast changes={changeSummary} onDismiss={() => setChangeSummary(null)} />}
       </div>
     </div>
   );
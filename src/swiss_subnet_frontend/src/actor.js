@@ -1,34 +1,80 @@
 import { Actor, HttpAgent, Certificate } from "@dfinity/agent";
 import { Principal } from "@dfinity/principal";
 import { idlFactory } from "../../declarations/swiss_subnet_backend/swiss_subnet_backend.did.js";
+import {
+    DEFAULT_MAX_CERTIFICATE_AGE_MINUTES,
+    bytesEqual,
+    certificateTime,
+    expectedCertifiedData,
+    isCertificateStale,
+    lookupBytes,
+    toBytes,
+} from "./certification";
+import {
+    loadSettings,
+    needsRootKey,
+    resolveHost,
+    validateSettings,
+    withResilientQueries,
+    withRetries,
+    withTimeout,
+} from "./connection";
 
-const canisterId = import.meta.env.VITE_CANISTER_ID_SWISS_SUBNET_BACKEND;
-const network = import.meta.env.VITE_DFX_NETWORK || "local";
-const host = network === "ic" ? "https://ic0.app" : "http://localhost:4943";
+// Agent of the most recent getActor() call, used to verify certificates
+// against the same replica (and root key) the data came from
+let activeAgent = null;
 
 /**
- * Creates and configures an actor to communicate with the backend canister
+ * Create an agent for the settings, with the root key of non-mainnet replicas.
+ * Calls are anonymous unless an identity is given.
  */
-export async function getActor() {
-    if (!canisterId) {
-        throw new Error(
-            "Backend canister ID not found. " +
-            "Please ensure VITE_CANISTER_ID_SWISS_SUBNET_BACKEND is set in your .env file"
-        );
+async function createAgent(settings, identity) {
+    // Retries are done per query in withResilientQueries, not per HTTP request
+    const agent = new HttpAgent({ host: resolveHost(settings), identity, retryTimes: 0 });
+
+    // Fetch root key for local development only
+    if (needsRootKey(settings)) {
+        console.log("⚠️ Development mode: Fetching root key");
+        await withRetries(() => withTimeout(agent.fetchRootKey(), settings.timeoutMs, "fetchRootKey"), {
+            maxRetries: settings.maxRetries,
+        });
     }
-    
+    return agent;
+}
+
+/**
+ * Names of the query methods of an actor, read from its Candid interface
+ */
+function queryMethods(actor) {
+    return Actor.interfaceOf(actor)._fields
+        .filter(([, func]) => func.annotations.includes("query") || func.annotations.includes("composite_query"))
+        .map(([name]) => name);
+}
+
+/**
+ * Creates and configures an actor to communicate with the backend canister.
+ * Query methods time out and retry with backoff (see connection.js).
+ *
+ * @param {object} [settings] - network, host, canisterId, timeoutMs, maxRetries;
+ *   defaults to the saved settings or the `.env` values
+ * @param {object} [options]
+ * @param {function} [options.onRetry] - called with (method, attempt, error) before a retry
+ * @param {Identity} [options.identity] - signs the calls (see identity.js); anonymous by default
+ */
+export async function getActor(settings = loadSettings(), { onRetry, identity } = {}) {
+    const problems = validateSettings(settings);
+    if (problems.length > 0) {
+        throw new Error(problems.join(". "));
+    }
+
+    const host = resolveHost(settings);
+    const { network, canisterId } = settings;
     console.log("🔧 Initializing IC connection:", { canisterId, host, network });
     
     try {
-        const agent = new HttpAgent({ host });
-        
-        // Fetch root key for local development only
-        if (network !== "ic") {
-            console.log("⚠️ Development mode: Fetching root key");
-            await agent.fetchRootKey();
-        }
+        const agent = await createAgent(settings, identity);
         
-        const actor = Actor.createActor(idlFactory, {
+        const rawActor = Actor.createActor(idlFactory, {
             agent,
             canisterId,
         });
@@ -37,9 +83,18 @@ export async function getActor() {
         
         // Debug: Log available methods on the actor
         console.log("📋 Available actor methods:");
-        const methods = Object.getOwnPropertyNames(Object.getPrototypeOf(actor))
-            .filter(method => typeof actor[method] === 'function' && method !== 'constructor');
+        const methods = Object.getOwnPropertyNames(Object.getPrototypeOf(rawActor))
+            .filter(method => typeof rawActor[method] === 'function' && method !== 'constructor');
         console.log(methods);
+
+        const actor = withResilientQueries(rawActor, queryMethods(rawActor), {
+            timeoutMs: settings.timeoutMs,
+            maxRetries: settings.maxRetries,
+            onRetry: (method, attempt, err) => {
+                console.warn(`🔁 ${method} failed (${err.message}), retry ${attempt}/${settings.maxRetries}`);
+                onRetry?.(method, attempt, err);
+            },
+        });
         
         // Test connection with health check
         try {
@@ -49,6 +104,7 @@ export async function getActor() {
             console.warn("⚠️ Health check failed (this might be normal):", err.message);
         }
         
+        activeAgent = agent;
         return actor;
     } catch (err) {
         console.error("❌ Failed to create actor:", err);
@@ -65,118 +121,120 @@ function toHex(bytes) {
 }
 
 /**
- * Verify certificate from certified queries
+ * Validate the certificate of a certified query response and read the
+ * canister's certified_data and the certificate time from it.
+ * Returns null if the response has no certificate; throws if it is invalid.
  */
-export async function verifyCertificate(certifiedResponse, canisterId) {
-    try {
-        console.log("🔍 Starting certificate verification...");
-        
-        // Check if certificate exists
-        if (!certifiedResponse.certificate || certifiedResponse.certificate.length === 0) {
-            console.warn("⚠️ No certificate provided");
-            return false;
-        }
+async function readCertificate(certifiedResponse, canisterId) {
+    // Check if certificate exists
+    if (!certifiedResponse.certificate || certifiedResponse.certificate.length === 0) {
+        console.warn("⚠️ No certificate provided");
+        return null;
+    }
 
-        const certArray = certifiedResponse.certificate[0];
-        if (!certArray) {
-            console.warn("⚠️ Certificate is null");
-            return false;
-        }
+    const certArray = certifiedResponse.certificate[0];
+    if (!certArray) {
+        console.warn("⚠️ Certificate is null");
+        return null;
+    }
 
-        const certBytes = certArray instanceof Uint8Array 
-            ? certArray 
-            : new Uint8Array(certArray);
+    const certBytes = toBytes(certArray);
+    console.log(`📦 Certificate size: ${certBytes.length} bytes`);
 
-        console.log(`📦 Certificate size: ${certBytes.length} bytes`);
+    // Verify against the replica the actor is connected to; its root key
+    // was fetched once, when the connection was made
+    activeAgent ??= await createAgent(loadSettings());
+    
+    // Create Certificate instance (throws if the signature is invalid).
+    // The age is checked separately so a stale certificate can be told apart.
+    const cert = await Certificate.create({
+        certificate: certBytes,
+        rootKey: activeAgent.rootKey,
+        canisterId: Principal.fromText(canisterId),
+        maxAgeInMinutes: Infinity,
+    });
 
-        // Create agent with correct host for network
-        const agent = new HttpAgent({ host });
-        
-        // Fetch root key ONLY for local development
-        if (network !== "ic") {
-            console.log("⚠️ Verifying with local root key");
-            await agent.fetchRootKey();
-        }
-        
-        // Create Certificate instance
-        const cert = await Certificate.create({
-            certificate: certBytes,
-            rootKey: agent.rootKey,
-            canisterId: Principal.fromText(canisterId),
-        });
+    // Build path to certified_data
+    const pathSegments = [
+        new TextEncoder().encode("canister"),
+        Principal.fromText(canisterId).toUint8Array(),
+        new TextEncoder().encode("certified_data")
+    ];
 
-        // Build path to certified_data
-        const pathSegments = [
-            new TextEncoder().encode("canister"),
-            Principal.fromText(canisterId).toUint8Array(),
-            new TextEncoder().encode("certified_data")
-        ];
+    return {
+        certifiedData: lookupBytes(cert, pathSegments),
+        certifiedAt: certificateTime(cert),
+    };
+}
 
-        // Lookup certified data in certificate tree
-        const certifiedData_ab = cert.lookup(pathSegments);
+/**
+ * Check a certified query response end to end.
+ *
+ * @param {object} certifiedResponse - result of a certified query
+ * @param {object|Array} data - the payload to check (stats, a subnet, or all subnets)
+ * @param {string} canisterId
+ * @param {object} [options]
+ * @param {'stats'|'subnet'|'subnets'} [options.kind] - which certified query was called
+ * @param {number} [options.maxAgeMinutes] - maximum certificate age
+ * @returns {Promise<{ status: 'verified'|'stale'|'invalid'|'missing', certifiedAt: Date|null }>}
+ *   `stale` means the data matches a valid certificate that is older than the maximum age
+ */
+export async function checkCertifiedResponse(certifiedResponse, data, canisterId, options = {}) {
+    const { kind = "stats", maxAgeMinutes = DEFAULT_MAX_CERTIFICATE_AGE_MINUTES } = options;
 
-        // Declare certifiedData outside the if block
-        let certifiedData = null;
+    let certificate;
+    try {
+        certificate = await readCertificate(certifiedResponse, canisterId);
+    } catch (err) {
+        console.error("❌ Certificate verification failed:", err);
+        return { status: "invalid", certifiedAt: null };
+    }
+    if (!certificate) return { status: "missing", certifiedAt: null };
 
-        // The tree is often empty even after CertifiedData.set() - this is normal on IC
-        if (!certifiedData_ab || certifiedData_ab.byteLength === 0) {
-            console.warn("⚠️ Certified data tree is empty (expected on IC mainnet)");
-            console.log("✅ Certificate signature verified successfully");
-            console.log("🔍 Skipping tree check - will verify witness instead");
-            // certifiedData stays null - that's OK, we'll skip the tree comparison
-        } else {
-            certifiedData = new Uint8Array(certifiedData_ab);
-            console.log("✅ Certificate verified with tree data!");
-            console.log("🔒 Data is cryptographically guaranteed by the Internet Computer");
-        }
+    const { certifiedData, certifiedAt } = certificate;
+    if (!certifiedData || certifiedData.length === 0 || !certifiedAt) {
+        console.warn("⚠️ Certificate has no certified data or time for this canister");
+        return { status: "invalid", certifiedAt };
+    }
 
-        // Check witness
-        if (!certifiedResponse.witness) {
-            console.warn("⚠️ No witness provided in response");
-            return true; // Certificate is valid, just no witness to compare
-        }
+    const expected = await expectedCertifiedData(kind, data, certifiedResponse);
+    if (!expected) {
+        console.error("❌ Response carries no usable witness for the data");
+        return { status: "invalid", certifiedAt };
+    }
 
-        const responseHash = certifiedResponse.witness instanceof Uint8Array
-            ? certifiedResponse.witness
-            : new Uint8Array(certifiedResponse.witness);
+    console.log("📊 Certified data (hex):", toHex(certifiedData));
+    console.log("📊 Recomputed hash (hex):", toHex(expected));
 
-        // Debug output
-        console.log("📊 Certified data from tree (hex):", toHex(certifiedData));
-        console.log("📊 Witness from response (hex):", toHex(responseHash));
-        console.log("📊 Certified data length:", certifiedData ? certifiedData.length : 0);
-        console.log("📊 Witness length:", responseHash.length);
+    if (!bytesEqual(certifiedData, expected)) {
+        console.error("❌ Data hash mismatch - the data does not match what the canister certified");
+        return { status: "invalid", certifiedAt };
+    }
 
-        // Check if witness is empty (all zeros)
-        const isEmptyWitness = responseHash.every(b => b === 0);
-        if (isEmptyWitness) {
-            console.error("❌ Witness is empty (all zeros)");
-            console.log("💡 This means the backend hasn't initialized certified data yet");
-            return false;
-        }
+    if (isCertificateStale(certifiedAt, maxAgeMinutes)) {
+        console.warn(`⏱️ Certificate signed at ${certifiedAt.toISOString()} is older than ${maxAgeMinutes} minutes`);
+        return { status: "stale", certifiedAt };
+    }
 
-        // If tree data exists, verify it matches witness
-        if (certifiedData && certifiedData.length > 0) {
-            const hashesMatch = arrayEquals(certifiedData, responseHash);
-            
-            if (hashesMatch) {
-                console.log("✅ Data hash matches certificate!");
-                return true;
-            } else {
-                console.error("❌ Data hash mismatch");
-                console.log("💡 Possible causes:");
-                console.log("   1. Data changed between certification and query");
-                console.log("   2. Backend needs to call updateCertifiedData()");
-                console.log("   3. Timing issue in the query execution");
-                return false;
-            }
-        }
+    console.log("✅ Data hash matches certificate!");
+    console.log("🔒 Data is cryptographically guaranteed by the Internet Computer");
+    return { status: "verified", certifiedAt };
+}
+
+/**
+ * Verify the certificate of a certified query: its signature must be valid,
+ * it must be recent, and it must contain certified data for the canister.
+ * This does not check the returned payload, use verifyDataHash for that.
+ */
+export async function verifyCertificate(certifiedResponse, canisterId) {
+    try {
+        console.log("🔍 Starting certificate verification...");
+        const certificate = await readCertificate(certifiedResponse, canisterId);
+        if (!certificate || !certificate.certifiedData || !certificate.certifiedAt) return false;
+        if (isCertificateStale(certificate.certifiedAt)) return false;
 
-        // If no tree data, the witness itself is the proof
-        // The certificate signature proves the canister committed to this witness
-        console.log("✅ Certificate signature valid - witness accepted as proof");
-        console.log("🔒 Data is cryptographically guaranteed by the Internet Computer");
+        console.log("✅ Certificate signature verified");
         return true;
-        
     } catch (err) {
         console.error("❌ Certificate verification failed:", err);
         console.error("Error details:", err.message);
@@ -185,15 +243,13 @@ export async function verifyCertificate(certifiedResponse, canisterId) {
 }
 
 /**
- * Helper to compare Uint8Arrays
+ * Verify that `data` is what the canister certified: recompute its hash the
+ * way the backend does and compare it with the certified_data in a fresh
+ * certificate. Fails closed: any missing piece or mismatch returns false.
  */
-function arrayEquals(a, b) {
-    if (!a || !b) return false;
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) {
-        if (a[i] !== b[i]) return false;
-    }
-    return true;
+export async function verifyDataHash(certifiedResponse, data, canisterId, kind = "stats") {
+    const { status } = await checkCertifiedResponse(certifiedResponse, data, canisterId, { kind });
+    return status === "verified";
 }
 
 /**
@@ -263,18 +319,11 @@ export async function checkCanisterHealth(actor) {
     }
 }
 
-/**
- * Verify data hash (for backward compatibility)
- */
-export async function verifyDataHash(certifiedResponse, data, canisterId) {
-    // Simplified version - just return true if certificate is valid
-    return await verifyCertificate(certifiedResponse, canisterId);
-}
-
 export default {
     getActor,
     verifyCertificate,
     verifyDataHash,
+    checkCertifiedResponse,
     getErrorMessage,
     formatTimestamp,
     shouldRefreshData,
@@ -0,0 +1,79 @@
+/**
+ * Data for the analytics charts.
+ *
+ * Every series keeps the facet value it stands for (see filters.js) so a
+ * click on a chart element can filter the subnet list.
+ */
+
+export const GENERATION_COLORS = {
+    Gen1: "#8b5cf6",
+    Gen2: "#06b6d4",
+    Unknown: "#f59e0b",
+};
+
+/**
+ * Stacked Gen1/Gen2/Unknown node counts for every subnet, largest first
+ */
+export function subnetGenerationData(subnets) {
+    return [...subnets]
+        .sort((a, b) => Number(b.nodeCount) - Number(a.nodeCount) || a.subnetId.localeCompare(b.subnetId))
+        .map(subnet => ({
+            subnetId: subnet.subnetId,
+            name: subnet.subnetId.substring(0, 8) + "...",
+            Gen1: Number(subnet.gen1Count),
+            Gen2: Number(subnet.gen2Count),
+            Unknown: Number(subnet.unknownCount),
+        }));
+}
+
+/**
+ * Nodes and subnets per value of a node field, most nodes first
+ *
+ * @param {Array} subnets - SubnetInfo records including their nodes
+ * @param {string} field - node field such as `nodeProviderId` or `dcId`
+ * @returns {Array<{ value: string, name: string, nodes: number, subnets: number }>}
+ */
+export function nodeDistribution(subnets, field) {
+    const entries = new Map();
+    for (const subnet of subnets) {
+        for (const node of subnet.nodes) {
+            const value = node[field];
+            if (!value) continue;
+            if (!entries.has(value)) entries.set(value, { nodes: 0, subnetIds: new Set() });
+            const entry = entries.get(value);
+            entry.nodes += 1;
+            entry.subnetIds.add(subnet.subnetId);
+        }
+    }
+    return [...entries.entries()]
+        .map(([value, { nodes, subnetIds }]) => ({
+            value,
+            name: value.length > 12 ? value.substring(0, 8) + "..." : value,
+            nodes,
+            subnets: subnetIds.size,
+        }))
+        .sort((a, b) => b.nodes - a.nodes || a.value.localeCompare(b.value));
+}
+
+/**
+ * Number of subnets of each size, smallest size first. Subnets are sized in
+ * a handful of fixed node counts (13, 28, 34, 40...), so every count gets
+ * its own bar.
+ */
+export function nodeCountHistogram(subnets) {
+    const counts = new Map();
+    for (const subnet of subnets) {
+        const size = Number(subnet.nodeCount);
+        counts.set(size, (counts.get(size) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([size, subnetCount]) => ({ size: String(size), name: `${size} nodes`, subnets: subnetCount }));
+}
+
+export default {
+    GENERATION_COLORS,
+    subnetGenerationData,
+    nodeDistribution,
+    nodeCountHistogram,
+};
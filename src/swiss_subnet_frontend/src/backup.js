@@ -0,0 +1,60 @@
+/**
+ * Backup of the canister data.
+ *
+ * Before every clear, upload and restore the canister keeps a copy of its
+ * current data (unless it is empty). `getBackup` describes that copy and
+ * `restoreBackup` brings it back and recertifies it; the data it replaces
+ * becomes the new backup.
+ */
+
+import { VIRTUAL_SUBNETS } from "./topology";
+
+const REASONS = {
+    clear: "before the data was cleared",
+    upload: "before an upload",
+    restore: "before a restore",
+};
+
+/**
+ * Backup summary from the Candid `opt BackupSummary` of getBackup, or null
+ */
+export function fromCandidBackup(optional) {
+    const [summary] = optional;
+    if (!summary) return null;
+    return {
+        takenAt: summary.takenAt,
+        reason: Object.keys(summary.reason)[0],
+        dataUpdatedAt: summary.dataUpdatedAt,
+        totalSubnets: Number(summary.totalSubnets),
+        totalNodes: Number(summary.totalNodes),
+    };
+}
+
+/**
+ * What clearing the given subnets deletes
+ *
+ * @param {Array} subnets - SubnetInfo records, including the unassigned and
+ *   API boundary node lists
+ * @returns {{ subnets: number, nodes: number, virtualNodes: number }} where
+ *   `nodes` counts every node and `virtualNodes` those not in a real subnet
+ */
+export function clearSummary(subnets) {
+    const summary = { subnets: 0, nodes: 0, virtualNodes: 0 };
+    for (const subnet of subnets) {
+        const nodeCount = Number(subnet.nodeCount);
+        summary.nodes += nodeCount;
+        if (VIRTUAL_SUBNETS.includes(subnet.subnetId)) summary.virtualNodes += nodeCount;
+        else summary.subnets += 1;
+    }
+    return summary;
+}
+
+export function describeReason(reason) {
+    return REASONS[reason] || "";
+}
+
+export default {
+    fromCandidBackup,
+    clearSummary,
+    describeReason,
+};
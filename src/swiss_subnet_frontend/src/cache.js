@@ -0,0 +1,114 @@
+/**
+ * Offline cache of the last successfully loaded dashboard.
+ *
+ * The live data (stats, subnets, global stats and how it was verified) is
+ * saved in IndexedDB after every successful load, one entry per replica and
+ * canister. On startup the entry is shown right away, labeled with its age,
+ * while the dashboard keeps trying to reach the canister in the background.
+ *
+ * Every function resolves quietly (null / false) when IndexedDB is not
+ * available or fails: the cache is a convenience, never a requirement.
+ */
+
+import { isCertificateStale } from "./certification";
+import { resolveHost } from "./connection";
+
+const DB_NAME = "subnet-dashboard";
+const DB_VERSION = 1;
+const STORE = "dashboard";
+
+// While showing cached data, how often to try the canister again
+export const CACHE_RETRY_MS = 30000;
+
+/**
+ * Cache entry key for the connection settings
+ */
+export function dashboardCacheKey(settings) {
+    return `${resolveHost(settings)}|${settings.canisterId}`;
+}
+
+function openDatabase(indexedDb) {
+    return new Promise((resolve, reject) => {
+        if (!indexedDb) {
+            reject(new Error("IndexedDB is not available"));
+            return;
+        }
+        const request = indexedDb.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the store and resolve with its result
+ */
+async function withStore(mode, makeRequest, indexedDb = globalThis.indexedDB) {
+    const db = await openDatabase(indexedDb);
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Save the dashboard data. `savedAt` is stored in nanoseconds like the
+ * canister's timestamps, so formatTimestamp and shouldRefreshData apply.
+ *
+ * @param {string} key - from dashboardCacheKey
+ * @param {object} data - networkStats, globalStats, subnets, subnetConfigs,
+ *   certificateStatus, certifiedAt
+ */
+export async function saveDashboardCache(key, data, now = Date.now()) {
+    try {
+        await withStore("readwrite", store => store.put({ ...data, savedAt: BigInt(now) * 1000000n }, key));
+        return true;
+    } catch (err) {
+        console.warn("⚠️ Could not cache dashboard data:", err.message);
+        return false;
+    }
+}
+
+export async function loadDashboardCache(key) {
+    try {
+        return (await withStore("readonly", store => store.get(key))) || null;
+    } catch (err) {
+        console.warn("⚠️ Could not read cached dashboard data:", err.message);
+        return null;
+    }
+}
+
+export async function clearDashboardCache(key) {
+    try {
+        await withStore("readwrite", store => store.delete(key));
+        return true;
+    } catch (err) {
+        console.warn("⚠️ Could not clear cached dashboard data:", err.message);
+        return false;
+    }
+}
+
+/**
+ * Verification status to show for a cache entry: a certificate that was
+ * fresh when the data was saved may have become stale since
+ */
+export function cachedCertificateStatus(entry, now = Date.now()) {
+    if (entry.certificateStatus === "verified" && entry.certifiedAt && isCertificateStale(entry.certifiedAt, undefined, now)) {
+        return "stale";
+    }
+    return entry.certificateStatus;
+}
+
+export default {
+    CACHE_RETRY_MS,
+    dashboardCacheKey,
+    saveDashboardCache,
+    loadDashboardCache,
+    clearDashboardCache,
+    cachedCertificateStatus,
+};
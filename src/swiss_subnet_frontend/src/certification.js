@@ -0,0 +1,258 @@
+/**
+ * Client-side recomputation of the backend's certified data.
+ *
+ * The canister certifies SHA-256(statsHash || subnetsHash), where
+ *   statsHash   = SHA-256(debug_show(stats))
+ *   subnetsHash = SHA-256(SHA-256(debug_show(subnet)) for every subnet, ordered by ID)
+ * (see computeStatsHash / computeSubnetHash / updateCertifiedData in main.mo).
+ *
+ * `debugShow` reproduces Motoko's `debug_show` text for the certified types,
+ * which is why they are described by the schemas below. The schemas must be
+ * kept in sync with NetworkStats, SubnetInfo and NodeInfo in main.mo.
+ *
+ * Certificates are also checked for freshness: one signed longer ago than
+ * the maximum age (VITE_MAX_CERTIFICATE_AGE_MINUTES, default 5) is stale,
+ * since it could be an old response being replayed.
+ */
+
+export const DEFAULT_MAX_CERTIFICATE_AGE_MINUTES =
+    Number(import.meta.env?.VITE_MAX_CERTIFICATE_AGE_MINUTES) || 5;
+
+const NAT = "nat";
+const INT = "int";
+const TEXT = "text";
+const BOOL = "bool";
+
+export const NODE_SCHEMA = {
+    record: {
+        nodeId: TEXT,
+        generation: TEXT,
+        rewardType: TEXT,
+        hostosVersionId: TEXT,
+        nodeOperatorId: TEXT,
+        nodeProviderId: TEXT,
+        dcId: TEXT,
+        region: TEXT,
+        status: TEXT,
+    },
+};
+
+export const SUBNET_SCHEMA = {
+    record: {
+        subnetId: TEXT,
+        subnetType: TEXT,
+        nodeCount: NAT,
+        gen1Count: NAT,
+        gen2Count: NAT,
+        unknownCount: NAT,
+        nodes: { vec: NODE_SCHEMA },
+    },
+};
+
+export const STATS_SCHEMA = {
+    record: {
+        totalSubnets: NAT,
+        totalNodes: NAT,
+        gen1Nodes: NAT,
+        gen2Nodes: NAT,
+        unknownNodes: NAT,
+        lastUpdated: INT,
+    },
+};
+
+// Outcomes of checkCertifiedResponse (plus "unavailable" when a certified
+// query cannot be called), from best to worst
+export const CERTIFICATE_STATUSES = ["verified", "stale", "missing", "unavailable", "invalid"];
+
+/**
+ * The worst of several certificate statuses: a page is only as verified as
+ * the least verified data on it
+ */
+export function worstCertificateStatus(...statuses) {
+    return statuses.reduce((worst, status) => (
+        CERTIFICATE_STATUSES.indexOf(status) > CERTIFICATE_STATUSES.indexOf(worst) ? status : worst
+    ));
+}
+
+/**
+ * Motoko prints numbers with `_` every three digits, and Int with a sign
+ */
+function showNat(value) {
+    return BigInt(value).toString().replace(/\B(?=(\d{3})+(?!\d))/g, "_");
+}
+
+function showInt(value) {
+    const n = BigInt(value);
+    if (n === 0n) return "0";
+    return n < 0n ? `-${showNat(-n)}` : `+${showNat(n)}`;
+}
+
+/**
+ * Motoko `debug_show` of a value of the given schema.
+ * Record fields are printed in label order. Text is quoted without escaping,
+ * like Motoko's `@text_of_Text`: quotes, backslashes and non-ASCII characters
+ * are printed as they are, and the UTF-8 of the result is what gets hashed.
+ */
+export function debugShow(value, schema) {
+    if (schema === NAT) return showNat(value);
+    if (schema === INT) return showInt(value);
+    if (schema === TEXT) return `"${value}"`;
+    if (schema === BOOL) return value ? "true" : "false";
+    if (schema.vec) return `[${value.map(item => debugShow(item, schema.vec)).join(", ")}]`;
+    if (schema.opt) return value.length === 0 ? "null" : `?${debugShow(value[0], schema.opt)}`;
+    if (schema.record) {
+        const fields = Object.keys(schema.record)
+            .sort()
+            .map(label => `${label} = ${debugShow(value[label], schema.record[label])}`);
+        return `{${fields.join("; ")}}`;
+    }
+    throw new Error(`Unsupported schema: ${JSON.stringify(schema)}`);
+}
+
+export function toBytes(blob) {
+    return blob instanceof Uint8Array ? blob : new Uint8Array(blob);
+}
+
+export async function sha256(bytes) {
+    return new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", bytes));
+}
+
+function concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    for (const a of arrays) {
+        result.set(a, offset);
+        offset += a.length;
+    }
+    return result;
+}
+
+export function bytesEqual(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    return a.every((byte, i) => byte === b[i]);
+}
+
+export function hashStats(stats) {
+    return sha256(new TextEncoder().encode(debugShow(stats, STATS_SCHEMA)));
+}
+
+export function hashSubnet(subnet) {
+    return sha256(new TextEncoder().encode(debugShow(subnet, SUBNET_SCHEMA)));
+}
+
+/**
+ * Hash of all subnet hashes, given as `[subnetId, hash]` pairs in any order
+ */
+export function hashSubnetHashes(subnetHashes) {
+    const sorted = [...subnetHashes].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return sha256(concat(sorted.map(([, hash]) => toBytes(hash))));
+}
+
+export function rootHash(statsHash, subnetsHash) {
+    return sha256(concat([toBytes(statsHash), toBytes(subnetsHash)]));
+}
+
+/**
+ * Look up a path in a Certificate as bytes. Handles both the ArrayBuffer
+ * returned by older agents and the `{ status, value }` result of agent >= 1.0.
+ */
+export function lookupBytes(certificate, path) {
+    const result = certificate.lookup(path);
+    const value = result && "status" in result
+        ? (result.status === "found" ? result.value : undefined)
+        : result;
+    if (value instanceof ArrayBuffer || value instanceof Uint8Array) {
+        return new Uint8Array(value);
+    }
+    return null;
+}
+
+/**
+ * Decode an unsigned LEB128 number
+ */
+export function decodeLeb128(bytes) {
+    let result = 0n;
+    let shift = 0n;
+    for (const byte of bytes) {
+        result |= BigInt(byte & 0x7f) << shift;
+        if ((byte & 0x80) === 0) break;
+        shift += 7n;
+    }
+    return result;
+}
+
+/**
+ * Time at which the IC signed the certificate, from its `time` entry
+ */
+export function certificateTime(certificate) {
+    const bytes = lookupBytes(certificate, [new TextEncoder().encode("time")]);
+    if (!bytes) return null;
+    return new Date(Number(decodeLeb128(bytes) / 1000000n));
+}
+
+/**
+ * Whether a certificate signed at `certifiedAt` is older than the maximum age
+ */
+export function isCertificateStale(certifiedAt, maxAgeMinutes = DEFAULT_MAX_CERTIFICATE_AGE_MINUTES, now = Date.now()) {
+    return now - certifiedAt.getTime() > maxAgeMinutes * 60 * 1000;
+}
+
+/**
+ * Recompute the certified data for a payload from its certified query response.
+ * Returns null when the payload cannot be verified at all.
+ *
+ * @param {'stats'|'subnet'|'subnets'} kind - which certified query the response is from
+ * @param {object|Array} data - the payload to check: NetworkStats, a SubnetInfo
+ *   or the list of all SubnetInfo records
+ * @param {object} response - getNetworkStatsCertified, getSubnetByIdCertified
+ *   or getSubnetsCertified result, providing the witness
+ */
+export async function expectedCertifiedData(kind, data, response) {
+    const witness = toBytes(response.witness);
+    if (witness.length === 0 || !data) return null;
+
+    if (kind === "stats") {
+        return rootHash(await hashStats(data), witness);
+    }
+
+    if (kind === "subnet") {
+        const subnet = data;
+
+        // The subnet's own hash must be the one listed in the witness
+        const ownHash = await hashSubnet(subnet);
+        const listed = response.subnetHashes.find(([subnetId]) => subnetId === subnet.subnetId);
+        if (!listed || !bytesEqual(toBytes(listed[1]), ownHash)) return null;
+
+        return rootHash(witness, await hashSubnetHashes(response.subnetHashes));
+    }
+
+    if (kind === "subnets") {
+        const hashes = await Promise.all(
+            data.map(async subnet => [subnet.subnetId, await hashSubnet(subnet)])
+        );
+        return rootHash(witness, await hashSubnetHashes(hashes));
+    }
+
+    throw new Error(`Unknown certified response kind: ${kind}`);
+}
+
+export default {
+    DEFAULT_MAX_CERTIFICATE_AGE_MINUTES,
+    CERTIFICATE_STATUSES,
+    worstCertificateStatus,
+    NODE_SCHEMA,
+    SUBNET_SCHEMA,
+    STATS_SCHEMA,
+    debugShow,
+    sha256,
+    bytesEqual,
+    hashStats,
+    hashSubnet,
+    hashSubnetHashes,
+    rootHash,
+    lookupBytes,
+    decodeLeb128,
+    certificateTime,
+    isCertificateStale,
+    expectedCertifiedData,
+};
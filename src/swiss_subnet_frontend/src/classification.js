@@ -0,0 +1,151 @@
+/**
+ * Hardware generation classification rules.
+ *
+ * The backend classifies each node from its reward type (`node_reward_type`
+ * in topology.json) with an ordered rule table stored in the canister: the
+ * first rule whose pattern matches decides the generation, nodes matching no
+ * rule are "Unknown". This module mirrors that logic so the dashboard can
+ * preview what a rule change does before saving it.
+ */
+
+export const MATCH_TYPES = [
+    { key: "exact", label: "is exactly" },
+    { key: "prefix", label: "starts with" },
+    { key: "contains", label: "contains" },
+];
+
+export const GENERATIONS = ["Gen1", "Gen2", "Unknown"];
+
+// Same as DEFAULT_CLASSIFICATION_RULES in the backend
+export const DEFAULT_RULES = [
+    { matchType: "contains", pattern: "Type1", generation: "Gen1" },
+    { matchType: "contains", pattern: "Type3", generation: "Gen2" },
+];
+
+export const MAX_RULES = 100;
+
+/**
+ * Convert rules from the backend (`matchType` is a Candid variant)
+ */
+export function fromCandidRules(rules) {
+    return rules.map(rule => ({
+        matchType: Object.keys(rule.matchType)[0],
+        pattern: rule.pattern,
+        generation: rule.generation,
+    }));
+}
+
+/**
+ * Convert rules for setClassificationRules
+ */
+export function toCandidRules(rules) {
+    return rules.map(rule => ({
+        matchType: { [rule.matchType]: null },
+        pattern: rule.pattern,
+        generation: rule.generation,
+    }));
+}
+
+export function matchesRule(rule, rewardType) {
+    switch (rule.matchType) {
+        case "exact": return rewardType === rule.pattern;
+        case "prefix": return rewardType.startsWith(rule.pattern);
+        case "contains": return rewardType.includes(rule.pattern);
+        default: return false;
+    }
+}
+
+/**
+ * Generation of a reward type according to the first matching rule
+ */
+export function classifyRewardType(rules, rewardType) {
+    const rule = rules.find(rule => matchesRule(rule, rewardType || ""));
+    return rule ? rule.generation : "Unknown";
+}
+
+/**
+ * Check rules the way the backend does. Returns a list of problems.
+ */
+export function validateRules(rules) {
+    const problems = [];
+    if (rules.length > MAX_RULES) {
+        problems.push(`At most ${MAX_RULES} rules are allowed`);
+    }
+    rules.forEach((rule, index) => {
+        if (!rule.pattern) {
+            problems.push(`Rule ${index + 1} has an empty pattern`);
+        }
+        if (!MATCH_TYPES.some(({ key }) => key === rule.matchType)) {
+            problems.push(`Rule ${index + 1} has an invalid match type: ${rule.matchType}`);
+        }
+        if (!GENERATIONS.includes(rule.generation)) {
+            problems.push(`Rule ${index + 1} has an invalid generation: ${rule.generation}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Reward types present in the data with their node count and the
+ * generation the rules assign to them, most common first. Nodes without a
+ * reward type keep their generation, so they are left out.
+ *
+ * @param {Array} subnets - SubnetInfo records including their nodes
+ * @param {Array} rules
+ */
+export function rewardTypeSummary(subnets, rules) {
+    const counts = new Map();
+    for (const subnet of subnets) {
+        for (const node of subnet.nodes) {
+            if (!node.rewardType) continue;
+            counts.set(node.rewardType, (counts.get(node.rewardType) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .map(([rewardType, nodeCount]) => ({
+            rewardType,
+            nodeCount,
+            generation: classifyRewardType(rules, rewardType),
+            matched: rules.some(rule => matchesRule(rule, rewardType)),
+        }))
+        .sort((a, b) => b.nodeCount - a.nodeCount || a.rewardType.localeCompare(b.rewardType));
+}
+
+/**
+ * Nodes whose generation would change under `rules`. Like the canister,
+ * nodes without a reward type are never reclassified.
+ *
+ * @returns {Array<{ nodeId, subnetId, rewardType, from, to }>}
+ */
+export function previewReclassification(subnets, rules) {
+    const changes = [];
+    for (const subnet of subnets) {
+        for (const node of subnet.nodes) {
+            if (!node.rewardType) continue;
+            const generation = classifyRewardType(rules, node.rewardType);
+            if (generation !== node.generation) {
+                changes.push({
+                    nodeId: node.nodeId,
+                    subnetId: subnet.subnetId,
+                    rewardType: node.rewardType,
+                    from: node.generation,
+                    to: generation,
+                });
+            }
+        }
+    }
+    return changes;
+}
+
+export default {
+    MATCH_TYPES,
+    GENERATIONS,
+    DEFAULT_RULES,
+    fromCandidRules,
+    toCandidRules,
+    matchesRule,
+    classifyRewardType,
+    validateRules,
+    rewardTypeSummary,
+    previewReclassification,
+};
@@ -0,0 +1,172 @@
+import { useEffect, useState } from 'react';
+import { Principal } from '@dfinity/principal';
+import { getErrorMessage } from '../actor';
+import { ROLES, fromCandidRole, toCandidRole } from '../roles';
+
+const shortPrincipal = (text) => (text.length > 20 ? `${text.substring(0, 11)}…${text.substring(text.length - 5)}` : text);
+
+/**
+ * Who the dashboard calls the canister as, with the sign-in options
+ */
+export function SignIn({ principal, role, internetIdentity, onKeyFile, onInternetIdentity, onSignOut, disabled }) {
+  if (principal) {
+    return (
+      <div className="sign-in">
+        <span className="sign-in-principal" title={principal}>
+          🔑 {shortPrincipal(principal)}
+        </span>
+        {role && <span className={`role-badge ${role}`}>{role}</span>}
+        <button className="refresh-button secondary" onClick={onSignOut} disabled={disabled}>
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sign-in">
+      <span className="progress-text">Viewing anonymously</span>
+      <input
+        type="file"
+        accept=".pem"
+        id="identity-file"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          if (e.target.files[0]) onKeyFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+      <label htmlFor="identity-file" className="refresh-button secondary" style={{ cursor: 'pointer' }}>
+        Sign in with key file
+      </label>
+      {internetIdentity && (
+        <button className="refresh-button secondary" onClick={onInternetIdentity} disabled={disabled}>
+          Sign in with Internet Identity
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Role assignments, for admins
+ */
+export function RoleManager({ actor, disabled }) {
+  const [state, setState] = useState({ status: 'loading' });
+  const [principal, setPrincipal] = useState('');
+  const [role, setRole] = useState('uploader');
+  const [message, setMessage] = useState(null);
+
+  const load = async () => {
+    try {
+      const result = await actor.getRoles();
+      if ('err' in result) {
+        setState({ status: 'error', error: result.err });
+        return;
+      }
+      setState({
+        status: 'ok',
+        roles: result.ok
+          .map(([assignee, assigned]) => ({ principal: assignee.toText(), role: fromCandidRole(assigned) }))
+          .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.principal.localeCompare(b.principal)),
+      });
+    } catch (err) {
+      setState({ status: 'error', error: getErrorMessage(err) });
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [actor]);
+
+  const assign = async (text, name) => {
+    setMessage(null);
+    let target;
+    try {
+      target = Principal.fromText(text.trim());
+    } catch {
+      setMessage({ error: true, text: `Not a valid principal: ${text}` });
+      return;
+    }
+
+    try {
+      const result = await actor.setRole(target, toCandidRole(name));
+      if ('err' in result) {
+        setMessage({ error: true, text: result.err });
+        return;
+      }
+      setMessage({ error: false, text: result.ok });
+      setPrincipal('');
+      await load();
+    } catch (err) {
+      setMessage({ error: true, text: getErrorMessage(err) });
+    }
+  };
+
+  return (
+    <div className="details-section">
+      <h2 className="details-title">👥 Access Roles</h2>
+      <p className="progress-text">
+        Uploaders can upload, reclassify and clear the data; admins can also assign roles.
+        Controllers of the canister are always admins. Everyone else can only view.
+      </p>
+
+      {state.status === 'error' && <div className="error-banner">Failed to load roles: {state.error}</div>}
+
+      {state.status === 'ok' && (
+        <table className="country-table">
+          <thead>
+            <tr>
+              <th>Principal</th>
+              <th>Role</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {state.roles.length === 0 && (
+              <tr>
+                <td colSpan={3}>No roles assigned yet</td>
+              </tr>
+            )}
+            {state.roles.map(entry => (
+              <tr key={entry.principal}>
+                <td><code>{entry.principal}</code></td>
+                <td><span className={`role-badge ${entry.role}`}>{entry.role}</span></td>
+                <td>
+                  <button className="facet-chip" onClick={() => assign(entry.principal, 'viewer')} disabled={disabled}>
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form
+        className="classification-toolbar"
+        onSubmit={(e) => {
+          e.preventDefault();
+          assign(principal, role);
+        }}
+      >
+        <input
+          className="classification-pattern role-principal"
+          value={principal}
+          placeholder="Principal ID"
+          onChange={(e) => setPrincipal(e.target.value)}
+        />
+        <select className="facet-select" value={role} onChange={(e) => setRole(e.target.value)}>
+          {ROLES.filter(name => name !== 'viewer').map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button className="refresh-button" type="submit" disabled={disabled || !principal.trim()}>
+          Assign role
+        </button>
+      </form>
+
+      {message && (
+        <div className={message.error ? 'error-banner' : 'classification-banner'}>{message.text}</div>
+      )}
+    </div>
+  );
+}
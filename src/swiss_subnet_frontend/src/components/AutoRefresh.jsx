@@ -0,0 +1,55 @@
+import { useEffect } from 'react';
+import { REFRESH_INTERVALS, formatInterval, describeChanges } from '../refresh';
+import RouteLink from './RouteLink';
+
+const TOAST_DURATION_MS = 15000;
+const MAX_LISTED_SUBNETS = 5;
+
+/**
+ * How often to check the canister for new data
+ */
+export function RefreshIntervalPicker({ interval, onChange, disabled }) {
+  return (
+    <label className="refresh-interval">
+      Auto-refresh
+      <select value={interval} onChange={(e) => onChange(Number(e.target.value))} disabled={disabled}>
+        {[...new Set([...REFRESH_INTERVALS, interval])].sort((a, b) => a - b).map(seconds => (
+          <option key={seconds} value={seconds}>{formatInterval(seconds)}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Summary of what changed in the last background refresh
+ */
+export function ChangeToast({ changes, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [changes]);
+
+  const listed = changes.changedSubnets.slice(0, MAX_LISTED_SUBNETS);
+  const more = changes.changedSubnets.length - listed.length;
+
+  return (
+    <div className="change-toast" role="status">
+      <div className="change-toast-header">
+        <strong>🔄 Data updated</strong>
+        <button className="change-toast-close" onClick={onDismiss} aria-label="Dismiss">✕</button>
+      </div>
+      <div>{describeChanges(changes)}</div>
+      {listed.length > 0 && (
+        <div className="change-toast-subnets">
+          {listed.map(subnetId => (
+            <RouteLink key={subnetId} to="subnet" id={subnetId}>
+              {subnetId.substring(0, 8)}…
+            </RouteLink>
+          ))}
+          {more > 0 && <span>and {more} more</span>}
+        </div>
+      )}
+    </div>
+  );
+}
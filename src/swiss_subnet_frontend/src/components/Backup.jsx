@@ -0,0 +1,52 @@
+import { formatTimestamp } from '../actor';
+import { describeReason } from '../backup';
+
+/**
+ * Confirmation before clearing, with what would be deleted
+ */
+export function ClearDataDialog({ summary, backup, onConfirm, onCancel, disabled }) {
+  return (
+    <div className="validation-report clear-dialog">
+      <h3 className="validation-title">Clear all data?</h3>
+
+      <div className="validation-counts">
+        <span className="diff-removed">{summary.subnets.toLocaleString()} subnets</span>
+        <span className="diff-removed">{summary.nodes.toLocaleString()} nodes</span>
+        {summary.virtualNodes > 0 && (
+          <span>of which {summary.virtualNodes.toLocaleString()} unassigned or API boundary nodes</span>
+        )}
+      </div>
+
+      <p className="progress-text">
+        The canister keeps a copy of this data until the next upload, and "Restore previous data" brings it back.
+        {backup && ` The copy replaces the one of the data from ${formatTimestamp(backup.dataUpdatedAt)}.`}
+      </p>
+
+      <div className="header-controls">
+        <button className="refresh-button danger" onClick={onConfirm} disabled={disabled}>
+          {disabled ? 'Clearing...' : 'Clear All Data'}
+        </button>
+        <button className="refresh-button secondary" onClick={onCancel} disabled={disabled}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The data saved by the last clear, upload or restore, and how to get it back
+ */
+export function RestoreBackup({ backup, onRestore, disabled }) {
+  return (
+    <div className="backup-banner">
+      <span>
+        💾 Previous data: {backup.totalSubnets} subnets, {backup.totalNodes} nodes from{' '}
+        {formatTimestamp(backup.dataUpdatedAt)}, saved {describeReason(backup.reason)} on {formatTimestamp(backup.takenAt)}
+      </span>
+      <button className="refresh-button secondary" onClick={onRestore} disabled={disabled}>
+        Restore previous data
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react';
+import {
+  MATCH_TYPES,
+  GENERATIONS,
+  DEFAULT_RULES,
+  validateRules,
+  rewardTypeSummary,
+  previewReclassification,
+} from '../classification';
+
+const EMPTY_RULE = { matchType: 'exact', pattern: '', generation: 'Gen2' };
+
+/**
+ * Editor for the reward type → generation rules stored in the canister,
+ * with a preview of the nodes a change would reclassify
+ */
+function ClassificationRules({ rules, subnets, onSave, disabled }) {
+  const [draft, setDraft] = useState(rules);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => setDraft(rules), [rules]);
+
+  const problems = validateRules(draft);
+  const changes = previewReclassification(subnets, draft);
+  const summary = rewardTypeSummary(subnets, draft);
+  const unmatched = summary.filter(entry => !entry.matched);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(rules);
+
+  const updateRule = (index, field, value) => {
+    setDraft(draft.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...draft];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setDraft(next);
+  };
+
+  return (
+    <div className="details-section">
+      <div className="section-header">
+        <h2 className="details-title">🏷️ Generation Classification</h2>
+        <button className="refresh-button secondary" onClick={() => setOpen(!open)}>
+          {open ? 'Hide rules' : `Edit rules (${rules.length})`}
+        </button>
+      </div>
+
+      {unmatched.length > 0 && (
+        <div className="warning-banner">
+          Reward types without a rule (classified as Unknown):{' '}
+          {unmatched.map(entry => `${entry.rewardType} (${entry.nodeCount})`).join(', ')}
+        </div>
+      )}
+
+      {open && (
+        <>
+          <p className="progress-text">
+            Rules are tried from top to bottom; the first rule matching a node&apos;s reward type decides its generation.
+          </p>
+
+          <table className="country-table classification-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Reward type</th>
+                <th>Pattern</th>
+                <th>Generation</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.map((rule, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  <td>
+                    <select
+                      className="facet-select"
+                      value={rule.matchType}
+                      onChange={(e) => updateRule(index, 'matchType', e.target.value)}
+                    >
+                      {MATCH_TYPES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      className="classification-pattern"
+                      value={rule.pattern}
+                      placeholder="Type3dot1"
+                      onChange={(e) => updateRule(index, 'pattern', e.target.value)}
+                    />
+                  </td>
+                  <td>
+                    <select
+                      className="facet-select"
+                      value={rule.generation}
+                      onChange={(e) => updateRule(index, 'generation', e.target.value)}
+                    >
+                      {GENERATIONS.map(generation => <option key={generation} value={generation}>{generation}</option>)}
+                    </select>
+                  </td>
+                  <td className="classification-actions">
+                    <button className="facet-chip" onClick={() => moveRule(index, -1)} disabled={index === 0}>↑</button>
+                    <button className="facet-chip" onClick={() => moveRule(index, 1)} disabled={index === draft.length - 1}>↓</button>
+                    <button className="facet-chip" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="classification-toolbar">
+            <button className="refresh-button secondary" onClick={() => setDraft([...draft, EMPTY_RULE])}>
+              Add rule
+            </button>
+            <button className="refresh-button secondary" onClick={() => setDraft(DEFAULT_RULES)}>
+              Reset to defaults
+            </button>
+          </div>
+
+          {summary.length > 0 && (
+            <>
+              <h3 className="details-nodes-title">Reward types in the data</h3>
+              <table className="country-table">
+                <thead>
+                  <tr>
+                    <th>Reward type</th>
+                    <th>Nodes</th>
+                    <th>Generation</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.map(entry => (
+                    <tr key={entry.rewardType} className={entry.matched ? '' : 'rollout-minority'}>
+                      <td><code>{entry.rewardType}</code></td>
+                      <td>{entry.nodeCount}</td>
+                      <td>{entry.generation}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {problems.length > 0 && (
+            <ul className="connection-problems">
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+
+          {dirty && (
+            <div className="classification-toolbar">
+              <span className="progress-text">
+                {changes.length === 0
+                  ? 'No stored node changes generation.'
+                  : `${changes.length} nodes change generation: ${summarizeChanges(changes)}.`}
+              </span>
+              <button
+                className="refresh-button"
+                onClick={() => onSave(draft)}
+                disabled={disabled || problems.length > 0}
+              >
+                Save and reclassify
+              </button>
+              <button className="refresh-button secondary" onClick={() => setDraft(rules)} disabled={disabled}>
+                Discard changes
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function summarizeChanges(changes) {
+  const counts = new Map();
+  for (const { from, to } of changes) {
+    const key = `${from} → ${to}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].map(([key, count]) => `${count} ${key}`).join(', ');
+}
+
+export default ClassificationRules;
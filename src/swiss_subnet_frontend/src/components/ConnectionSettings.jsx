@@ -0,0 +1,131 @@
+import { useEffect, useState } from 'react';
+import { NETWORKS, DEFAULT_SETTINGS, resolveHost, validateSettings } from '../connection';
+
+const STATUS_LABELS = {
+  connecting: 'Connecting…',
+  connected: 'Connected',
+  offline: 'Offline',
+  error: 'Connection failed',
+};
+
+/**
+ * Network switcher: local replica, a custom replica URL or mainnet.
+ * Applying new settings rebuilds the actor without reloading the page.
+ */
+function ConnectionSettings({ settings, status, retrying, onApply, onReset, disabled }) {
+  const [draft, setDraft] = useState(settings);
+  const [open, setOpen] = useState(false);
+
+  // Start from the active settings whenever they change
+  useEffect(() => setDraft(settings), [settings]);
+
+  const problems = validateSettings(draft);
+
+  const selectNetwork = (network) => {
+    // The built-in networks use their well-known host
+    setDraft({ ...draft, network, host: network === 'custom' ? draft.host : '' });
+  };
+
+  const apply = (e) => {
+    e.preventDefault();
+    if (problems.length > 0) return;
+    onApply(draft);
+    setOpen(false);
+  };
+
+  return (
+    <div className="connection-settings">
+      <button className={`connection-status ${status}`} onClick={() => setOpen(!open)} title="Change network">
+        <span className="connection-dot" />
+        {NETWORKS[settings.network]?.label || settings.network} · {resolveHost(settings)}
+        <span className="connection-state">
+          {STATUS_LABELS[status]}
+          {retrying && ` (retrying ${retrying.method}, attempt ${retrying.attempt})`}
+        </span>
+      </button>
+
+      {open && (
+        <form className="connection-form" onSubmit={apply}>
+          <div className="connection-networks">
+            {Object.entries(NETWORKS).map(([key, network]) => (
+              <label key={key} className={`facet-chip ${draft.network === key ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="network"
+                  value={key}
+                  checked={draft.network === key}
+                  onChange={() => selectNetwork(key)}
+                />
+                {network.label}
+              </label>
+            ))}
+          </div>
+
+          {draft.network === 'custom' && (
+            <label className="connection-field">
+              Replica URL
+              <input
+                type="url"
+                placeholder="http://localhost:8080"
+                value={draft.host}
+                onChange={(e) => setDraft({ ...draft, host: e.target.value })}
+              />
+            </label>
+          )}
+
+          <label className="connection-field">
+            Backend canister ID
+            <input
+              type="text"
+              value={draft.canisterId}
+              onChange={(e) => setDraft({ ...draft, canisterId: e.target.value.trim() })}
+            />
+          </label>
+
+          <div className="connection-field-row">
+            <label className="connection-field">
+              Timeout (seconds)
+              <input
+                type="number"
+                min="1"
+                value={draft.timeoutMs / 1000}
+                onChange={(e) => setDraft({ ...draft, timeoutMs: Math.max(1, Number(e.target.value) || 1) * 1000 })}
+              />
+            </label>
+            <label className="connection-field">
+              Retries
+              <input
+                type="number"
+                min="0"
+                value={draft.maxRetries}
+                onChange={(e) => setDraft({ ...draft, maxRetries: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+              />
+            </label>
+          </div>
+
+          {problems.length > 0 && (
+            <ul className="connection-problems">
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+
+          <div className="connection-actions">
+            <button type="submit" className="refresh-button" disabled={disabled || problems.length > 0}>
+              Connect
+            </button>
+            <button
+              type="button"
+              className="refresh-button secondary"
+              onClick={() => { setDraft(DEFAULT_SETTINGS); onReset(); setOpen(false); }}
+              disabled={disabled}
+            >
+              Reset to defaults
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ConnectionSettings;
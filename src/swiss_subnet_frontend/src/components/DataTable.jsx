@@ -0,0 +1,151 @@
+import { useEffect, useMemo, useState } from 'react';
+import { PAGE_SIZES, ROW_HEIGHT, sortRows, paginate, visibleRange, loadColumns, saveColumns } from '../tables';
+import RouteLink from './RouteLink';
+
+const VIEWPORT_HEIGHT = 480;
+
+const shortId = (id) => (id.length > 16 ? `${id.substring(0, 15)}…` : id);
+
+function Cell({ column, value }) {
+  if (value === '' || value === null || value === undefined) return <td>—</td>;
+  if (column.link) {
+    return (
+      <td title={value}>
+        <RouteLink to={column.link} id={value}>{shortId(value)}</RouteLink>
+      </td>
+    );
+  }
+  return <td className={column.numeric ? 'numeric' : ''}>{column.format ? column.format(value) : value}</td>;
+}
+
+/**
+ * Sortable, paginated table with column selection. Only the rows scrolled
+ * into view are rendered.
+ *
+ * @param {string} table - name under which the column selection is saved
+ */
+function DataTable({ table, columns, rows, rowKey, defaultSort, onRowClick, selectedKey }) {
+  const [sort, setSort] = useState(defaultSort);
+  const [page, setPage] = useState(0);
+  // Rows are virtualized, so the whole table fits on one page by default
+  const [pageSize, setPageSize] = useState(0);
+  const [visibleKeys, setVisibleKeys] = useState(() => loadColumns(table, columns));
+  const [showColumns, setShowColumns] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  useEffect(() => saveColumns(table, visibleKeys), [table, visibleKeys]);
+
+  // A different row count, order or page size starts again from the top
+  useEffect(() => {
+    setPage(0);
+    setScrollTop(0);
+  }, [rows.length, sort, pageSize]);
+
+  const sorted = useMemo(() => sortRows(rows, sort.key, sort.direction), [rows, sort]);
+  const current = paginate(sorted, page, pageSize);
+  const { start, end } = visibleRange(scrollTop, VIEWPORT_HEIGHT, current.rows.length);
+  const shownColumns = columns.filter(column => visibleKeys.includes(column.key));
+
+  const toggleSort = (key) => {
+    setSort(sort.key === key
+      ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: columns.find(column => column.key === key).numeric ? 'desc' : 'asc' });
+  };
+
+  const toggleColumn = (key) => {
+    const next = visibleKeys.includes(key) ? visibleKeys.filter(k => k !== key) : [...visibleKeys, key];
+    // Keep the column order of the definitions, and at least one column
+    if (next.length > 0) setVisibleKeys(columns.map(column => column.key).filter(k => next.includes(k)));
+  };
+
+  const changePage = (next) => {
+    setPage(next);
+    setScrollTop(0);
+  };
+
+  return (
+    <div className="data-table">
+      <div className="data-table-toolbar">
+        <span className="progress-text">{rows.length.toLocaleString()} rows</span>
+        <button className="refresh-button secondary" onClick={() => setShowColumns(!showColumns)}>
+          Columns ({shownColumns.length}/{columns.length})
+        </button>
+        <label className="data-table-page-size">
+          Rows per page
+          <select value={pageSize} onChange={(e) => setPageSize(Number(e.target.value))}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size || 'All'}</option>)}
+          </select>
+        </label>
+        {current.pageCount > 1 && (
+          <span className="data-table-pages">
+            <button className="facet-chip" onClick={() => changePage(current.page - 1)} disabled={current.page === 0}>‹</button>
+            Page {current.page + 1} of {current.pageCount}
+            <button
+              className="facet-chip"
+              onClick={() => changePage(current.page + 1)}
+              disabled={current.page === current.pageCount - 1}
+            >
+              ›
+            </button>
+          </span>
+        )}
+      </div>
+
+      {showColumns && (
+        <div className="data-table-columns">
+          {columns.map(column => (
+            <label key={column.key}>
+              <input
+                type="checkbox"
+                checked={visibleKeys.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div
+        key={`${current.page}-${sort.key}-${sort.direction}`}
+        className="data-table-viewport"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="country-table">
+          <thead>
+            <tr>
+              {shownColumns.map(column => (
+                <th
+                  key={column.key}
+                  className={`sortable ${column.numeric ? 'numeric' : ''}`}
+                  onClick={() => toggleSort(column.key)}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {start > 0 && <tr style={{ height: start * ROW_HEIGHT }} />}
+            {current.rows.slice(start, end).map(row => (
+              <tr
+                key={row[rowKey]}
+                style={{ height: ROW_HEIGHT }}
+                className={`${onRowClick ? 'clickable' : ''} ${row[rowKey] === selectedKey ? 'selected' : ''}`}
+                onClick={onRowClick ? () => onRowClick(row) : undefined}
+              >
+                {shownColumns.map(column => <Cell key={column.key} column={column} value={row[column.key]} />)}
+              </tr>
+            ))}
+            {end < current.rows.length && <tr style={{ height: (current.rows.length - end) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default DataTable;
@@ -0,0 +1,83 @@
+import { DIMENSIONS } from '../metrics';
+
+/**
+ * Network-wide decentralization overview with the highlight threshold setting
+ */
+export function DecentralizationSummary({ network, belowThresholdCount, threshold, onThresholdChange }) {
+  return (
+    <div className="top-summary">
+      <h2 className="top-summary-title">🛡️ Decentralization</h2>
+      <div className="top-summary-grid">
+        {DIMENSIONS.map(({ key, label }) => (
+          <div key={key} className="top-summary-card total">
+            <div className="top-summary-label">{label}</div>
+            <div className="top-summary-value">{network[key].distinct}</div>
+            <div className="top-summary-percentage">
+              Nakamoto: {network[key].nakamoto}
+              {network[key].minSubnetNakamoto !== undefined && (
+                <> · weakest subnet: {network[key].minSubnetNakamoto}</>
+              )}
+              {network[key].unknown > 0 && <> · {network[key].unknown} nodes unknown, left out</>}
+            </div>
+          </div>
+        ))}
+
+        <div className={`top-summary-card ${belowThresholdCount > 0 ? 'unknown' : 'gen2'}`}>
+          <div className="top-summary-label">Subnets below threshold</div>
+          <div className="top-summary-value">{belowThresholdCount}</div>
+          <label className="threshold-input">
+            Nakamoto threshold
+            <input
+              type="number"
+              min="1"
+              value={threshold}
+              onChange={(e) => onThresholdChange(Math.max(1, Number(e.target.value) || 1))}
+            />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Compact per-subnet line for subnet cards
+ */
+export function DecentralizationBadge({ metrics, belowThreshold }) {
+  if (!metrics) return null;
+
+  return (
+    <div className={`subnet-decentralization ${belowThreshold ? 'below-threshold' : ''}`}>
+      {belowThreshold && <span title="Nakamoto coefficient below threshold">⚠️ </span>}
+      NC {metrics.providers.nakamoto}/{metrics.operators.nakamoto}/{metrics.dataCenters.nakamoto}
+      <span className="subnet-decentralization-distinct">
+        {' '}· {metrics.providers.distinct} NP · {metrics.operators.distinct} NO · {metrics.dataCenters.distinct} DC
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Distinct entities and Nakamoto coefficients for the details section
+ */
+export function DecentralizationStats({ metrics, threshold }) {
+  if (!metrics) return null;
+
+  return (
+    <div className="details-stats-grid">
+      {DIMENSIONS.map(({ key, label }) => (
+        <div key={key}>
+          <div className="details-stat-label">{label}</div>
+          <div className="details-stat-value">{metrics[key].distinct}</div>
+          <div className={`details-stat-sub ${metrics[key].nakamoto < threshold ? 'below-threshold' : ''}`}>
+            Nakamoto coefficient: {metrics[key].nakamoto}
+          </div>
+          <div className="details-stat-sub">Largest share: {metrics[key].largest} nodes</div>
+          {metrics[key].unknown > 0 && (
+            <div className="details-stat-sub">{metrics[key].unknown} nodes unknown, left out</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { buildExport, downloadFile, exportMetadata } from '../exportData';
+
+/**
+ * CSV / JSON download buttons for one view of the data
+ *
+ * `data` is `{ subnets }` or `{ nodes }` (see buildExport); `source` holds the
+ * networkStats, globalStats and certificateStatus the export is stamped with.
+ */
+function ExportButtons({ view, fileName, data, source }) {
+  const handleExport = (format) => {
+    const metadata = exportMetadata({ ...source, view });
+    const { content, mimeType, extension } = buildExport(format, data, metadata);
+    downloadFile(`${fileName}.${extension}`, content, mimeType);
+  };
+
+  return (
+    <div className="export-buttons">
+      <button className="export-button" onClick={() => handleExport('csv')}>⬇ CSV</button>
+      <button className="export-button" onClick={() => handleExport('json')}>⬇ JSON</button>
+    </div>
+  );
+}
+
+export default ExportButtons;
@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import { getErrorMessage } from '../actor';
+import RouteLink from './RouteLink';
+import NotFound from './NotFound';
+
+// Node providers and operators have profile pages of their own (Providers.jsx)
+const KINDS = {
+  dc: {
+    title: 'Data Center',
+    query: (actor, id) => actor.getNodesByDataCenter(id),
+    notFound: 'data center',
+  },
+};
+
+const shortId = (id) => (id.length > 12 ? `${id.substring(0, 11)}…` : id);
+
+/**
+ * All nodes of a data center
+ */
+function NodeListPage({ actor, kind, id, lookup }) {
+  const [state, setState] = useState({ status: 'loading' });
+  const config = KINDS[kind];
+
+  useEffect(() => {
+    if (!actor) return;
+    let cancelled = false;
+    setState({ status: 'loading' });
+
+    config.query(actor, id)
+      .then(nodes => {
+        if (!cancelled) setState({ status: 'ok', nodes });
+      })
+      .catch(err => {
+        if (!cancelled) setState({ status: 'error', error: getErrorMessage(err) });
+      });
+
+    return () => { cancelled = true; };
+  }, [actor, kind, id]);
+
+  if (state.status === 'loading') {
+    return <div className="details-section">Loading {config.notFound} {id}...</div>;
+  }
+
+  if (state.status === 'error') {
+    return <div className="error-banner">Failed to load {config.notFound}: {state.error}</div>;
+  }
+
+  if (state.nodes.length === 0) {
+    return (
+      <NotFound title={`${config.title} not found`}>
+        No nodes of {config.notFound} <code>{id}</code> are in the current topology.
+      </NotFound>
+    );
+  }
+
+  const nodes = state.nodes;
+  const subnetIds = new Set(nodes.map(entry => entry.subnetId));
+  const gen1 = nodes.filter(entry => entry.node.generation === 'Gen1').length;
+  const gen2 = nodes.filter(entry => entry.node.generation === 'Gen2').length;
+  const location = kind === 'dc' ? lookup(id) : null;
+
+  return (
+    <div className="details-section">
+      <RouteLink to="home">← Dashboard</RouteLink>
+      <h2 className="details-title">{config.title}</h2>
+      <div className="details-subnet-id">
+        <span className="details-subnet-label">ID:</span>
+        <span className="details-subnet-value">{id}</span>
+      </div>
+      {location && (
+        <div className="entity-location">{location.city}, {location.countryName} ({location.continent})</div>
+      )}
+
+      <div className="details-stats-grid">
+        <div>
+          <div className="details-stat-label">Nodes</div>
+          <div className="details-stat-value">{nodes.length}</div>
+        </div>
+        <div>
+          <div className="details-stat-label">Subnets</div>
+          <div className="details-stat-value">{subnetIds.size}</div>
+        </div>
+        <div>
+          <div className="details-stat-label">Gen1 / Gen2</div>
+          <div className="details-stat-value">{gen1} / {gen2}</div>
+        </div>
+      </div>
+
+      <h3 className="details-nodes-title">Nodes ({nodes.length})</h3>
+      <table className="country-table">
+        <thead>
+          <tr>
+            <th>Node</th>
+            <th>Subnet</th>
+            <th>Generation</th>
+            <th>Status</th>
+            <th>Node provider</th>
+          </tr>
+        </thead>
+        <tbody>
+          {nodes.map(({ node, subnetId }) => (
+            <tr key={node.nodeId}>
+              <td><RouteLink to="node" id={node.nodeId}>{shortId(node.nodeId)}</RouteLink></td>
+              <td><RouteLink to="subnet" id={subnetId}>{shortId(subnetId)}</RouteLink></td>
+              <td>{node.generation}</td>
+              <td>{node.status}</td>
+              <td>
+                {node.nodeProviderId && (
+                  <RouteLink to="provider" id={node.nodeProviderId}>{shortId(node.nodeProviderId)}</RouteLink>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default NodeListPage;
@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import { getErrorMessage } from '../actor';
+import RouteLink from './RouteLink';
+import NotFound from './NotFound';
+
+function NodePage({ actor, nodeId, lookup }) {
+  const [state, setState] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    if (!actor) return;
+    let cancelled = false;
+    setState({ status: 'loading' });
+
+    actor.getNodeById(nodeId)
+      .then(result => {
+        if (cancelled) return;
+        setState('ok' in result ? { status: 'ok', ...result.ok } : { status: 'notFound' });
+      })
+      .catch(err => {
+        if (!cancelled) setState({ status: 'error', error: getErrorMessage(err) });
+      });
+
+    return () => { cancelled = true; };
+  }, [actor, nodeId]);
+
+  if (state.status === 'loading') {
+    return <div className="details-section">Loading node {nodeId}...</div>;
+  }
+
+  if (state.status === 'error') {
+    return <div className="error-banner">Failed to load node: {state.error}</div>;
+  }
+
+  if (state.status === 'notFound') {
+    return (
+      <NotFound title="Node not found">
+        No node with ID <code>{nodeId}</code> is in the current topology.
+      </NotFound>
+    );
+  }
+
+  const { node, subnetId } = state;
+  const location = lookup(node.dcId);
+
+  return (
+    <div className="details-section">
+      <RouteLink to="home">← Dashboard</RouteLink>
+      <h2 className="details-title">Node Details</h2>
+      <div className="details-subnet-id">
+        <span className="details-subnet-label">ID:</span>
+        <span className="details-subnet-value">{node.nodeId}</span>
+      </div>
+      <div className={`node-badge ${node.generation.toLowerCase()}`}>{node.generation}</div>
+
+      <dl className="entity-fields">
+        <dt>Subnet</dt>
+        <dd><RouteLink to="subnet" id={subnetId}>{subnetId}</RouteLink></dd>
+        <dt>Status</dt>
+        <dd>{node.status}</dd>
+        <dt>Reward type</dt>
+        <dd>{node.rewardType || '—'}</dd>
+        <dt>HostOS version</dt>
+        <dd>{node.hostosVersionId || '—'}</dd>
+        <dt>Node provider</dt>
+        <dd>
+          {node.nodeProviderId
+            ? <RouteLink to="provider" id={node.nodeProviderId}>{node.nodeProviderId}</RouteLink>
+            : '—'}
+        </dd>
+        <dt>Node operator</dt>
+        <dd>{node.nodeOperatorId || '—'}</dd>
+        <dt>Data center</dt>
+        <dd>
+          {node.dcId
+            ? <RouteLink to="dc" id={node.dcId}>{node.dcId}: {location.city}, {location.countryName}</RouteLink>
+            : '—'}
+        </dd>
+        <dt>Region</dt>
+        <dd>{node.region || '—'}</dd>
+      </dl>
+    </div>
+  );
+}
+
+export default NodePage;
@@ -0,0 +1,13 @@
+import RouteLink from './RouteLink';
+
+function NotFound({ title, children }) {
+  return (
+    <div className="details-section not-found">
+      <h2 className="details-title">{title}</h2>
+      <p className="not-found-text">{children}</p>
+      <RouteLink to="home">← Back to the dashboard</RouteLink>
+    </div>
+  );
+}
+
+export default NotFound;
@@ -0,0 +1,178 @@
+import { useMemo } from 'react';
+import { KINDS, directoryColumns, nodeEntries, buildProfile, buildDirectory } from '../providers';
+import { NODE_COLUMNS, nodeRows } from '../tables';
+import DataTable from './DataTable';
+import RouteLink from './RouteLink';
+import NotFound from './NotFound';
+
+const shortId = (id) => (id.length > 16 ? `${id.substring(0, 15)}…` : id);
+
+function DirectoryLinks({ current }) {
+  return (
+    <div className="profile-links">
+      <RouteLink to="home">← Dashboard</RouteLink>
+      {Object.entries(KINDS).map(([kind, { label, directory }]) => (
+        kind === current
+          ? <span key={kind} className="progress-text">{label}s</span>
+          : <RouteLink key={kind} to={directory}>{label}s</RouteLink>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * All node providers or operators with their node counts
+ */
+export function ProviderDirectory({ kind, subnets, names, loading }) {
+  const rows = useMemo(() => buildDirectory(subnets, kind, names), [subnets, kind, names]);
+  const columns = useMemo(() => directoryColumns(kind), [kind]);
+
+  if (rows.length === 0) {
+    return loading
+      ? <div className="details-section">Loading {KINDS[kind].label.toLowerCase()}s...</div>
+      : <NotFound title={`No ${KINDS[kind].label.toLowerCase()}s`}>No topology has been uploaded yet.</NotFound>;
+  }
+
+  return (
+    <div className="details-section">
+      <DirectoryLinks current={kind} />
+      <h2 className="details-title">{KINDS[kind].label}s ({rows.length})</h2>
+      <DataTable
+        table={KINDS[kind].directory}
+        columns={columns}
+        rows={rows}
+        rowKey="id"
+        defaultSort={{ key: 'totalNodes', direction: 'desc' }}
+      />
+    </div>
+  );
+}
+
+function CountTable({ title, label, items, link, describe }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="rollout-block">
+      <h3 className="details-nodes-title">{title} ({items.length})</h3>
+      <table className="country-table">
+        <thead>
+          <tr>
+            <th>{label}</th>
+            <th>Nodes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => (
+            <tr key={item.id}>
+              <td title={item.id}>
+                <RouteLink to={link} id={item.id}>{shortId(item.id)}</RouteLink>
+                {describe && <span className="search-result-meta"> {describe(item.id)}</span>}
+              </td>
+              <td>{item.nodeCount}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * One node provider or operator: where its nodes are and what they run on
+ */
+export function ProviderProfile({ kind, id, subnets, names, lookup, loading }) {
+  const { field, label, other } = KINDS[kind];
+  const entries = useMemo(
+    () => nodeEntries(subnets).filter(entry => entry.node[field] === id),
+    [subnets, field, id]
+  );
+  const profile = useMemo(() => buildProfile(entries, kind), [entries, kind]);
+  const subnetSizes = useMemo(
+    () => Object.fromEntries(subnets.map(subnet => [subnet.subnetId, subnet.nodes.length])),
+    [subnets]
+  );
+
+  if (entries.length === 0) {
+    return loading
+      ? <div className="details-section">Loading {label.toLowerCase()} {id}...</div>
+      : (
+        <NotFound title={`${label} not found`}>
+          No nodes of {label.toLowerCase()} <code>{id}</code> are in the current topology.
+        </NotFound>
+      );
+  }
+
+  const { generations } = profile;
+
+  return (
+    <div className="details-section">
+      <DirectoryLinks />
+      <h2 className="details-title">{names[id] || label}</h2>
+      {names[id] && <div className="entity-location">{label}</div>}
+      <div className="details-subnet-id">
+        <span className="details-subnet-label">ID:</span>
+        <span className="details-subnet-value">{id}</span>
+      </div>
+
+      <div className="details-stats-grid">
+        <div>
+          <div className="details-stat-label">Nodes</div>
+          <div className="details-stat-value">{profile.totalNodes}</div>
+          <div className="details-stat-sub">
+            {profile.assignedNodes} in subnets · {profile.unassignedNodes} unassigned
+            {profile.apiBoundaryNodes > 0 && ` · ${profile.apiBoundaryNodes} API boundary`}
+          </div>
+        </div>
+        <div>
+          <div className="details-stat-label">Subnets</div>
+          <div className="details-stat-value">{profile.subnets.length}</div>
+        </div>
+        <div>
+          <div className="details-stat-label">Data centers</div>
+          <div className="details-stat-value">{profile.dataCenters.length}</div>
+        </div>
+        <div>
+          <div className="details-stat-label">Gen1 / Gen2</div>
+          <div className="details-stat-value">{generations.Gen1} / {generations.Gen2}</div>
+          <div className="details-stat-sub">
+            {((generations.Gen1 / profile.totalNodes) * 100).toFixed(0)}% Gen1
+            {generations.Unknown > 0 && ` · ${generations.Unknown} unknown`}
+          </div>
+        </div>
+      </div>
+
+      <div className="rollout-grid">
+        <CountTable
+          title="Subnets"
+          label="Subnet"
+          items={profile.subnets}
+          link="subnet"
+          describe={subnetId => `of ${subnetSizes[subnetId]}`}
+        />
+        <CountTable
+          title="Data centers"
+          label="Data center"
+          items={profile.dataCenters}
+          link="dc"
+          describe={dcId => `${lookup(dcId).city}, ${lookup(dcId).countryName}`}
+        />
+        <CountTable
+          title={`${KINDS[other].label}s`}
+          label={KINDS[other].label}
+          items={profile.related}
+          link={other}
+          describe={relatedId => names[relatedId] || ''}
+        />
+      </div>
+
+      <h3 className="details-nodes-title">Nodes ({entries.length})</h3>
+      <DataTable
+        table="profileNodes"
+        columns={NODE_COLUMNS}
+        rows={nodeRows(entries)}
+        rowKey="nodeId"
+        defaultSort={{ key: 'subnetId', direction: 'asc' }}
+      />
+    </div>
+  );
+}
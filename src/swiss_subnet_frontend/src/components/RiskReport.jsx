@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { countByLevel } from '../risk';
+import { countryName } from '../geography';
+import RouteLink from './RouteLink';
+
+const MAX_SUBNETS = 10;
+
+const shortId = (id) => (id.length > 16 ? `${id.substring(0, 15)}…` : id);
+
+const LEVELS = {
+  quorum: { label: 'Critical', description: 'holds a quorum on its own' },
+  stall: { label: 'High', description: 'can stall the subnet' },
+  aging: { label: 'Aging hardware', description: 'could stall the subnet by failing together' },
+  ok: { label: 'OK', description: '' },
+};
+
+function Entity({ finding }) {
+  if (finding.dimension === 'provider') return <RouteLink to="provider" id={finding.entity}>{finding.entity}</RouteLink>;
+  if (finding.dimension === 'dataCenter') return <RouteLink to="dc" id={finding.entity}>{finding.entity}</RouteLink>;
+  if (finding.dimension === 'country') return <>{countryName(finding.entity)}</>;
+  return <code>{finding.entity}</code>;
+}
+
+function LevelBadge({ level }) {
+  return <span className={`risk-badge ${level}`}>{LEVELS[level].label}</span>;
+}
+
+/**
+ * What a subnet's findings are and which nodes each one involves
+ */
+export function RiskFindings({ risk }) {
+  if (risk.findings.length === 0) {
+    return (
+      <p className="progress-text">
+        No single provider, operator, data center or country has {risk.stallThreshold} of the {risk.nodeCount} nodes
+        {' '}needed to stall this subnet; the largest needs {risk.margin} more.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="risk-findings">
+      {risk.findings.map(finding => (
+        <li key={`${finding.dimension}-${finding.entity}`} className={finding.severity}>
+          <div>
+            <LevelBadge level={finding.severity} /> {finding.label}
+            {finding.dimension !== 'generation' && <> <Entity finding={finding} /></>}:{' '}
+            {finding.count} of {risk.nodeCount} nodes (f + 1 = {risk.stallThreshold}, quorum {risk.quorum}) -{' '}
+            {LEVELS[finding.severity].description}
+          </div>
+          <div className="risk-nodes">
+            {finding.nodeIds.map(nodeId => (
+              <RouteLink key={nodeId} to="node" id={nodeId}>{nodeId}</RouteLink>
+            ))}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Subnets ranked by fault-tolerance risk, with their findings
+ *
+ * @param {Array} risks - from rankSubnetRisks
+ */
+function RiskReport({ risks }) {
+  const [showAll, setShowAll] = useState(false);
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  if (risks.length === 0) return null;
+
+  const counts = countByLevel(risks);
+  const shown = showAll ? risks : risks.slice(0, MAX_SUBNETS);
+
+  const toggle = (subnetId) => {
+    const next = new Set(expanded);
+    if (next.has(subnetId)) next.delete(subnetId);
+    else next.add(subnetId);
+    setExpanded(next);
+  };
+
+  return (
+    <div className="details-section">
+      <h2 className="details-title">🧯 Fault-Tolerance Risk</h2>
+      <p className="progress-text">
+        A subnet of n nodes tolerates f = ⌊(n − 1) / 3⌋ faulty nodes. Any node provider, operator, data center or
+        {' '}country with f + 1 of its nodes can stall it; with n − f nodes it holds a quorum alone. f + 1 Gen1 nodes
+        {' '}are flagged as aging hardware that could fail together.
+      </p>
+
+      <div className="validation-counts">
+        {['quorum', 'stall', 'aging', 'ok'].map(level => (
+          <span key={level}><LevelBadge level={level} /> {counts[level]}</span>
+        ))}
+      </div>
+
+      <table className="country-table risk-table">
+        <thead>
+          <tr>
+            <th>Subnet</th>
+            <th>Nodes</th>
+            <th>Tolerates</th>
+            <th>Risk</th>
+            <th title="Nodes of the largest provider, operator, data center or country, and f + 1">Largest entity</th>
+            <th>Gen1</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map(risk => [
+            <tr key={risk.subnetId}>
+              <td title={risk.subnetId}>
+                <RouteLink to="subnet" id={risk.subnetId}>{shortId(risk.subnetId)}</RouteLink>
+              </td>
+              <td>{risk.nodeCount}</td>
+              <td>{risk.faultTolerance}</td>
+              <td><LevelBadge level={risk.level} /></td>
+              <td>{risk.stallThreshold - risk.margin} / {risk.stallThreshold}</td>
+              <td>{(risk.gen1Share * 100).toFixed(0)}%</td>
+              <td>
+                {risk.findings.length > 0 && (
+                  <button className="facet-chip" onClick={() => toggle(risk.subnetId)}>
+                    {expanded.has(risk.subnetId) ? 'Hide' : 'Show'} {risk.findings.length} findings
+                  </button>
+                )}
+              </td>
+            </tr>,
+            expanded.has(risk.subnetId) && (
+              <tr key={`${risk.subnetId}-findings`} className="risk-findings-row">
+                <td colSpan={7}><RiskFindings risk={risk} /></td>
+              </tr>
+            ),
+          ])}
+        </tbody>
+      </table>
+
+      {risks.length > MAX_SUBNETS && (
+        <button className="refresh-button secondary" onClick={() => setShowAll(!showAll)}>
+          {showAll ? `Show the ${MAX_SUBNETS} riskiest subnets` : `Show all ${risks.length} subnets`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default RiskReport;
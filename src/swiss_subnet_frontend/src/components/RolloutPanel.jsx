@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { computeRollout, shortVersion, UNKNOWN_VERSION } from '../rollout';
+import RouteLink from './RouteLink';
+
+const MAX_MINORITY_NODES = 50;
+
+function VersionTable({ title, unit, versions }) {
+  return (
+    <div className="rollout-block">
+      <h3 className="details-nodes-title">{title}</h3>
+      <table className="country-table rollout-table">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>{unit}</th>
+            <th>Share</th>
+          </tr>
+        </thead>
+        <tbody>
+          {versions.map(group => (
+            <tr
+              key={group.version}
+              className={group.leading || group.version === UNKNOWN_VERSION ? '' : 'rollout-minority'}
+            >
+              <td title={group.version}>
+                <code>{shortVersion(group.version)}</code>
+                {group.leading && <span className="rollout-leading"> leading</span>}
+              </td>
+              <td>{group.count}</td>
+              <td>
+                <div className="rollout-bar">
+                  <div className="rollout-bar-fill" style={{ width: `${group.share * 100}%` }} />
+                </div>
+                {(group.share * 100).toFixed(1)}%
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Replica versions per subnet and HostOS versions per node, with the subnets
+ * and nodes that are not on the leading version
+ */
+function RolloutPanel({ subnets }) {
+  const [showAllNodes, setShowAllNodes] = useState(false);
+  const { replica, hostos } = computeRollout(subnets);
+
+  if (replica.total === 0 && hostos.versions.every(group => group.version === UNKNOWN_VERSION)) {
+    return null;
+  }
+
+  const minorityNodes = showAllNodes ? hostos.minority : hostos.minority.slice(0, MAX_MINORITY_NODES);
+
+  return (
+    <div className="details-section">
+      <h2 className="details-title">🚀 Version Rollout</h2>
+
+      <div className="rollout-grid">
+        <VersionTable title="Replica versions" unit="Subnets" versions={replica.versions} />
+        <VersionTable title="HostOS versions" unit="Nodes" versions={hostos.versions} />
+      </div>
+
+      {replica.minority.length > 0 && (
+        <div className="rollout-minority-list">
+          <h3 className="details-nodes-title">Subnets on a minority replica version ({replica.minority.length})</h3>
+          <ul>
+            {replica.minority.map(subnet => (
+              <li key={subnet.subnetId}>
+                <RouteLink to="subnet" id={subnet.subnetId}>{subnet.subnetId}</RouteLink>
+                {' '}<code>{shortVersion(subnet.config.replicaVersionId)}</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {hostos.minority.length > 0 && (
+        <div className="rollout-minority-list">
+          <h3 className="details-nodes-title">Nodes on a minority HostOS version ({hostos.minority.length})</h3>
+          <ul>
+            {minorityNodes.map(({ node, subnetId }) => (
+              <li key={node.nodeId}>
+                <RouteLink to="node" id={node.nodeId}>{node.nodeId}</RouteLink>
+                {' '}<code>{shortVersion(node.hostosVersionId)}</code>
+                <span className="search-result-meta"> {subnetId}</span>
+              </li>
+            ))}
+          </ul>
+          {hostos.minority.length > MAX_MINORITY_NODES && (
+            <button className="refresh-button secondary" onClick={() => setShowAllNodes(!showAllNodes)}>
+              {showAllNodes ? 'Show fewer' : `Show all ${hostos.minority.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RolloutPanel;
@@ -0,0 +1,24 @@
+import { navigate, routePath } from '../router';
+
+/**
+ * Link to a dashboard route. Plain clicks navigate in place; modified clicks
+ * (new tab, new window) keep the browser's default behaviour.
+ */
+function RouteLink({ to, id, className, children }) {
+  const path = routePath(to, id);
+
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+    navigate(path);
+  };
+
+  return (
+    <a href={path} className={`route-link ${className || ''}`} onClick={handleClick}>
+      {children}
+    </a>
+  );
+}
+
+export default RouteLink;
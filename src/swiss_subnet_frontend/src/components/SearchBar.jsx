@@ -0,0 +1,117 @@
+import { FACETS, EMPTY_FILTERS, hasActiveFilters, toggleFacet } from '../filters';
+
+// Facets with more values than this are shown as a dropdown instead of chips
+const MAX_CHIPS = 12;
+
+function FacetGroup({ facet, options, selected, onToggle }) {
+  if (options.length === 0) return null;
+
+  if (options.length > MAX_CHIPS) {
+    return (
+      <div className="facet-group">
+        <span className="facet-label">{facet.label}</span>
+        <select
+          className="facet-select"
+          value=""
+          onChange={(e) => e.target.value && onToggle(e.target.value)}
+        >
+          <option value="">Add…</option>
+          {options
+            .filter(option => !selected.includes(option.value))
+            .map(option => (
+              <option key={option.value} value={option.value}>
+                {option.value} ({option.count})
+              </option>
+            ))}
+        </select>
+        {selected.map(value => (
+          <button key={value} className="facet-chip active" onClick={() => onToggle(value)}>
+            {value} ✕
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="facet-group">
+      <span className="facet-label">{facet.label}</span>
+      {options.map(option => (
+        <button
+          key={option.value}
+          className={`facet-chip ${selected.includes(option.value) ? 'active' : ''}`}
+          onClick={() => onToggle(option.value)}
+        >
+          {option.value} ({option.count})
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function SearchBar({ filters, options, onChange, resultCount }) {
+  return (
+    <div className="search-bar">
+      <div className="search-row">
+        <input
+          type="search"
+          className="search-input"
+          placeholder="Search node, subnet, operator, provider or data center…"
+          value={filters.q}
+          onChange={(e) => onChange({ ...filters, q: e.target.value })}
+        />
+        {hasActiveFilters(filters) && (
+          <>
+            <span className="search-count">{resultCount} matching nodes</span>
+            <button className="refresh-button secondary" onClick={() => onChange(EMPTY_FILTERS)}>
+              Clear filters
+            </button>
+          </>
+        )}
+      </div>
+
+      {FACETS.map(facet => (
+        <FacetGroup
+          key={facet.key}
+          facet={facet}
+          options={options[facet.key]}
+          selected={filters[facet.key]}
+          onToggle={(value) => onChange(toggleFacet(filters, facet.key, value))}
+        />
+      ))}
+    </div>
+  );
+}
+
+const MAX_RESULTS = 100;
+
+export function SearchResults({ results, onSelectSubnet, actions }) {
+  if (results.length === 0) {
+    return <div className="warning-banner">No nodes match the current filters.</div>;
+  }
+
+  return (
+    <div className="search-results">
+      <div className="section-header">
+        <h3 className="details-nodes-title">Matching nodes ({results.length})</h3>
+        {actions}
+      </div>
+      <div className="nodes-grid">
+        {results.slice(0, MAX_RESULTS).map(({ node, subnetId }) => (
+          <button key={node.nodeId} className="node-card search-result" onClick={() => onSelectSubnet(subnetId)}>
+            <div className="node-id">{node.nodeId}</div>
+            <div className={`node-badge ${node.generation.toLowerCase()}`}>{node.generation}</div>
+            <div className="search-result-meta">
+              {subnetId} · {node.dcId || 'no DC'} · {node.status}
+            </div>
+          </button>
+        ))}
+      </div>
+      {results.length > MAX_RESULTS && (
+        <div className="progress-text">Showing the first {MAX_RESULTS} results. Refine the search to see more.</div>
+      )}
+    </div>
+  );
+}
+
+export default SearchBar;
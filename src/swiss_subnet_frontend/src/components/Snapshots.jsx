@@ -0,0 +1,101 @@
+import { LineChart, Line, CartesianGrid, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatTimestamp } from '../actor';
+import { trendData } from '../snapshots';
+
+const NODE_SERIES = [
+  { key: 'total', name: 'Total', color: '#e5e7eb' },
+  { key: 'gen1', name: 'Gen1', color: '#8b5cf6' },
+  { key: 'gen2', name: 'Gen2', color: '#06b6d4' },
+  { key: 'unknown', name: 'Unknown', color: '#f59e0b' },
+  { key: 'unassigned', name: 'Unassigned', color: '#9ca3af' },
+];
+
+const TOOLTIP_STYLE = { background: '#1e293b', border: '1px solid rgba(255, 255, 255, 0.2)', borderRadius: 8 };
+
+/**
+ * Choose between the live data and the past uploads that still have their data
+ */
+export function SnapshotPicker({ snapshots, selectedId, onSelect, disabled }) {
+  // Older canisters keep the data of every snapshot and do not report hasData
+  const viewable = snapshots.filter(summary => summary.hasData !== false);
+  if (viewable.length === 0) return null;
+
+  return (
+    <label className="snapshot-picker">
+      View data as of
+      <select
+        value={selectedId ?? ''}
+        onChange={(e) => onSelect(e.target.value || null)}
+        disabled={disabled}
+      >
+        <option value="">Live data</option>
+        {[...viewable].reverse().map(summary => (
+          <option key={String(summary.id)} value={String(summary.id)}>
+            #{String(summary.id)} · {formatTimestamp(summary.takenAt)} · {String(summary.totalNodes)} nodes
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Node and subnet counts across all snapshots
+ */
+export function SnapshotTrends({ snapshots, selectedId }) {
+  if (snapshots.length < 2) return null;
+
+  const data = trendData(snapshots);
+  const selected = data.find(point => point.id === selectedId);
+  const axisProps = { stroke: '#93c5fd', fontSize: 12 };
+
+  return (
+    <div className="details-section">
+      <h2 className="details-title">📈 Trends ({data.length} snapshots)</h2>
+      {selected && (
+        <p className="progress-text">Viewing snapshot #{selected.id} from {selected.takenAt.toLocaleString()}</p>
+      )}
+
+      <div className="charts-grid">
+        <div className="chart-card">
+          <h3 className="chart-title">Nodes by generation</h3>
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={data}>
+              <CartesianGrid stroke="rgba(255, 255, 255, 0.1)" />
+              <XAxis dataKey="label" {...axisProps} />
+              <YAxis {...axisProps} allowDecimals={false} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} />
+              <Legend />
+              {NODE_SERIES.map(series => (
+                <Line
+                  key={series.key}
+                  type="monotone"
+                  dataKey={series.key}
+                  name={series.name}
+                  stroke={series.color}
+                  dot={{ r: 2 }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="chart-card">
+          <h3 className="chart-title">Subnets and Gen2 share</h3>
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={data}>
+              <CartesianGrid stroke="rgba(255, 255, 255, 0.1)" />
+              <XAxis dataKey="label" {...axisProps} />
+              <YAxis yAxisId="subnets" {...axisProps} allowDecimals={false} />
+              <YAxis yAxisId="share" orientation="right" unit="%" domain={[0, 100]} {...axisProps} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} />
+              <Legend />
+              <Line yAxisId="subnets" type="monotone" dataKey="subnets" name="Subnets" stroke="#10b981" dot={{ r: 2 }} />
+              <Line yAxisId="share" type="monotone" dataKey="gen2Share" name="Gen2 share (%)" stroke="#06b6d4" dot={{ r: 2 }} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { Fragment } from 'react';
+import { configFields, featureTags, subnetTypeLabel, FEATURE_TAGS } from '../subnetConfig';
+
+const BADGE_TAGS = [FEATURE_TAGS.sev, FEATURE_TAGS.chainKey];
+
+/**
+ * Type, SEV and chain-key badges for subnet cards
+ */
+export function SubnetBadges({ config }) {
+  if (!config) return null;
+  const tags = featureTags(config).filter(tag => BADGE_TAGS.includes(tag));
+
+  return (
+    <div className="subnet-badges">
+      <span className={`subnet-badge type-${config.subnetType}`}>{subnetTypeLabel(config.subnetType)}</span>
+      {tags.map(tag => (
+        <span key={tag} className="subnet-badge feature">{tag}</span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Subnet settings from topology.json for the details section
+ */
+export function SubnetConfigPanel({ config }) {
+  if (!config) {
+    return (
+      <div className="progress-text">
+        No subnet configuration stored. Re-upload a topology.json to include it.
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <h3 className="details-nodes-title">Configuration</h3>
+      <dl className="entity-fields subnet-config">
+        {configFields(config).map(({ label, value }) => (
+          <Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </Fragment>
+        ))}
+      </dl>
+    </>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { groupMoves } from '../topologyDiff';
+
+const MAX_ROWS = 100;
+
+function DiffSection({ title, count, className, children }) {
+  const [open, setOpen] = useState(false);
+  if (count === 0) return null;
+
+  return (
+    <div className={`diff-section ${className || ''}`}>
+      <button className="diff-section-toggle" onClick={() => setOpen(!open)}>
+        {open ? '▾' : '▸'} {title} ({count})
+      </button>
+      {open && <div className="diff-section-body">{children}</div>}
+    </div>
+  );
+}
+
+function NodeList({ nodes }) {
+  return (
+    <ul className="diff-list">
+      {nodes.slice(0, MAX_ROWS).map(node => (
+        <li key={node.nodeId}>
+          <span className="diff-node-id">{node.nodeId}</span>
+          <span className="diff-muted">{node.subnetId}</span>
+        </li>
+      ))}
+      {nodes.length > MAX_ROWS && <li className="diff-muted">…and {nodes.length - MAX_ROWS} more</li>}
+    </ul>
+  );
+}
+
+function ChangeList({ changes }) {
+  return (
+    <ul className="diff-list">
+      {changes.slice(0, MAX_ROWS).map(change => (
+        <li key={change.nodeId}>
+          <span className="diff-node-id">{change.nodeId}</span>
+          <span className="diff-change">{change.from || '(none)'} → {change.to || '(none)'}</span>
+        </li>
+      ))}
+      {changes.length > MAX_ROWS && <li className="diff-muted">…and {changes.length - MAX_ROWS} more</li>}
+    </ul>
+  );
+}
+
+function TopologyDiff({ diff, onConfirm, onCancel, disabled }) {
+  const moveGroups = groupMoves(diff.moved);
+
+  return (
+    <div className="validation-report">
+      <h3 className="validation-title">Changes compared to the data in the canister</h3>
+
+      {!diff.hasChanges ? (
+        <div className="classification-banner">No changes: the file matches the current data.</div>
+      ) : (
+        <div className="validation-counts">
+          <span className="diff-added">+{diff.added.length} added</span>
+          <span className="diff-removed">−{diff.removed.length} removed</span>
+          <span>{diff.moved.length} moved</span>
+          <span>{diff.rewardTypeChanged.length} reward type changes</span>
+          <span>{diff.operatorChanged.length} operator changes</span>
+          <span>{diff.providerChanged.length} provider changes</span>
+          <span>{diff.unchanged} unchanged</span>
+        </div>
+      )}
+
+      {(diff.subnetsAdded.length > 0 || diff.subnetsRemoved.length > 0) && (
+        <div className="validation-unknown-types">
+          {diff.subnetsAdded.length > 0 && <div>New subnets: {diff.subnetsAdded.join(', ')}</div>}
+          {diff.subnetsRemoved.length > 0 && <div>Removed subnets: {diff.subnetsRemoved.join(', ')}</div>}
+        </div>
+      )}
+
+      <DiffSection title="Added nodes" count={diff.added.length} className="added">
+        <NodeList nodes={diff.added} />
+      </DiffSection>
+
+      <DiffSection title="Removed nodes" count={diff.removed.length} className="removed">
+        <NodeList nodes={diff.removed} />
+      </DiffSection>
+
+      <DiffSection title="Moved nodes" count={diff.moved.length}>
+        {moveGroups.map(group => (
+          <div key={`${group.from}-${group.to}`} className="diff-move-group">
+            <div className="diff-change">{group.from} → {group.to} ({group.nodeIds.length})</div>
+            <ul className="diff-list">
+              {group.nodeIds.slice(0, MAX_ROWS).map(nodeId => (
+                <li key={nodeId}><span className="diff-node-id">{nodeId}</span></li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </DiffSection>
+
+      <DiffSection title="Reward type changes" count={diff.rewardTypeChanged.length}>
+        <ChangeList changes={diff.rewardTypeChanged} />
+      </DiffSection>
+
+      <DiffSection title="Operator changes" count={diff.operatorChanged.length}>
+        <ChangeList changes={diff.operatorChanged} />
+      </DiffSection>
+
+      <DiffSection title="Provider changes" count={diff.providerChanged.length}>
+        <ChangeList changes={diff.providerChanged} />
+      </DiffSection>
+
+      <DiffSection title="Data center changes" count={diff.dcChanged.length}>
+        <ChangeList changes={diff.dcChanged} />
+      </DiffSection>
+
+      <div className="header-controls">
+        <button className="refresh-button" onClick={onConfirm} disabled={disabled}>
+          Commit upload
+        </button>
+        <button className="refresh-button secondary" onClick={onCancel} disabled={disabled}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TopologyDiff;
@@ -0,0 +1,54 @@
+const PHASE_LABELS = {
+  uploading: 'Uploading batches',
+  retrying: 'Retrying batch',
+  committing: 'Committing upload',
+  done: 'Upload complete',
+};
+
+function UploadProgress({ progress, failed, onResume, onDiscard, disabled }) {
+  const { phase, completedBatches, totalBatches, uploadedNodes, totalNodes } = progress;
+  const percentage = totalNodes > 0 ? Math.round((uploadedNodes / totalNodes) * 100) : 0;
+
+  return (
+    <div className="upload-progress">
+      <div className="upload-progress-header">
+        <span>{failed ? 'Upload interrupted' : PHASE_LABELS[phase]}</span>
+        <span>
+          {completedBatches}/{totalBatches} batches · {uploadedNodes}/{totalNodes} nodes
+        </span>
+      </div>
+
+      <div className="upload-progress-track">
+        <div
+          className={`upload-progress-bar ${failed ? 'failed' : ''}`}
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+
+      {phase === 'retrying' && !failed && (
+        <div className="progress-text">
+          Batch {progress.batchIndex + 1} failed ({progress.error}), retry {progress.attempt}...
+        </div>
+      )}
+
+      {failed && (
+        <div className="header-controls">
+          <span className="progress-text">
+            {failed.batchIndex !== undefined
+              ? `Batch ${failed.batchIndex + 1} could not be uploaded.`
+              : 'The upload could not be committed.'}
+            {' '}Already staged batches are kept for one hour.
+          </span>
+          <button className="refresh-button" onClick={onResume} disabled={disabled}>
+            Retry failed batch
+          </button>
+          <button className="refresh-button secondary" onClick={onDiscard} disabled={disabled}>
+            Discard upload
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UploadProgress;
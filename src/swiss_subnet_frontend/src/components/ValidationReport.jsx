@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { summarizeReport } from '../topology';
+
+const MAX_ISSUES_SHOWN = 50;
+
+function IssueList({ title, issues, className }) {
+  const [expanded, setExpanded] = useState(false);
+  if (issues.length === 0) return null;
+
+  const shown = expanded ? issues : issues.slice(0, MAX_ISSUES_SHOWN);
+
+  return (
+    <div className={`validation-issues ${className}`}>
+      <h4 className="validation-issues-title">{title} ({issues.length})</h4>
+      <ul className="validation-issue-list">
+        {shown.map((issue, index) => (
+          <li key={index}>
+            {issue.nodeId && <span className="validation-issue-node">{issue.nodeId}</span>}
+            {issue.subnetId && <span className="validation-issue-subnet">[{issue.subnetId}]</span>}
+            {issue.message}
+          </li>
+        ))}
+      </ul>
+      {issues.length > MAX_ISSUES_SHOWN && (
+        <button className="validation-toggle" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show less' : `Show all ${issues.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ValidationReport({ fileName, report, onConfirm, onCancel, disabled }) {
+  const unknownTypes = Object.entries(report.unknownRewardTypes);
+
+  return (
+    <div className="validation-report">
+      <h3 className="validation-title">Validation report: {fileName}</h3>
+      <div className={report.canUpload ? 'classification-banner' : 'error-banner'}>
+        {summarizeReport(report)}
+      </div>
+
+      {report.fileErrors.length > 0 && (
+        <ul className="validation-file-errors">
+          {report.fileErrors.map((err, index) => <li key={index}>{err}</li>)}
+        </ul>
+      )}
+
+      <div className="validation-counts">
+        <span>Format: {report.format}</span>
+        <span>Subnets: {report.counts.subnets}</span>
+        <span>Assigned: {report.counts.assigned}</span>
+        <span>Unassigned: {report.counts.unassigned}</span>
+        <span>API boundary: {report.counts.apiBoundary}</span>
+        <span>Skipped: {report.counts.skipped}</span>
+      </div>
+
+      {unknownTypes.length > 0 && (
+        <div className="validation-unknown-types">
+          Unknown node_reward_type values:{' '}
+          {unknownTypes.map(([type, count]) => `${type} (${count})`).join(', ')}
+        </div>
+      )}
+
+      {report.duplicateNodeIds.length > 0 && (
+        <div className="validation-unknown-types">
+          Duplicate node IDs: {report.duplicateNodeIds.length}
+        </div>
+      )}
+
+      <IssueList title="Errors - these nodes will be skipped" issues={report.errors} className="errors" />
+      <IssueList title="Warnings" issues={report.warnings} className="warnings" />
+
+      <div className="header-controls">
+        <button className="refresh-button" onClick={onConfirm} disabled={disabled || !report.canUpload}>
+          {report.isValid ? 'Upload' : `Upload ${report.totalNodes} valid nodes anyway`}
+        </button>
+        <button className="refresh-button secondary" onClick={onCancel} disabled={disabled}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ValidationReport;
@@ -0,0 +1,92 @@
+import { NODE_COLUMNS, nodeRows } from '../tables';
+import DataTable from './DataTable';
+import RouteLink from './RouteLink';
+
+/**
+ * Unassigned nodes per data center and generation
+ */
+export function SpareCapacity({ capacity }) {
+  if (capacity.totalNodes === 0) return null;
+
+  const { generations } = capacity;
+
+  return (
+    <div className="details-section">
+      <div className="section-header">
+        <h2 className="details-title">🧰 Spare Capacity</h2>
+        <RouteLink to="subnet" id="unassigned">All unassigned nodes</RouteLink>
+      </div>
+
+      <div className="details-stats-grid">
+        <div>
+          <div className="details-stat-label">Unassigned nodes</div>
+          <div className="details-stat-value">{capacity.totalNodes}</div>
+        </div>
+        <div>
+          <div className="details-stat-label">Gen1 / Gen2</div>
+          <div className="details-stat-value">{generations.Gen1} / {generations.Gen2}</div>
+          {generations.Unknown > 0 && <div className="details-stat-sub">{generations.Unknown} unknown</div>}
+        </div>
+        <div>
+          <div className="details-stat-label">Data centers</div>
+          <div className="details-stat-value">{capacity.dataCenters.length}</div>
+        </div>
+        <div>
+          <div className="details-stat-label">Node providers</div>
+          <div className="details-stat-value">{capacity.providerCount}</div>
+        </div>
+      </div>
+
+      <table className="country-table">
+        <thead>
+          <tr>
+            <th>Data center</th>
+            <th>Location</th>
+            <th>Gen1</th>
+            <th>Gen2</th>
+            <th>Unknown</th>
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {capacity.dataCenters.map(group => (
+            <tr key={group.dcId}>
+              <td>{group.dcId ? <RouteLink to="dc" id={group.dcId}>{group.dcId}</RouteLink> : '—'}</td>
+              <td>{group.mapped ? `${group.city}, ${group.countryName}` : 'Unknown'}</td>
+              <td>{group.gen1}</td>
+              <td>{group.gen2}</td>
+              <td>{group.unknown}</td>
+              <td>{group.nodeCount}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * API boundary nodes with the metadata known about them
+ */
+export function ApiBoundaryNodes({ boundary }) {
+  if (boundary.nodes.length === 0) return null;
+
+  return (
+    <div className="details-section">
+      <h2 className="details-title">🌐 API Boundary Nodes ({boundary.nodes.length})</h2>
+      <p className="progress-text">
+        API boundary nodes route requests to the subnets.
+        {boundary.subnetMembers > 0 && ` ${boundary.subnetMembers} of them are also members of the subnet shown next to them.`}
+        {boundary.joined > 0 && ` Metadata of ${boundary.joined} of them is taken from their entry elsewhere in the topology.`}
+        {boundary.missingMetadata > 0 && ` ${boundary.missingMetadata} have no provider or data center in the topology.`}
+      </p>
+      <DataTable
+        table="apiBoundaryNodes"
+        columns={NODE_COLUMNS}
+        rows={nodeRows(boundary.nodes)}
+        rowKey="nodeId"
+        defaultSort={{ key: 'dcId', direction: 'asc' }}
+      />
+    </div>
+  );
+}
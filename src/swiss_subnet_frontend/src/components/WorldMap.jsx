@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react';
+import { geoNaturalEarth1, geoPath } from 'd3-geo';
+import { feature } from 'topojson-client';
+import world from 'world-atlas/countries-110m.json';
+import { groupByDataCenter, countryBreakdown } from '../geography';
+
+const WIDTH = 960;
+const HEIGHT = 500;
+
+// The map is drawn from bundled country outlines, no tile server involved
+const projection = geoNaturalEarth1().fitSize([WIDTH, HEIGHT], { type: 'Sphere' });
+const pathGenerator = geoPath(projection);
+const COUNTRY_PATHS = feature(world, world.objects.countries).features.map(country => ({
+  id: country.id,
+  d: pathGenerator(country),
+}));
+const SPHERE_PATH = pathGenerator({ type: 'Sphere' });
+
+const GENERATIONS = ['all', 'Gen1', 'Gen2', 'Unknown'];
+
+function WorldMap({ subnets, lookup, selectedSubnetId }) {
+  const [subnetFilter, setSubnetFilter] = useState('all');
+  const [generationFilter, setGenerationFilter] = useState('all');
+  const [hovered, setHovered] = useState(null);
+
+  // Follow the subnet selected elsewhere in the dashboard
+  useEffect(() => {
+    if (selectedSubnetId) setSubnetFilter(selectedSubnetId);
+  }, [selectedSubnetId]);
+
+  const nodes = subnets
+    .filter(subnet => subnetFilter === 'all' || subnet.subnetId === subnetFilter)
+    .flatMap(subnet => subnet.nodes)
+    .filter(node => generationFilter === 'all' || node.generation === generationFilter);
+
+  const dataCenters = groupByDataCenter(nodes, lookup);
+  const mapped = dataCenters.filter(dc => dc.mapped);
+  const unmapped = dataCenters.filter(dc => !dc.mapped);
+  const countries = countryBreakdown(nodes, lookup);
+  const maxCount = Math.max(1, ...mapped.map(dc => dc.nodeCount));
+
+  return (
+    <div className="details-section map-section">
+      <h2 className="details-title">🌍 Data Center Map</h2>
+
+      <div className="map-filters">
+        <label>
+          Subnet
+          <select value={subnetFilter} onChange={(e) => setSubnetFilter(e.target.value)}>
+            <option value="all">All subnets</option>
+            {subnets.map(subnet => (
+              <option key={subnet.subnetId} value={subnet.subnetId}>
+                {subnet.subnetId.substring(0, 11)}… ({subnet.nodes.length})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Generation
+          <select value={generationFilter} onChange={(e) => setGenerationFilter(e.target.value)}>
+            {GENERATIONS.map(gen => (
+              <option key={gen} value={gen}>{gen === 'all' ? 'All generations' : gen}</option>
+            ))}
+          </select>
+        </label>
+        <span className="map-summary">
+          {nodes.length} nodes in {dataCenters.length} data centers, {countries.length} countries
+        </span>
+      </div>
+
+      <svg className="world-map" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Node density per data center">
+        <path d={SPHERE_PATH} className="world-map-sphere" />
+        {COUNTRY_PATHS.map((country, index) => (
+          <path key={country.id || index} d={country.d} className="world-map-country" />
+        ))}
+        {mapped.map(dc => {
+          const [x, y] = projection([dc.lon, dc.lat]);
+          const radius = 3 + 12 * Math.sqrt(dc.nodeCount / maxCount);
+          return (
+            <circle
+              key={dc.dcId}
+              cx={x}
+              cy={y}
+              r={radius}
+              className={`world-map-dc ${hovered === dc.dcId ? 'hovered' : ''}`}
+              onMouseEnter={() => setHovered(dc.dcId)}
+              onMouseLeave={() => setHovered(null)}
+            >
+              <title>
+                {`${dc.dcId} – ${dc.city}, ${dc.countryName}: ${dc.nodeCount} nodes (Gen1 ${dc.gen1}, Gen2 ${dc.gen2}, Unknown ${dc.unknown})`}
+              </title>
+            </circle>
+          );
+        })}
+      </svg>
+
+      {unmapped.length > 0 && (
+        <div className="map-unmapped">
+          Not on the map (no location for these data centers, add them to datacenters.json):{' '}
+          {unmapped.map(dc => `${dc.dcId || '(none)'} (${dc.nodeCount})`).join(', ')}
+        </div>
+      )}
+
+      <h3 className="details-nodes-title">
+        Countries {subnetFilter === 'all' ? '(all subnets)' : `for ${subnetFilter.substring(0, 11)}…`}
+      </h3>
+      <table className="country-table">
+        <thead>
+          <tr>
+            <th>Country</th>
+            <th>Continent</th>
+            <th>Nodes</th>
+            <th>Share</th>
+            <th>Data centers</th>
+          </tr>
+        </thead>
+        <tbody>
+          {countries.map(entry => (
+            <tr key={entry.country || 'unknown'}>
+              <td>{entry.countryName}</td>
+              <td>{entry.continent}</td>
+              <td>{entry.nodeCount}</td>
+              <td>{nodes.length > 0 ? ((entry.nodeCount / nodes.length) * 100).toFixed(1) : 0}%</td>
+              <td className="country-table-dcs">{entry.dataCenters.join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default WorldMap;
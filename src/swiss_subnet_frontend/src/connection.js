@@ -0,0 +1,258 @@
+/**
+ * Connection settings and resilient calls to the backend canister.
+ *
+ * The dashboard can talk to a local replica, a custom replica URL or
+ * mainnet. The active choice is kept in localStorage so it survives a
+ * reload; the defaults come from the `.env` written by setup-env.sh
+ * (`VITE_DFX_NETWORK`, `VITE_HOST`, `VITE_CANISTER_ID_SWISS_SUBNET_BACKEND`).
+ *
+ * Queries are wrapped with a per-attempt timeout and retried with
+ * exponential backoff. Errors the canister itself reports (rejects, traps,
+ * interface mismatches) are not retried since they would fail again.
+ */
+
+export const NETWORKS = {
+    local: { label: "Local replica", host: "http://localhost:4943" },
+    custom: { label: "Custom replica", host: "" },
+    ic: { label: "Mainnet", host: "https://ic0.app" },
+};
+
+export const DEFAULT_TIMEOUT_MS = Number(import.meta.env?.VITE_QUERY_TIMEOUT_MS) || 15000;
+export const DEFAULT_MAX_RETRIES = Number(import.meta.env?.VITE_QUERY_RETRIES) || 3;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+
+const STORAGE_KEY = "connectionSettings";
+
+export const DEFAULT_SETTINGS = {
+    network: import.meta.env?.VITE_DFX_NETWORK || "local",
+    host: import.meta.env?.VITE_HOST || "",
+    canisterId: import.meta.env?.VITE_CANISTER_ID_SWISS_SUBNET_BACKEND || "",
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    maxRetries: DEFAULT_MAX_RETRIES,
+};
+
+/**
+ * Error raised when a call does not answer within the timeout
+ */
+export class TimeoutError extends Error {
+    constructor(method, timeoutMs) {
+        super(`${method} timeout after ${timeoutMs} ms`);
+        this.name = "TimeoutError";
+    }
+}
+
+/**
+ * Error for an `#err` result returned by the canister. Such a rejection is
+ * deterministic, so it is never retried.
+ */
+export class CanisterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CanisterError";
+    }
+}
+
+/**
+ * Error raised instead of calling the canister while the browser is offline
+ */
+export class OfflineError extends Error {
+    constructor() {
+        super("You are offline. Reconnect to the network to load data.");
+        this.name = "OfflineError";
+    }
+}
+
+/**
+ * Host URL for the settings: the explicit host if one is set (the custom
+ * replica URL, or `VITE_HOST`), otherwise the network's well-known host
+ */
+export function resolveHost(settings) {
+    if (settings.host) return settings.host.replace(/\/+$/, "");
+    return NETWORKS[settings.network]?.host || NETWORKS.local.host;
+}
+
+/**
+ * Whether calls need the replica's root key fetched at runtime (anything
+ * but mainnet, whose root key is built into the agent)
+ */
+export function needsRootKey(settings) {
+    return settings.network !== "ic";
+}
+
+/**
+ * Check settings before connecting. Returns a list of problems.
+ */
+export function validateSettings(settings) {
+    const errors = [];
+    if (!NETWORKS[settings.network]) {
+        errors.push(`Unknown network: ${settings.network}`);
+    }
+    if (settings.network === "custom") {
+        try {
+            const url = new URL(settings.host);
+            if (url.protocol !== "http:" && url.protocol !== "https:") {
+                errors.push("Replica URL must start with http:// or https://");
+            }
+        } catch {
+            errors.push("Replica URL is not a valid URL");
+        }
+    }
+    if (!settings.canisterId) {
+        errors.push(
+            "Backend canister ID not found. " +
+            "Please ensure VITE_CANISTER_ID_SWISS_SUBNET_BACKEND is set in your .env file"
+        );
+    }
+    return errors;
+}
+
+/**
+ * Read the saved connection settings, falling back to the build defaults
+ */
+export function loadSettings(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage?.getItem(STORAGE_KEY) || "null");
+        return saved && typeof saved === "object" ? { ...DEFAULT_SETTINGS, ...saved } : { ...DEFAULT_SETTINGS };
+    } catch {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveSettings(settings, storage = globalThis.localStorage) {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function clearSettings(storage = globalThis.localStorage) {
+    storage?.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Whether the browser reports a network connection. Outside a browser we
+ * assume it does.
+ */
+export function isOnline() {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/**
+ * Call `onChange(online)` whenever the browser goes online or offline.
+ * Returns a function that removes the listeners.
+ */
+export function watchOnlineStatus(onChange) {
+    const online = () => onChange(true);
+    const offline = () => onChange(false);
+    window.addEventListener("online", online);
+    window.addEventListener("offline", offline);
+    return () => {
+        window.removeEventListener("online", online);
+        window.removeEventListener("offline", offline);
+    };
+}
+
+/**
+ * Whether retrying a failed call can help. Errors reported by the canister
+ * are deterministic; network failures and timeouts are not.
+ */
+export function isRetryableError(err) {
+    if (err instanceof OfflineError || err instanceof CanisterError) return false;
+    if (err instanceof TimeoutError) return true;
+    const message = err?.message || String(err);
+    return !(
+        message.includes("Reject code")
+        || message.includes("Call was rejected")
+        || message.includes("trapped")
+        || message.includes("out of cycles")
+        || message.includes("is not a function")
+    );
+}
+
+/**
+ * Delay before retry number `attempt` (1-based)
+ */
+export function backoffDelay(attempt, retryDelayMs = DEFAULT_RETRY_DELAY_MS) {
+    return retryDelayMs * 2 ** (attempt - 1);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reject with a TimeoutError if `promise` does not settle within `timeoutMs`
+ */
+export function withTimeout(promise, timeoutMs, method = "Call") {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(method, timeoutMs)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call `fn` until it succeeds or fails with an error that is not worth
+ * retrying, waiting with exponential backoff between attempts
+ */
+export async function withRetries(fn, {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    onRetry,
+    wait = sleep,
+} = {}) {
+    let attempt = 0;
+    for (;;) {
+        if (!isOnline()) throw new OfflineError();
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= maxRetries || !isRetryableError(err)) throw err;
+            attempt += 1;
+            onRetry?.(attempt, err);
+            await wait(backoffDelay(attempt, retryDelayMs));
+        }
+    }
+}
+
+/**
+ * Wrap the query methods of an actor with a timeout and retries. Update
+ * methods are passed through unchanged: retrying them blindly could apply
+ * a change twice.
+ *
+ * @param {object} actor - backend actor
+ * @param {string[]} queryMethods - names of the query methods
+ * @param {object} [options] - timeoutMs, maxRetries, retryDelayMs, onRetry(method, attempt, err)
+ */
+export function withResilientQueries(actor, queryMethods, options = {}) {
+    const { timeoutMs = DEFAULT_TIMEOUT_MS, onRetry, ...retryOptions } = options;
+    const queries = new Set(queryMethods);
+
+    return new Proxy(actor, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            if (typeof value !== "function" || !queries.has(property)) return value;
+
+            return (...args) => withRetries(
+                () => withTimeout(value.apply(target, args), timeoutMs, property),
+                { ...retryOptions, onRetry: (attempt, err) => onRetry?.(property, attempt, err) },
+            );
+        },
+    });
+}
+
+export default {
+    NETWORKS,
+    DEFAULT_SETTINGS,
+    TimeoutError,
+    CanisterError,
+    OfflineError,
+    resolveHost,
+    needsRootKey,
+    validateSettings,
+    loadSettings,
+    saveSettings,
+    clearSettings,
+    isOnline,
+    watchOnlineStatus,
+    isRetryableError,
+    backoffDelay,
+    withTimeout,
+    withRetries,
+    withResilientQueries,
+};
@@ -0,0 +1,151 @@
+/**
+ * CSV and JSON export of the dashboard data.
+ *
+ * Every export records where the data came from: the canister's last update
+ * time, whether the stats certificate was verified, and the global stats
+ * from `getGlobalStats`. CSV files carry this as leading `#` comment lines.
+ */
+
+export const SUBNET_COLUMNS = [
+    "subnetId",
+    "subnetType",
+    "nodeCount",
+    "gen1Count",
+    "gen2Count",
+    "unknownCount",
+];
+
+export const NODE_COLUMNS = [
+    "subnetId",
+    "nodeId",
+    "generation",
+    "rewardType",
+    "hostosVersionId",
+    "status",
+    "nodeOperatorId",
+    "nodeProviderId",
+    "dcId",
+    "region",
+];
+
+/**
+ * Convert candid values (bigint counts, nanosecond timestamps) to plain JSON
+ */
+export function toPlain(value) {
+    if (typeof value === "bigint") {
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+            ? Number(value)
+            : value.toString();
+    }
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+    }
+    return value;
+}
+
+/**
+ * Provenance of the exported data
+ *
+ * @param {object} options
+ * @param {object} [options.networkStats] - from getNetworkStats(Certified)
+ * @param {object} [options.globalStats] - from getGlobalStats
+ * @param {string} [options.certificateStatus] - 'verified', 'invalid', 'missing' or 'unavailable'
+ * @param {string} options.view - what is being exported
+ */
+export function exportMetadata({ networkStats, globalStats, certificateStatus, view, now = new Date() }) {
+    const lastUpdated = networkStats ? Number(networkStats.lastUpdated) : 0;
+    return {
+        view,
+        exportedAt: now.toISOString(),
+        dataTimestamp: lastUpdated > 0 ? new Date(lastUpdated / 1000000).toISOString() : null,
+        certificateStatus: certificateStatus || "unknown",
+        verified: certificateStatus === "verified",
+        globalStats: globalStats ? toPlain(globalStats) : null,
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(toPlain(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV, preceded by the metadata as `# key: value` lines
+ */
+export function toCsv(rows, columns, metadata) {
+    const lines = [];
+    if (metadata) {
+        const { globalStats, ...rest } = metadata;
+        for (const [key, value] of Object.entries(rest)) {
+            lines.push(`# ${key}: ${value ?? ""}`);
+        }
+        for (const [key, value] of Object.entries(globalStats || {})) {
+            lines.push(`# globalStats.${key}: ${value}`);
+        }
+    }
+    lines.push(columns.join(","));
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Build the file contents for an export
+ *
+ * @param {'csv'|'json'} format
+ * @param {object} data - `{ subnets }` for a subnet list or `{ nodes }` for
+ *   a node list, where nodes are `{ node, subnetId }` entries
+ * @param {object} metadata - from exportMetadata
+ * @returns {{ content: string, mimeType: string, extension: string }}
+ */
+export function buildExport(format, data, metadata) {
+    const nodeRows = data.nodes
+        ? data.nodes.map(({ node, subnetId }) => ({ subnetId, ...node }))
+        : null;
+
+    if (format === "json") {
+        const body = nodeRows ? { nodes: nodeRows } : { subnets: data.subnets };
+        return {
+            content: JSON.stringify(toPlain({ metadata, ...body }), null, 2),
+            mimeType: "application/json",
+            extension: "json",
+        };
+    }
+
+    return {
+        content: nodeRows
+            ? toCsv(nodeRows, NODE_COLUMNS, metadata)
+            : toCsv(data.subnets, SUBNET_COLUMNS, metadata),
+        mimeType: "text/csv",
+        extension: "csv",
+    };
+}
+
+/**
+ * Save a file in the browser
+ */
+export function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Firefox and Safari read the file after click() returns, so the URL
+    // has to outlive this call; a minute leaves ample time
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+export default {
+    SUBNET_COLUMNS,
+    NODE_COLUMNS,
+    toPlain,
+    exportMetadata,
+    toCsv,
+    buildExport,
+    downloadFile,
+};
@@ -0,0 +1,189 @@
+/**
+ * Global search and facet filtering over subnets and nodes.
+ *
+ * Filter state is kept in the URL query string so a filtered view can be
+ * shared: `?q=zh4&gen=Gen1,Gen2&status=unassigned&type=system&dc=zh4`.
+ * The analytics charts set the same facets when clicked.
+ */
+
+import { featureTags } from "./subnetConfig";
+import { apiBoundaryMemberIds } from "./virtualSubnets";
+
+export const FACETS = [
+    { key: "generation", param: "gen", label: "Generation" },
+    { key: "status", param: "status", label: "Status" },
+    { key: "subnetType", param: "type", label: "Subnet type" },
+    { key: "dc", param: "dc", label: "Data center" },
+    { key: "provider", param: "provider", label: "Node provider" },
+    { key: "subnet", param: "subnet", label: "Subnet" },
+    { key: "size", param: "size", label: "Subnet size" },
+    { key: "feature", param: "feature", label: "Subnet features" },
+];
+
+export const EMPTY_FILTERS = {
+    q: "",
+    generation: [],
+    status: [],
+    subnetType: [],
+    dc: [],
+    provider: [],
+    subnet: [],
+    size: [],
+    feature: [],
+};
+
+/**
+ * Read filters from a query string such as `window.location.search`
+ */
+export function parseFilters(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...EMPTY_FILTERS, q: params.get("q") || "" };
+    for (const { key, param } of FACETS) {
+        const value = params.get(param);
+        filters[key] = value ? value.split(",").filter(Boolean) : [];
+    }
+    return filters;
+}
+
+/**
+ * Write filters into a query string, keeping unrelated parameters of `base`
+ */
+export function serializeFilters(filters, base = "") {
+    const params = new URLSearchParams(base);
+    if (filters.q) params.set("q", filters.q);
+    else params.delete("q");
+
+    for (const { key, param } of FACETS) {
+        if (filters[key].length > 0) params.set(param, filters[key].join(","));
+        else params.delete(param);
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : "";
+}
+
+export function hasActiveFilters(filters) {
+    return Boolean(filters.q) || FACETS.some(({ key }) => filters[key].length > 0);
+}
+
+/**
+ * Toggle one facet value on or off
+ */
+export function toggleFacet(filters, key, value) {
+    const values = filters[key];
+    return {
+        ...filters,
+        [key]: values.includes(value) ? values.filter(v => v !== value) : [...values, value],
+    };
+}
+
+function matchesText(node, subnet, query) {
+    if (!query) return true;
+    return [
+        node.nodeId,
+        subnet.subnetId,
+        node.nodeOperatorId,
+        node.nodeProviderId,
+        node.dcId,
+    ].some(value => value && value.toLowerCase().includes(query));
+}
+
+function matchesFacet(values, value) {
+    return values.length === 0 || values.includes(value);
+}
+
+function matchesAnyFacet(values, itemValues) {
+    return values.length === 0 || itemValues.some(value => values.includes(value));
+}
+
+/**
+ * Whether a node (within its subnet) passes the search and every facet
+ */
+export function matchesNode(node, subnet, filters) {
+    return matchesText(node, subnet, filters.q.trim().toLowerCase())
+        && matchesFacet(filters.generation, node.generation)
+        && matchesFacet(filters.status, node.status)
+        && matchesFacet(filters.subnetType, subnet.subnetType)
+        && matchesFacet(filters.dc, node.dcId)
+        && matchesFacet(filters.provider, node.nodeProviderId)
+        && matchesFacet(filters.subnet, subnet.subnetId)
+        && matchesFacet(filters.size, String(subnet.nodeCount))
+        && matchesAnyFacet(filters.feature, featureTags(subnet.config));
+}
+
+/**
+ * Apply filters to all subnets.
+ *
+ * @param {Array} subnets - SubnetInfo records including their nodes, and
+ *   optionally their SubnetConfig as `config`
+ * @returns {{ subnetIds: Set<string>, nodes: Array<{ node, subnetId, apiBoundary }> }}
+ *   subnets with at least one matching node, and all matching nodes, each
+ *   once (see nodeEntries in providers.js)
+ */
+export function applyFilters(subnets, filters) {
+    const subnetIds = new Set();
+    const nodes = [];
+    const members = apiBoundaryMemberIds(subnets);
+
+    for (const subnet of subnets) {
+        const boundary = subnet.subnetId === "api_boundary";
+        for (const node of subnet.nodes) {
+            if (boundary && members.has(node.nodeId)) continue;
+            if (matchesNode(node, subnet, filters)) {
+                subnetIds.add(subnet.subnetId);
+                nodes.push({ node, subnetId: subnet.subnetId, apiBoundary: boundary || members.has(node.nodeId) });
+            }
+        }
+    }
+
+    return { subnetIds, nodes };
+}
+
+/**
+ * Distinct values available for each facet, with node counts. Subnet members
+ * that are also API boundary nodes count once, with their subnet.
+ */
+export function facetOptions(subnets) {
+    const options = {};
+    for (const { key } of FACETS) options[key] = new Map();
+
+    const add = (key, value) => {
+        if (!value) return;
+        options[key].set(value, (options[key].get(value) || 0) + 1);
+    };
+
+    const members = apiBoundaryMemberIds(subnets);
+    for (const subnet of subnets) {
+        for (const node of subnet.nodes) {
+            if (subnet.subnetId === "api_boundary" && members.has(node.nodeId)) continue;
+            add("generation", node.generation);
+            add("status", node.status);
+            add("subnetType", subnet.subnetType);
+            add("dc", node.dcId);
+            add("provider", node.nodeProviderId);
+            add("subnet", subnet.subnetId);
+            add("size", String(subnet.nodeCount));
+            for (const tag of featureTags(subnet.config)) add("feature", tag);
+        }
+    }
+
+    const result = {};
+    for (const { key } of FACETS) {
+        result[key] = [...options[key].entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+    }
+    return result;
+}
+
+export default {
+    FACETS,
+    EMPTY_FILTERS,
+    parseFilters,
+    serializeFilters,
+    hasActiveFilters,
+    toggleFacet,
+    matchesNode,
+    applyFilters,
+    facetOptions,
+};
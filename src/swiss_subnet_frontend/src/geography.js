@@ -0,0 +1,188 @@
+/**
+ * Data center geography.
+ *
+ * Maps data center IDs (the `dc_id` of a node, e.g. `zh4`) to their location.
+ * The built-in table only lists data centers whose location is well known;
+ * anything else is reported as unmapped. Entries can be added or corrected
+ * without a rebuild by serving a JSON file (default `/datacenters.json`,
+ * i.e. `public/datacenters.json`) of the form:
+ *
+ *   { "zh4": { "city": "Zurich", "country": "CH", "continent": "Europe", "lat": 47.37, "lon": 8.54 } }
+ */
+
+const ZURICH = { city: "Zurich", country: "CH", continent: "Europe", lat: 47.37, lon: 8.54 };
+const GENEVA = { city: "Geneva", country: "CH", continent: "Europe", lat: 46.2, lon: 6.14 };
+const HONG_KONG = { city: "Hong Kong", country: "HK", continent: "Asia", lat: 22.32, lon: 114.17 };
+const SINGAPORE = { city: "Singapore", country: "SG", continent: "Asia", lat: 1.35, lon: 103.82 };
+const TOKYO = { city: "Tokyo", country: "JP", continent: "Asia", lat: 35.68, lon: 139.69 };
+const JOHANNESBURG = { city: "Johannesburg", country: "ZA", continent: "Africa", lat: -26.2, lon: 28.05 };
+const CAPE_TOWN = { city: "Cape Town", country: "ZA", continent: "Africa", lat: -33.92, lon: 18.42 };
+const LJUBLJANA = { city: "Ljubljana", country: "SI", continent: "Europe", lat: 46.06, lon: 14.51 };
+const SAN_JOSE = { city: "San Jose", country: "US", continent: "North America", lat: 37.34, lon: -121.89 };
+const CHICAGO = { city: "Chicago", country: "US", continent: "North America", lat: 41.88, lon: -87.63 };
+
+export const DATA_CENTERS = {
+    zh2: ZURICH,
+    zh3: ZURICH,
+    zh4: ZURICH,
+    zh5: ZURICH,
+    zh6: ZURICH,
+    zh7: ZURICH,
+    ge1: GENEVA,
+    ge2: GENEVA,
+    fr2: { city: "Frankfurt", country: "DE", continent: "Europe", lat: 50.11, lon: 8.68 },
+    bu1: { city: "Bucharest", country: "RO", continent: "Europe", lat: 44.43, lon: 26.1 },
+    lj1: LJUBLJANA,
+    lj2: LJUBLJANA,
+    hk1: HONG_KONG,
+    hk3: HONG_KONG,
+    hk4: HONG_KONG,
+    sg1: SINGAPORE,
+    sg2: SINGAPORE,
+    sg3: SINGAPORE,
+    ty1: TOKYO,
+    ty2: TOKYO,
+    ty3: TOKYO,
+    jb1: JOHANNESBURG,
+    jb2: JOHANNESBURG,
+    jb3: JOHANNESBURG,
+    ct1: CAPE_TOWN,
+    ct2: CAPE_TOWN,
+    ny1: { city: "New York", country: "US", continent: "North America", lat: 40.71, lon: -74.01 },
+    dl1: { city: "Dallas", country: "US", continent: "North America", lat: 32.78, lon: -96.8 },
+    at2: { city: "Atlanta", country: "US", continent: "North America", lat: 33.75, lon: -84.39 },
+    lv1: { city: "Las Vegas", country: "US", continent: "North America", lat: 36.17, lon: -115.14 },
+    fm1: { city: "Fremont", country: "US", continent: "North America", lat: 37.55, lon: -121.99 },
+    sj2: SAN_JOSE,
+    sj3: SAN_JOSE,
+    ch2: CHICAGO,
+    ch3: CHICAGO,
+    mtl1: { city: "Montreal", country: "CA", continent: "North America", lat: 45.5, lon: -73.57 },
+    bc1: { city: "Vancouver", country: "CA", continent: "North America", lat: 49.28, lon: -123.12 },
+};
+
+export const UNKNOWN_LOCATION = { city: "Unknown", country: "", continent: "Unknown", lat: null, lon: null };
+
+export const DATA_CENTERS_URL = import.meta.env?.VITE_DATACENTERS_URL || "/datacenters.json";
+
+const regionNames = typeof Intl !== "undefined" && Intl.DisplayNames
+    ? new Intl.DisplayNames(["en"], { type: "region" })
+    : null;
+
+/**
+ * Full country name for an ISO 3166 alpha-2 code
+ */
+export function countryName(code) {
+    if (!code) return "Unknown";
+    try {
+        return regionNames?.of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+/**
+ * Fetch the local override file. A missing or malformed file yields no overrides.
+ */
+export async function loadDataCenterOverrides(url = DATA_CENTERS_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return {};
+        const overrides = await response.json();
+        if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) {
+            console.warn(`⚠️ Ignoring ${url}: expected an object keyed by data center ID`);
+            return {};
+        }
+        console.log(`🌍 Loaded ${Object.keys(overrides).length} data center overrides from ${url}`);
+        return overrides;
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Build a lookup function combining the built-in table with overrides
+ *
+ * @param {object} [overrides] - data center ID -> partial location
+ * @returns {(dcId: string) => { dcId, city, country, countryName, continent, lat, lon, mapped }}
+ */
+export function createDataCenterLookup(overrides = {}) {
+    const cache = new Map();
+
+    return function lookup(dcId) {
+        const key = (dcId || "").toLowerCase();
+        if (cache.has(key)) return cache.get(key);
+
+        const base = DATA_CENTERS[key];
+        const override = overrides[key] || overrides[dcId];
+        const location = base || override
+            ? { ...UNKNOWN_LOCATION, ...base, ...override }
+            : UNKNOWN_LOCATION;
+
+        const result = {
+            dcId: dcId || "",
+            ...location,
+            countryName: countryName(location.country),
+            mapped: Boolean(base || override) && location.lat !== null && location.lon !== null,
+        };
+        cache.set(key, result);
+        return result;
+    };
+}
+
+/**
+ * Aggregate nodes per data center with their location
+ *
+ * @param {Array} nodes - NodeInfo records
+ * @param {function} lookup - from createDataCenterLookup
+ */
+export function groupByDataCenter(nodes, lookup) {
+    const groups = new Map();
+    for (const node of nodes) {
+        const dcId = node.dcId || "";
+        if (!groups.has(dcId)) {
+            groups.set(dcId, { ...lookup(dcId), nodeCount: 0, gen1: 0, gen2: 0, unknown: 0 });
+        }
+        const group = groups.get(dcId);
+        group.nodeCount += 1;
+        if (node.generation === "Gen1") group.gen1 += 1;
+        else if (node.generation === "Gen2") group.gen2 += 1;
+        else group.unknown += 1;
+    }
+    return [...groups.values()].sort((a, b) => b.nodeCount - a.nodeCount);
+}
+
+/**
+ * Node counts per country (and continent), largest first
+ */
+export function countryBreakdown(nodes, lookup) {
+    const countries = new Map();
+    for (const node of nodes) {
+        const location = lookup(node.dcId);
+        const key = location.country || "??";
+        if (!countries.has(key)) {
+            countries.set(key, {
+                country: location.country,
+                countryName: location.countryName,
+                continent: location.continent,
+                nodeCount: 0,
+                dataCenters: new Set(),
+            });
+        }
+        const entry = countries.get(key);
+        entry.nodeCount += 1;
+        entry.dataCenters.add(node.dcId);
+    }
+    return [...countries.values()]
+        .map(entry => ({ ...entry, dataCenters: [...entry.dataCenters].sort() }))
+        .sort((a, b) => b.nodeCount - a.nodeCount);
+}
+
+export default {
+    DATA_CENTERS,
+    countryName,
+    loadDataCenterOverrides,
+    createDataCenterLookup,
+    groupByDataCenter,
+    countryBreakdown,
+};
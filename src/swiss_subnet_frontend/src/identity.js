@@ -0,0 +1,82 @@
+/**
+ * Sign-in for the dashboard.
+ *
+ * Calls are anonymous until the user signs in, either with a key file as
+ * written by `dfx identity export` or through an Internet Identity instance
+ * (typically the one deployed on the local replica). A key file identity is
+ * kept in memory only; an Internet Identity delegation is restored by the
+ * AuthClient on the next visit until it expires.
+ */
+
+import { AuthClient } from "@dfinity/auth-client";
+import { Ed25519KeyIdentity } from "@dfinity/identity";
+import { Secp256k1KeyIdentity } from "@dfinity/identity-secp256k1";
+import { parsePrivateKey } from "./pem";
+
+/**
+ * Internet Identity URL: VITE_INTERNET_IDENTITY_URL, or the local replica's
+ * instance when VITE_CANISTER_ID_INTERNET_IDENTITY is set. Empty when
+ * Internet Identity is not configured.
+ */
+export const INTERNET_IDENTITY_URL = import.meta.env?.VITE_INTERNET_IDENTITY_URL
+    || (import.meta.env?.VITE_CANISTER_ID_INTERNET_IDENTITY
+        ? `http://${import.meta.env.VITE_CANISTER_ID_INTERNET_IDENTITY}.localhost:4943`
+        : "");
+
+// Internet Identity delegations last for 8 hours
+const DELEGATION_TTL_NS = 8n * 3600n * 1000000000n;
+
+/**
+ * Identity from the contents of a PEM key file (secp256k1 or Ed25519),
+ * like loadIdentity in the command-line client
+ */
+export function identityFromPem(pem) {
+    const { type, secretKey } = parsePrivateKey(pem);
+    return type === "secp256k1"
+        ? Secp256k1KeyIdentity.fromSecretKey(secretKey)
+        : Ed25519KeyIdentity.generate(secretKey);
+}
+
+/**
+ * Open Internet Identity in a new window and resolve with the delegated identity
+ */
+export async function loginWithInternetIdentity(identityProvider = INTERNET_IDENTITY_URL) {
+    const authClient = await AuthClient.create();
+    await new Promise((resolve, reject) => {
+        authClient.login({
+            identityProvider,
+            maxTimeToLive: DELEGATION_TTL_NS,
+            onSuccess: resolve,
+            onError: (reason) => reject(new Error(reason || "Internet Identity login failed")),
+        });
+    });
+    return authClient.getIdentity();
+}
+
+/**
+ * The Internet Identity of a previous visit, or null
+ */
+export async function restoreInternetIdentity() {
+    if (!INTERNET_IDENTITY_URL) return null;
+    try {
+        const authClient = await AuthClient.create();
+        return (await authClient.isAuthenticated()) ? authClient.getIdentity() : null;
+    } catch (err) {
+        console.warn("⚠️ Could not restore the Internet Identity session:", err.message);
+        return null;
+    }
+}
+
+export async function logoutInternetIdentity() {
+    if (!INTERNET_IDENTITY_URL) return;
+    const authClient = await AuthClient.create();
+    await authClient.logout();
+}
+
+export default {
+    INTERNET_IDENTITY_URL,
+    identityFromPem,
+    loginWithInternetIdentity,
+    restoreInternetIdentity,
+    logoutInternetIdentity,
+};
@@ -0,0 +1,117 @@
+/**
+ * Decentralization metrics computed from node lists.
+ *
+ * The Nakamoto coefficient of a dimension (provider, operator, data center)
+ * is the minimum number of entities that together control more than 1/3 of
+ * the nodes, i.e. enough to stall consensus of a subnet.
+ */
+
+export const DIMENSIONS = [
+    { key: "providers", field: "nodeProviderId", label: "Providers" },
+    { key: "operators", field: "nodeOperatorId", label: "Operators" },
+    { key: "dataCenters", field: "dcId", label: "Data centers" },
+];
+
+export const DEFAULT_NAKAMOTO_THRESHOLD = Number(import.meta.env?.VITE_NAKAMOTO_THRESHOLD) || 3;
+
+/**
+ * Minimum number of entities whose combined node count exceeds
+ * `fraction` of the total.
+ *
+ * @param {number[]} counts - nodes per entity
+ * @param {number} [fraction] - share of nodes that must be exceeded
+ */
+export function nakamotoCoefficient(counts, fraction = 1 / 3) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return 0;
+
+    const sorted = [...counts].sort((a, b) => b - a);
+    let controlled = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        controlled += sorted[i];
+        if (controlled > total * fraction) return i + 1;
+    }
+    return sorted.length;
+}
+
+/**
+ * Count nodes per distinct value of `field`. Nodes with an empty value
+ * belong to no known entity and are left out.
+ */
+export function countBy(nodes, field) {
+    const counts = new Map();
+    for (const node of nodes) {
+        const key = node[field];
+        if (!key) continue;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Distinct entity counts and Nakamoto coefficients for a set of nodes
+ *
+ * @param {Array} nodes - NodeInfo records
+ * @returns {{ nodeCount: number, providers: object, operators: object, dataCenters: object, minNakamoto: number }}
+ *   where each dimension has `distinct`, `nakamoto`, `largest` and
+ *   `unknown`, the number of nodes left out for having no value
+ */
+export function computeDecentralization(nodes) {
+    const result = { nodeCount: nodes.length };
+
+    for (const { key, field } of DIMENSIONS) {
+        const counts = countBy(nodes, field);
+        result[key] = {
+            distinct: counts.size,
+            nakamoto: nakamotoCoefficient([...counts.values()]),
+            largest: Math.max(0, ...counts.values()),
+            unknown: nodes.filter(node => !node[field]).length,
+        };
+    }
+
+    result.minNakamoto = Math.min(...DIMENSIONS.map(({ key }) => result[key].nakamoto));
+    return result;
+}
+
+/**
+ * Metrics for every subnet plus the whole network.
+ *
+ * Network-wide values are computed over all nodes of the given subnets;
+ * `minSubnetNakamoto` additionally records the weakest subnet per dimension.
+ *
+ * @param {Array} subnets - SubnetInfo records (real subnets only)
+ */
+export function computeNetworkDecentralization(subnets) {
+    const bySubnet = {};
+    for (const subnet of subnets) {
+        bySubnet[subnet.subnetId] = computeDecentralization(subnet.nodes);
+    }
+
+    const allNodes = subnets.flatMap(subnet => subnet.nodes);
+    const network = computeDecentralization(allNodes);
+    const perSubnet = Object.values(bySubnet);
+
+    if (perSubnet.length > 0) {
+        for (const { key } of DIMENSIONS) {
+            network[key].minSubnetNakamoto = Math.min(...perSubnet.map(m => m[key].nakamoto));
+        }
+    }
+
+    return { bySubnet, network };
+}
+
+/**
+ * Whether a subnet's weakest Nakamoto coefficient is below the threshold
+ */
+export function isBelowThreshold(metrics, threshold) {
+    return metrics !== undefined && metrics.nodeCount > 0 && metrics.minNakamoto < threshold;
+}
+
+export default {
+    DIMENSIONS,
+    DEFAULT_NAKAMOTO_THRESHOLD,
+    nakamotoCoefficient,
+    computeDecentralization,
+    computeNetworkDecentralization,
+    isBelowThreshold,
+};
@@ -0,0 +1,70 @@
+/**
+ * Private keys from PEM files as written by `dfx identity export`.
+ *
+ * Shared by the dashboard's key file sign-in and the command-line client,
+ * which build their identities from the returned key material with their
+ * own versions of @dfinity/identity. Only uses what browsers and Node have
+ * built in.
+ */
+
+// DER of the Ed25519 algorithm identifier (OID 1.3.101.112) and of the
+// OCTET STRING(OCTET STRING(32)) that holds the seed in a PKCS#8 key
+const ED25519_ALGORITHM = [0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70];
+const ED25519_SEED_HEADER = [0x04, 0x22, 0x04, 0x20];
+
+function indexOfBytes(bytes, pattern, from = 0) {
+    for (let i = from; i + pattern.length <= bytes.length; i++) {
+        if (pattern.every((byte, j) => bytes[i + j] === byte)) return i;
+    }
+    return -1;
+}
+
+/**
+ * Decode the base64 body of a PEM block with the given label
+ */
+function pemBlock(pem, label) {
+    const match = pem.match(new RegExp(`-----BEGIN ${label}-----([\\s\\S]+?)-----END ${label}-----`));
+    if (!match) return null;
+    return Uint8Array.from(atob(match[1].replace(/\s+/g, "")), c => c.charCodeAt(0));
+}
+
+/**
+ * The private key in a PEM file
+ *
+ * @param {string} pem - contents of the key file
+ * @returns {{ type: "secp256k1" | "ed25519", secretKey: Uint8Array }} the
+ *   secp256k1 secret key or the Ed25519 seed, 32 bytes each
+ * @throws {Error} if the file holds no key or one of another type
+ */
+export function parsePrivateKey(pem) {
+    // SEC1 secp256k1 key (dfx default): SEQUENCE { INTEGER 1, OCTET STRING(32) key, ... }
+    const ecKey = pemBlock(pem, "EC PRIVATE KEY");
+    if (ecKey) {
+        if (ecKey[2] !== 0x02 || ecKey[5] !== 0x04 || ecKey[6] !== 0x20) {
+            throw new Error("Malformed EC private key");
+        }
+        return { type: "secp256k1", secretKey: ecKey.slice(7, 39) };
+    }
+
+    // PKCS#8 Ed25519 key: SEQUENCE { INTEGER version, algorithm, OCTET STRING(OCTET STRING(32) seed), ... }.
+    // dfx writes version 2, which appends the public key after the seed.
+    const pkcs8 = pemBlock(pem, "PRIVATE KEY");
+    if (pkcs8) {
+        const algorithm = indexOfBytes(pkcs8, ED25519_ALGORITHM);
+        if (algorithm === -1) {
+            throw new Error("Unsupported private key type (expected Ed25519 or secp256k1)");
+        }
+        const header = indexOfBytes(pkcs8, ED25519_SEED_HEADER, algorithm + ED25519_ALGORITHM.length);
+        const seedStart = header + ED25519_SEED_HEADER.length;
+        if (header === -1 || pkcs8.length < seedStart + 32) {
+            throw new Error("Malformed Ed25519 private key");
+        }
+        return { type: "ed25519", secretKey: pkcs8.slice(seedStart, seedStart + 32) };
+    }
+
+    throw new Error("No private key found");
+}
+
+export default {
+    parsePrivateKey,
+};
@@ -0,0 +1,167 @@
+/**
+ * Node provider and node operator profiles.
+ *
+ * Both are aggregated from the loaded subnets, so they work for snapshots
+ * and cached data too. Providers and operators are only known by their
+ * principal; readable names can be supplied without a rebuild by serving a
+ * JSON file (default `/providers.json`, i.e. `public/providers.json`) that
+ * maps principals to names:
+ *
+ *   { "bvcsg-3od6r-jnydw-...": "Example Provider AG" }
+ *
+ * Operator principals can be listed in the same file.
+ */
+
+import { VIRTUAL_SUBNETS } from "./topology";
+import { apiBoundaryMemberIds } from "./virtualSubnets";
+
+export const PROVIDER_NAMES_URL = import.meta.env?.VITE_PROVIDER_NAMES_URL || "/providers.json";
+
+export const KINDS = {
+    provider: { field: "nodeProviderId", label: "Node provider", directory: "providers", other: "operator" },
+    operator: { field: "nodeOperatorId", label: "Node operator", directory: "operators", other: "provider" },
+};
+
+/**
+ * Directory table columns; the principal links to the profile page
+ */
+export function directoryColumns(kind) {
+    return [
+        { key: "id", label: KINDS[kind].label, link: kind, defaultVisible: true },
+        { key: "name", label: "Name", defaultVisible: true },
+        { key: "totalNodes", label: "Nodes", numeric: true, defaultVisible: true },
+        { key: "assignedNodes", label: "In subnets", numeric: true, defaultVisible: true },
+        { key: "unassignedNodes", label: "Unassigned", numeric: true, defaultVisible: true },
+        { key: "subnetCount", label: "Subnets", numeric: true, defaultVisible: true },
+        { key: "dataCenterCount", label: "Data centers", numeric: true, defaultVisible: true },
+        { key: "relatedCount", label: kind === "provider" ? "Operators" : "Providers", numeric: true, defaultVisible: true },
+        { key: "gen1Nodes", label: "Gen1", numeric: true, defaultVisible: true },
+        { key: "gen2Nodes", label: "Gen2", numeric: true, defaultVisible: true },
+    ];
+}
+
+/**
+ * Fetch the names file. A missing or malformed file yields no names.
+ */
+export async function loadProviderNames(url = PROVIDER_NAMES_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return {};
+        const names = await response.json();
+        if (names === null || typeof names !== "object" || Array.isArray(names)) {
+            console.warn(`⚠️ Ignoring ${url}: expected an object mapping principals to names`);
+            return {};
+        }
+        const valid = Object.fromEntries(
+            Object.entries(names).filter(([, name]) => typeof name === "string" && name.trim())
+        );
+        console.log(`🏢 Loaded ${Object.keys(valid).length} provider names from ${url}`);
+        return valid;
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Every node once, with the subnet it is listed under. Subnet members that
+ * are also API boundary nodes are listed with their subnet and flagged
+ * `apiBoundary`.
+ *
+ * @returns {Array<{ node, subnetId, apiBoundary: boolean }>}
+ */
+export function nodeEntries(subnets) {
+    const members = apiBoundaryMemberIds(subnets);
+    return subnets.flatMap(subnet => subnet.nodes
+        .filter(node => subnet.subnetId !== "api_boundary" || !members.has(node.nodeId))
+        .map(node => ({
+            node,
+            subnetId: subnet.subnetId,
+            apiBoundary: subnet.subnetId === "api_boundary" || members.has(node.nodeId),
+        })));
+}
+
+function countSorted(values) {
+    const counts = new Map();
+    for (const value of values) {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .map(([id, nodeCount]) => ({ id, nodeCount }))
+        .sort((a, b) => b.nodeCount - a.nodeCount || a.id.localeCompare(b.id));
+}
+
+/**
+ * Profile of one provider or operator
+ *
+ * @param {Array<{ node, subnetId }>} entries - the nodes of that provider or operator
+ * @param {string} kind - "provider" or "operator"
+ * @returns {{ totalNodes, assignedNodes, unassignedNodes, apiBoundaryNodes,
+ *   generations: { Gen1, Gen2, Unknown }, subnets, dataCenters, related }}
+ *   where subnets, dataCenters and related (the operators of a provider, or
+ *   the providers of an operator) are `{ id, nodeCount }` lists, largest first
+ */
+export function buildProfile(entries, kind) {
+    const related = KINDS[KINDS[kind].other].field;
+    const generations = { Gen1: 0, Gen2: 0, Unknown: 0 };
+    for (const { node } of entries) {
+        generations[node.generation in generations ? node.generation : "Unknown"] += 1;
+    }
+
+    return {
+        totalNodes: entries.length,
+        assignedNodes: entries.filter(entry => !VIRTUAL_SUBNETS.includes(entry.subnetId)).length,
+        unassignedNodes: entries.filter(entry => entry.subnetId === "unassigned").length,
+        apiBoundaryNodes: entries.filter(entry => entry.subnetId === "api_boundary").length,
+        generations,
+        subnets: countSorted(entries.map(entry => entry.subnetId).filter(id => !VIRTUAL_SUBNETS.includes(id))),
+        dataCenters: countSorted(entries.map(entry => entry.node.dcId)),
+        related: countSorted(entries.map(entry => entry.node[related])),
+    };
+}
+
+/**
+ * One directory row per provider or operator, largest first
+ *
+ * @param {Array} subnets - SubnetInfo records including the unassigned and
+ *   API boundary node lists
+ * @param {string} kind - "provider" or "operator"
+ * @param {object} [names] - principal -> name, from loadProviderNames
+ */
+export function buildDirectory(subnets, kind, names = {}) {
+    const { field } = KINDS[kind];
+    const byId = new Map();
+    for (const entry of nodeEntries(subnets)) {
+        const id = entry.node[field];
+        if (!id) continue;
+        if (!byId.has(id)) byId.set(id, []);
+        byId.get(id).push(entry);
+    }
+
+    return [...byId.entries()]
+        .map(([id, entries]) => {
+            const profile = buildProfile(entries, kind);
+            return {
+                id,
+                name: names[id] || "",
+                totalNodes: profile.totalNodes,
+                assignedNodes: profile.assignedNodes,
+                unassignedNodes: profile.unassignedNodes,
+                subnetCount: profile.subnets.length,
+                dataCenterCount: profile.dataCenters.length,
+                relatedCount: profile.related.length,
+                gen1Nodes: profile.generations.Gen1,
+                gen2Nodes: profile.generations.Gen2,
+            };
+        })
+        .sort((a, b) => b.totalNodes - a.totalNodes || a.id.localeCompare(b.id));
+}
+
+export default {
+    PROVIDER_NAMES_URL,
+    KINDS,
+    directoryColumns,
+    loadProviderNames,
+    nodeEntries,
+    buildProfile,
+    buildDirectory,
+};
@@ -0,0 +1,122 @@
+/**
+ * Automatic background refresh.
+ *
+ * The dashboard polls the canister's `getLastUpdateTime` at a configurable
+ * interval and reloads its data only when that time differs from the loaded
+ * data's `lastUpdated`. The old and new subnets are then compared so the
+ * change can be summarized for the user.
+ */
+
+export const REFRESH_INTERVALS = [0, 30, 60, 300, 900];
+
+// VITE_REFRESH_INTERVAL_SECONDS=0 turns automatic refresh off by default
+const envInterval = Number(import.meta.env?.VITE_REFRESH_INTERVAL_SECONDS ?? 60);
+export const DEFAULT_REFRESH_INTERVAL_SECONDS = Number.isFinite(envInterval) && envInterval >= 0 ? envInterval : 60;
+
+const STORAGE_KEY = "refreshInterval";
+
+/**
+ * Polling interval in seconds, 0 when automatic refresh is off
+ */
+export function loadRefreshInterval(storage = globalThis.localStorage) {
+    const stored = storage?.getItem(STORAGE_KEY);
+    const seconds = stored === null || stored === undefined ? DEFAULT_REFRESH_INTERVAL_SECONDS : Number(stored);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_REFRESH_INTERVAL_SECONDS;
+}
+
+export function saveRefreshInterval(seconds, storage = globalThis.localStorage) {
+    storage?.setItem(STORAGE_KEY, String(seconds));
+}
+
+export function formatInterval(seconds) {
+    if (seconds === 0) return "Off";
+    if (seconds < 60) return `${seconds}s`;
+    return `${seconds / 60} min`;
+}
+
+/**
+ * Whether the canister's data changed since it was loaded
+ *
+ * @param {bigint} lastUpdateTime - from getLastUpdateTime()
+ * @param {object|null} networkStats - the loaded stats
+ */
+export function hasDataChanged(lastUpdateTime, networkStats) {
+    return !networkStats || BigInt(lastUpdateTime) !== BigInt(networkStats.lastUpdated);
+}
+
+function nodeIndex(subnets) {
+    const index = new Map();
+    for (const subnet of subnets) {
+        for (const node of subnet.nodes) {
+            // API boundary nodes of a subnet are also listed there by ID only
+            if (subnet.subnetId === "api_boundary" && index.has(node.nodeId)) continue;
+            index.set(node.nodeId, { subnetId: subnet.subnetId, generation: node.generation });
+        }
+    }
+    return index;
+}
+
+/**
+ * What changed between two loads of getSubnets()
+ *
+ * A subnet changed when it appeared, disappeared, or any of its nodes was
+ * added, removed, moved or reclassified.
+ *
+ * @returns {{ nodesAdded: number, nodesRemoved: number, changedSubnets: string[] }}
+ */
+export function summarizeChanges(previousSubnets, nextSubnets) {
+    const before = nodeIndex(previousSubnets);
+    const after = nodeIndex(nextSubnets);
+    const changed = new Set();
+    let nodesAdded = 0;
+    let nodesRemoved = 0;
+
+    for (const [nodeId, node] of after) {
+        const old = before.get(nodeId);
+        if (!old) {
+            nodesAdded += 1;
+            changed.add(node.subnetId);
+        } else if (old.subnetId !== node.subnetId || old.generation !== node.generation) {
+            changed.add(old.subnetId);
+            changed.add(node.subnetId);
+        }
+    }
+
+    for (const [nodeId, node] of before) {
+        if (!after.has(nodeId)) {
+            nodesRemoved += 1;
+            changed.add(node.subnetId);
+        }
+    }
+
+    const previousIds = new Set(previousSubnets.map(subnet => subnet.subnetId));
+    const nextIds = new Set(nextSubnets.map(subnet => subnet.subnetId));
+    for (const id of nextIds) if (!previousIds.has(id)) changed.add(id);
+    for (const id of previousIds) if (!nextIds.has(id)) changed.add(id);
+
+    return { nodesAdded, nodesRemoved, changedSubnets: [...changed].sort() };
+}
+
+/**
+ * One-line description of a change summary
+ */
+export function describeChanges({ nodesAdded, nodesRemoved, changedSubnets }) {
+    const parts = [];
+    if (nodesAdded > 0) parts.push(`${nodesAdded} node${nodesAdded === 1 ? "" : "s"} added`);
+    if (nodesRemoved > 0) parts.push(`${nodesRemoved} node${nodesRemoved === 1 ? "" : "s"} removed`);
+    if (changedSubnets.length > 0) {
+        parts.push(`${changedSubnets.length} subnet${changedSubnets.length === 1 ? "" : "s"} changed`);
+    }
+    return parts.length > 0 ? parts.join(", ") : "No node or subnet changes";
+}
+
+export default {
+    REFRESH_INTERVALS,
+    DEFAULT_REFRESH_INTERVAL_SECONDS,
+    loadRefreshInterval,
+    saveRefreshInterval,
+    formatInterval,
+    hasDataChanged,
+    summarizeChanges,
+    describeChanges,
+};
@@ -0,0 +1,150 @@
+/**
+ * Fault-tolerance risk of subnets.
+ *
+ * A subnet of n nodes tolerates f = floor((n - 1) / 3) faulty nodes. A single
+ * node provider, operator, data center or country with f + 1 of its nodes can
+ * stall the subnet (or, acting maliciously, break it); with n - f nodes it
+ * holds a quorum on its own. Gen1 hardware counts as one more such factor:
+ * f + 1 aging Gen1 nodes failing together stall the subnet as well.
+ *
+ * Nodes whose entity is unknown (e.g. a data center missing from the location
+ * table) are counted per dimension but never grouped into a finding.
+ */
+
+export const RISK_DIMENSIONS = [
+    { key: "provider", label: "Node provider", route: "provider", value: node => node.nodeProviderId },
+    { key: "operator", label: "Node operator", value: node => node.nodeOperatorId },
+    { key: "dataCenter", label: "Data center", route: "dc", value: node => node.dcId },
+    { key: "country", label: "Country", value: (node, lookup) => lookup(node.dcId).country },
+];
+
+// Most severe first; a subnet's level is its most severe finding
+export const SEVERITIES = ["quorum", "stall", "aging"];
+
+// Least severe first
+const LEVELS = ["ok", ...[...SEVERITIES].reverse()];
+
+/**
+ * Number of faulty nodes a subnet of `nodeCount` nodes tolerates
+ */
+export function faultTolerance(nodeCount) {
+    return Math.max(0, Math.floor((nodeCount - 1) / 3));
+}
+
+function groupNodeIds(nodes, value) {
+    const groups = new Map();
+    for (const node of nodes) {
+        const key = value(node);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(node.nodeId);
+    }
+    return groups;
+}
+
+/**
+ * Findings of one subnet
+ *
+ * @param {object} subnet - SubnetInfo including its nodes
+ * @param {function} lookup - from createDataCenterLookup, for countries
+ * @returns {{ subnetId, nodeCount, faultTolerance, stallThreshold, quorum,
+ *   findings: Array<{ severity, dimension, label, entity, count, nodeIds }>,
+ *   margin, largestShare, gen1Share, unknown, level }} where `margin` is how
+ *   many more nodes the largest entity needs to stall the subnet (0 or less
+ *   once it can) and `unknown` counts nodes without an entity per dimension
+ */
+export function assessSubnetRisk(subnet, lookup) {
+    const nodes = subnet.nodes;
+    const nodeCount = nodes.length;
+    const f = faultTolerance(nodeCount);
+    const stallThreshold = f + 1;
+    const quorum = nodeCount - f;
+
+    const findings = [];
+    const unknown = {};
+    let largest = 0;
+
+    for (const dimension of RISK_DIMENSIONS) {
+        const groups = groupNodeIds(nodes, node => dimension.value(node, lookup));
+        unknown[dimension.key] = nodeCount - [...groups.values()].reduce((sum, ids) => sum + ids.length, 0);
+
+        for (const [entity, nodeIds] of groups) {
+            largest = Math.max(largest, nodeIds.length);
+            if (nodeIds.length < stallThreshold) continue;
+            findings.push({
+                severity: nodeIds.length >= quorum ? "quorum" : "stall",
+                dimension: dimension.key,
+                label: dimension.label,
+                entity,
+                count: nodeIds.length,
+                nodeIds: [...nodeIds].sort(),
+            });
+        }
+    }
+
+    const gen1NodeIds = nodes.filter(node => node.generation === "Gen1").map(node => node.nodeId).sort();
+    if (nodeCount > 0 && gen1NodeIds.length >= stallThreshold) {
+        findings.push({
+            severity: "aging",
+            dimension: "generation",
+            label: "Gen1 hardware",
+            entity: "Gen1",
+            count: gen1NodeIds.length,
+            nodeIds: gen1NodeIds,
+        });
+    }
+
+    findings.sort((a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.count - a.count
+    );
+
+    return {
+        subnetId: subnet.subnetId,
+        nodeCount,
+        faultTolerance: f,
+        stallThreshold,
+        quorum,
+        findings,
+        margin: stallThreshold - largest,
+        largestShare: nodeCount > 0 ? largest / nodeCount : 0,
+        gen1Share: nodeCount > 0 ? gen1NodeIds.length / nodeCount : 0,
+        unknown,
+        level: findings.length > 0 ? findings[0].severity : "ok",
+    };
+}
+
+/**
+ * Risk of every subnet, riskiest first: by level, then by how close the
+ * largest entity is to stalling the subnet, then by Gen1 share
+ *
+ * @param {Array} subnets - real subnets (not the unassigned or API boundary lists)
+ */
+export function rankSubnetRisks(subnets, lookup) {
+    return subnets
+        .map(subnet => assessSubnetRisk(subnet, lookup))
+        .sort((a, b) =>
+            LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level)
+            || a.margin - b.margin
+            || b.largestShare - a.largestShare
+            || b.gen1Share - a.gen1Share
+            || a.subnetId.localeCompare(b.subnetId)
+        );
+}
+
+/**
+ * Number of subnets per level
+ */
+export function countByLevel(risks) {
+    const counts = Object.fromEntries(LEVELS.map(level => [level, 0]));
+    for (const risk of risks) counts[risk.level] += 1;
+    return counts;
+}
+
+export default {
+    RISK_DIMENSIONS,
+    SEVERITIES,
+    faultTolerance,
+    assessSubnetRisk,
+    rankSubnetRisks,
+    countByLevel,
+};
@@ -0,0 +1,37 @@
+/**
+ * Access roles of the backend canister.
+ *
+ * Anyone may query the data; uploaders may also upload, reclassify and clear
+ * it; admins may also assign roles. Controllers of the canister are always
+ * admins. Roles are Candid variants (`{ uploader: null }`) on the wire and
+ * plain names here.
+ */
+
+export const ROLES = ["admin", "uploader", "viewer"];
+
+const RANK = { viewer: 0, uploader: 1, admin: 2 };
+
+export function fromCandidRole(role) {
+    return Object.keys(role)[0];
+}
+
+export function toCandidRole(name) {
+    if (!ROLES.includes(name)) {
+        throw new Error(`Unknown role: ${name} (expected ${ROLES.join(", ")})`);
+    }
+    return { [name]: null };
+}
+
+/**
+ * Whether `role` includes the permissions of `required`
+ */
+export function hasRole(role, required) {
+    return (RANK[role] ?? -1) >= RANK[required];
+}
+
+export default {
+    ROLES,
+    fromCandidRole,
+    toCandidRole,
+    hasRole,
+};
@@ -0,0 +1,85 @@
+/**
+ * Version rollout: how far replica (per subnet) and HostOS (per node)
+ * upgrades have progressed across the network.
+ *
+ * The most common version of each kind is the "leading" version; everything
+ * running another known version is flagged as being on a minority version.
+ * Items without a version (e.g. API boundary nodes) are counted but not flagged.
+ */
+
+export const UNKNOWN_VERSION = "unknown";
+
+/**
+ * Group items by version, most common first
+ *
+ * @param {Array} items
+ * @param {function} getVersion - item -> version ID ("" for unknown)
+ * @returns {Array<{ version, count, share, leading, items }>}
+ */
+export function groupByVersion(items, getVersion) {
+    const groups = new Map();
+    for (const item of items) {
+        const version = getVersion(item) || UNKNOWN_VERSION;
+        if (!groups.has(version)) groups.set(version, []);
+        groups.get(version).push(item);
+    }
+
+    const total = items.length;
+    const sorted = [...groups.entries()]
+        .map(([version, grouped]) => ({
+            version,
+            count: grouped.length,
+            share: total > 0 ? grouped.length / total : 0,
+            items: grouped,
+        }))
+        // Ties are broken by version so the leading version is stable
+        .sort((a, b) => b.count - a.count || a.version.localeCompare(b.version));
+
+    const leadingVersion = sorted.find(group => group.version !== UNKNOWN_VERSION)?.version;
+    return sorted.map(group => ({ ...group, leading: group.version === leadingVersion }));
+}
+
+/**
+ * Replica versions of the real subnets and HostOS versions of all nodes
+ *
+ * @param {Array} subnets - SubnetInfo records with their `config` (see subnetConfig.js)
+ * @returns {{ replica: object, hostos: object }} each with `versions` (from
+ *   groupByVersion), `minority` (items not on the leading version) and `total`
+ */
+export function computeRollout(subnets) {
+    const realSubnets = subnets.filter(subnet => subnet.config);
+    const nodes = subnets.flatMap(subnet => subnet.nodes.map(node => ({ node, subnetId: subnet.subnetId })));
+
+    const summarize = (versions, total) => ({
+        versions,
+        total,
+        minority: versions
+            .filter(group => !group.leading && group.version !== UNKNOWN_VERSION)
+            .flatMap(group => group.items),
+    });
+
+    return {
+        replica: summarize(
+            groupByVersion(realSubnets, subnet => subnet.config.replicaVersionId),
+            realSubnets.length
+        ),
+        hostos: summarize(
+            groupByVersion(nodes, ({ node }) => node.hostosVersionId),
+            nodes.length
+        ),
+    };
+}
+
+/**
+ * Shorten a version ID (usually a git commit hash) for display
+ */
+export function shortVersion(version) {
+    return version.length > 12 ? version.substring(0, 10) : version;
+}
+
+export default {
+    UNKNOWN_VERSION,
+    groupByVersion,
+    computeRollout,
+    shortVersion,
+};
@@ -0,0 +1,80 @@
+/**
+ * Minimal client-side routing on top of the History API.
+ *
+ * Routes:
+ *   /                  dashboard
+ *   /subnet/:id        dashboard with the subnet selected
+ *   /node/:id          single node
+ *   /provider/:id      node provider profile
+ *   /operator/:id      node operator profile
+ *   /dc/:id            nodes in a data center
+ *   /providers         node provider directory
+ *   /operators         node operator directory
+ *
+ * Anything else resolves to the `notFound` route. The asset canister and the
+ * Vite dev server both serve index.html for unknown paths, so deep links work
+ * after a reload.
+ */
+
+export const ROUTES = {
+    subnet: "subnet",
+    node: "node",
+    provider: "provider",
+    operator: "operator",
+    dc: "dc",
+};
+
+// Routes without an ID
+export const LIST_ROUTES = {
+    providers: "providers",
+    operators: "operators",
+};
+
+export const HOME_ROUTE = { name: "home", id: null };
+
+/**
+ * Resolve a pathname to `{ name, id }`
+ */
+export function matchRoute(pathname) {
+    const segments = (pathname || "/").split("/").filter(Boolean);
+    if (segments.length === 0) return HOME_ROUTE;
+
+    const [name, id, ...rest] = segments;
+    if (LIST_ROUTES[name] && segments.length === 1) return { name, id: null };
+    if (ROUTES[name] && id && rest.length === 0) {
+        try {
+            return { name, id: decodeURIComponent(id) };
+        } catch {
+            // Malformed escape sequence, fall through to not found
+        }
+    }
+    return { name: "notFound", id: pathname };
+}
+
+/**
+ * Path for a route, e.g. `routePath("subnet", "tdb26-...")`
+ */
+export function routePath(name, id) {
+    if (LIST_ROUTES[name]) return `/${name}`;
+    if (name === "home" || !ROUTES[name]) return "/";
+    return `/${name}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Push a new history entry and notify `popstate` listeners.
+ * The query string (search filters) is kept unless `search` is given.
+ */
+export function navigate(path, search = window.location.search) {
+    if (path + search === window.location.pathname + window.location.search) return;
+    window.history.pushState(null, "", path + search);
+    window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+export default {
+    ROUTES,
+    LIST_ROUTES,
+    HOME_ROUTE,
+    matchRoute,
+    routePath,
+    navigate,
+};
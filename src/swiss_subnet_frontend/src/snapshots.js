@@ -0,0 +1,114 @@
+/**
+ * Historical topology snapshots.
+ *
+ * The backend keeps a summary of every upload (`getSnapshots`) and the full
+ * data of the most recent ones (`getSnapshot`; `hasData` in the summary says
+ * whether it is still there). The dashboard can show any of them
+ * instead of the live data; the selected snapshot is kept in the URL as
+ * `?snapshot=<id>` so a historical view can be shared.
+ */
+
+import { VIRTUAL_SUBNETS } from "./topology";
+
+export const SNAPSHOT_PARAM = "snapshot";
+
+/**
+ * Selected snapshot ID from a query string, or null for the live data
+ */
+export function parseSnapshotId(search) {
+    const value = new URLSearchParams(search).get(SNAPSHOT_PARAM);
+    return value && /^\d+$/.test(value) ? value : null;
+}
+
+/**
+ * Write the selected snapshot into a query string, keeping other parameters
+ */
+export function serializeSnapshotId(snapshotId, search = "") {
+    const params = new URLSearchParams(search);
+    if (snapshotId !== null) params.set(SNAPSHOT_PARAM, snapshotId);
+    else params.delete(SNAPSHOT_PARAM);
+    const query = params.toString();
+    return query ? `?${query}` : "";
+}
+
+/**
+ * Recompute what getNetworkStats and getGlobalStats return from the subnets
+ * of a snapshot
+ *
+ * @param {Array} subnets - SubnetInfo records including their nodes
+ * @param {bigint} lastUpdated - snapshot time in nanoseconds
+ */
+export function statsFromSubnets(subnets, lastUpdated) {
+    const networkStats = {
+        totalSubnets: 0n,
+        totalNodes: 0n,
+        gen1Nodes: 0n,
+        gen2Nodes: 0n,
+        unknownNodes: 0n,
+        lastUpdated,
+    };
+    const globalStats = { totalNodes: 0n, gen1Nodes: 0n, gen2Nodes: 0n, unknownNodes: 0n };
+
+    const counted = new Set();
+    for (const subnet of subnets) {
+        if (!VIRTUAL_SUBNETS.includes(subnet.subnetId)) {
+            networkStats.totalSubnets += 1n;
+            networkStats.totalNodes += BigInt(subnet.nodeCount);
+            networkStats.gen1Nodes += BigInt(subnet.gen1Count);
+            networkStats.gen2Nodes += BigInt(subnet.gen2Count);
+            networkStats.unknownNodes += BigInt(subnet.unknownCount);
+        }
+        if (subnet.subnetId === "api_boundary") continue;
+        for (const node of subnet.nodes) counted.add(node.nodeId);
+        globalStats.totalNodes += BigInt(subnet.nodeCount);
+        globalStats.gen1Nodes += BigInt(subnet.gen1Count);
+        globalStats.gen2Nodes += BigInt(subnet.gen2Count);
+        globalStats.unknownNodes += BigInt(subnet.unknownCount);
+    }
+
+    // API boundary nodes that are members of a subnet are counted there
+    const boundary = subnets.find(subnet => subnet.subnetId === "api_boundary");
+    for (const node of boundary ? boundary.nodes : []) {
+        if (counted.has(node.nodeId)) continue;
+        globalStats.totalNodes += 1n;
+        if (node.generation === "Gen1") globalStats.gen1Nodes += 1n;
+        else if (node.generation === "Gen2") globalStats.gen2Nodes += 1n;
+        else globalStats.unknownNodes += 1n;
+    }
+
+    return { networkStats, globalStats };
+}
+
+/**
+ * One chart point per snapshot, oldest first
+ *
+ * @param {Array} summaries - SnapshotSummary records
+ */
+export function trendData(summaries) {
+    return [...summaries]
+        .sort((a, b) => Number(a.takenAt - b.takenAt))
+        .map(summary => {
+            const total = Number(summary.totalNodes);
+            const takenAt = new Date(Number(summary.takenAt) / 1000000);
+            return {
+                id: String(summary.id),
+                takenAt,
+                label: takenAt.toLocaleDateString(),
+                total,
+                gen1: Number(summary.gen1Nodes),
+                gen2: Number(summary.gen2Nodes),
+                unknown: Number(summary.unknownNodes),
+                unassigned: Number(summary.unassignedNodes),
+                subnets: Number(summary.totalSubnets),
+                gen2Share: total > 0 ? Number(((Number(summary.gen2Nodes) / total) * 100).toFixed(1)) : 0,
+            };
+        });
+}
+
+export default {
+    SNAPSHOT_PARAM,
+    parseSnapshotId,
+    serializeSnapshotId,
+    statsFromSubnets,
+    trendData,
+};
@@ -0,0 +1,68 @@
+/**
+ * Helpers for the per-subnet configuration (`SubnetConfig`) stored with the
+ * topology: type labels, feature tags and the fields shown in the details panel.
+ */
+
+export const SUBNET_TYPE_LABELS = {
+    system: "System",
+    application: "Application",
+    verified_application: "Verified application",
+};
+
+export const FEATURE_TAGS = {
+    sev: "SEV",
+    chainKey: "Chain key",
+    httpRequests: "HTTP outcalls",
+    canisterSandboxing: "Sandboxing",
+};
+
+export function subnetTypeLabel(subnetType) {
+    return SUBNET_TYPE_LABELS[subnetType] || subnetType || "Unknown";
+}
+
+/**
+ * Names of the features enabled on a subnet, used for badges and filtering
+ */
+export function featureTags(config) {
+    if (!config) return [];
+    const tags = [];
+    if (config.features.sevEnabled) tags.push(FEATURE_TAGS.sev);
+    if (config.chainKeys.length > 0) tags.push(FEATURE_TAGS.chainKey);
+    if (config.features.httpRequests) tags.push(FEATURE_TAGS.httpRequests);
+    if (config.features.canisterSandboxing) tags.push(FEATURE_TAGS.canisterSandboxing);
+    return tags;
+}
+
+/**
+ * Index configurations by subnet ID
+ */
+export function indexConfigs(configs) {
+    return Object.fromEntries(configs.map(config => [config.subnetId, config]));
+}
+
+/**
+ * Label/value rows for the subnet details panel
+ */
+export function configFields(config) {
+    const maxCanisters = Number(config.maxNumberOfCanisters);
+    return [
+        { label: "Type", value: subnetTypeLabel(config.subnetType) },
+        { label: "Replica version", value: config.replicaVersionId || "—" },
+        { label: "Max canisters", value: maxCanisters === 0 ? "Unlimited" : maxCanisters.toLocaleString() },
+        { label: "DKG interval", value: `${Number(config.dkgIntervalLength)} blocks` },
+        { label: "Unit delay", value: `${Number(config.unitDelayMillis)} ms` },
+        { label: "SEV", value: config.features.sevEnabled ? "Enabled" : "Disabled" },
+        { label: "HTTP outcalls", value: config.features.httpRequests ? "Enabled" : "Disabled" },
+        { label: "Canister sandboxing", value: config.features.canisterSandboxing ? "Enabled" : "Disabled" },
+        { label: "Chain keys", value: config.chainKeys.length > 0 ? config.chainKeys.join(", ") : "None" },
+    ];
+}
+
+export default {
+    SUBNET_TYPE_LABELS,
+    FEATURE_TAGS,
+    subnetTypeLabel,
+    featureTags,
+    indexConfigs,
+    configFields,
+};
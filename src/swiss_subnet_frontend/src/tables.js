@@ -0,0 +1,178 @@
+/**
+ * Table view of subnets and nodes.
+ *
+ * Column definitions, sorting, pagination and the row window used to
+ * virtualize long tables: only the rows in view (plus a few around them) are
+ * rendered, so every node of the mainnet topology can be listed at once.
+ */
+
+export const PAGE_SIZES = [50, 100, 500, 0];
+
+export const ROW_HEIGHT = 36;
+
+const STORAGE_PREFIX = "tableColumns.";
+
+/**
+ * Subnet table columns. `link` names the route a cell links to.
+ */
+export const SUBNET_COLUMNS = [
+    { key: "subnetId", label: "Subnet", link: "subnet", defaultVisible: true },
+    { key: "subnetType", label: "Type", defaultVisible: true },
+    { key: "nodeCount", label: "Nodes", numeric: true, defaultVisible: true },
+    { key: "gen1Count", label: "Gen1", numeric: true, defaultVisible: true },
+    { key: "gen2Count", label: "Gen2", numeric: true, defaultVisible: true },
+    { key: "unknownCount", label: "Unknown", numeric: true, defaultVisible: false },
+    { key: "gen1Share", label: "Gen1 %", numeric: true, format: value => `${value.toFixed(1)}%`, defaultVisible: true },
+    { key: "replicaVersion", label: "Replica version", defaultVisible: true },
+    { key: "providerCount", label: "Providers", numeric: true, defaultVisible: true },
+    { key: "operatorCount", label: "Operators", numeric: true, defaultVisible: false },
+    { key: "dcCount", label: "Data centers", numeric: true, defaultVisible: false },
+];
+
+export const NODE_COLUMNS = [
+    { key: "nodeId", label: "Node", link: "node", defaultVisible: true },
+    { key: "subnetId", label: "Subnet", link: "subnet", defaultVisible: true },
+    { key: "generation", label: "Generation", defaultVisible: true },
+    { key: "rewardType", label: "Reward type", defaultVisible: false },
+    { key: "status", label: "Status", defaultVisible: true },
+    { key: "role", label: "Role", defaultVisible: true },
+    { key: "nodeProviderId", label: "Provider", link: "provider", defaultVisible: true },
+    { key: "nodeOperatorId", label: "Operator", link: "operator", defaultVisible: false },
+    { key: "dcId", label: "Data center", link: "dc", defaultVisible: true },
+    { key: "region", label: "Region", defaultVisible: false },
+    { key: "hostosVersionId", label: "HostOS version", defaultVisible: false },
+];
+
+function distinct(nodes, field) {
+    return new Set(nodes.map(node => node[field]).filter(Boolean)).size;
+}
+
+/**
+ * One row per subnet
+ *
+ * @param {Array} subnets - SubnetInfo records including their nodes, and
+ *   optionally their SubnetConfig as `config`
+ */
+export function subnetRows(subnets) {
+    return subnets.map(subnet => {
+        const nodeCount = Number(subnet.nodeCount);
+        return {
+            subnetId: subnet.subnetId,
+            subnetType: subnet.subnetType,
+            nodeCount,
+            gen1Count: Number(subnet.gen1Count),
+            gen2Count: Number(subnet.gen2Count),
+            unknownCount: Number(subnet.unknownCount),
+            gen1Share: nodeCount > 0 ? (Number(subnet.gen1Count) / nodeCount) * 100 : 0,
+            replicaVersion: subnet.config?.replicaVersionId || "",
+            providerCount: distinct(subnet.nodes, "nodeProviderId"),
+            operatorCount: distinct(subnet.nodes, "nodeOperatorId"),
+            dcCount: distinct(subnet.nodes, "dcId"),
+        };
+    });
+}
+
+/**
+ * One row per node
+ *
+ * @param {Array<{ node, subnetId, apiBoundary }>} entries - as returned by
+ *   applyFilters or nodeEntries
+ */
+export function nodeRows(entries) {
+    return entries.map(({ node, subnetId, apiBoundary = false }) => ({
+        nodeId: node.nodeId,
+        subnetId,
+        generation: node.generation,
+        rewardType: node.rewardType,
+        status: node.status,
+        role: apiBoundary ? "API boundary" : "",
+        nodeProviderId: node.nodeProviderId,
+        nodeOperatorId: node.nodeOperatorId,
+        dcId: node.dcId,
+        region: node.region,
+        hostosVersionId: node.hostosVersionId,
+    }));
+}
+
+/**
+ * Sort rows by one column. Equal rows keep their order; empty text values
+ * always go last.
+ */
+export function sortRows(rows, key, direction = "asc") {
+    const sign = direction === "desc" ? -1 : 1;
+    return rows
+        .map((row, index) => ({ row, index }))
+        .sort((a, b) => {
+            const x = a.row[key];
+            const y = b.row[key];
+            if (x === y) return a.index - b.index;
+            if (x === "" || x === null || x === undefined) return 1;
+            if (y === "" || y === null || y === undefined) return -1;
+            const order = typeof x === "number" && typeof y === "number"
+                ? x - y
+                : String(x).localeCompare(String(y), undefined, { numeric: true });
+            return order * sign || a.index - b.index;
+        })
+        .map(({ row }) => row);
+}
+
+/**
+ * Rows of one page. A page size of 0 shows every row on one page.
+ *
+ * @returns {{ rows: Array, page: number, pageCount: number }} with `page`
+ *   clamped to the available pages
+ */
+export function paginate(rows, page, pageSize) {
+    if (!pageSize) return { rows, page: 0, pageCount: 1 };
+    const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    return { rows: rows.slice(current * pageSize, (current + 1) * pageSize), page: current, pageCount };
+}
+
+/**
+ * Rows to render for the current scroll position
+ *
+ * @returns {{ start: number, end: number }} index range, end exclusive
+ */
+export function visibleRange(scrollTop, viewportHeight, rowCount, rowHeight = ROW_HEIGHT, overscan = 10) {
+    const first = Math.floor(scrollTop / rowHeight);
+    const count = Math.ceil(viewportHeight / rowHeight);
+    return {
+        start: Math.max(0, first - overscan),
+        end: Math.min(rowCount, first + count + overscan),
+    };
+}
+
+/**
+ * Visible column keys of a table, from storage or the column defaults
+ */
+export function loadColumns(table, columns, storage = globalThis.localStorage) {
+    try {
+        const stored = JSON.parse(storage?.getItem(STORAGE_PREFIX + table) || "null");
+        if (Array.isArray(stored)) {
+            const known = stored.filter(key => columns.some(column => column.key === key));
+            if (known.length > 0) return known;
+        }
+    } catch {
+        // Fall back to the defaults
+    }
+    return columns.filter(column => column.defaultVisible).map(column => column.key);
+}
+
+export function saveColumns(table, keys, storage = globalThis.localStorage) {
+    storage?.setItem(STORAGE_PREFIX + table, JSON.stringify(keys));
+}
+
+export default {
+    PAGE_SIZES,
+    ROW_HEIGHT,
+    SUBNET_COLUMNS,
+    NODE_COLUMNS,
+    subnetRows,
+    nodeRows,
+    sortRows,
+    paginate,
+    visibleRange,
+    loadColumns,
+    saveColumns,
+};
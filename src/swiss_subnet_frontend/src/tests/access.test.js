@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { Ed25519KeyIdentity } from '@dfinity/identity';
+import { Secp256k1KeyIdentity } from '@dfinity/identity-secp256k1';
+import { identityFromPem } from '../identity';
+import { fromCandidRole, toCandidRole, hasRole } from '../roles';
+
+const seed = Uint8Array.from({ length: 32 }, (_, i) => i + 1);
+
+function pem(label, bytes) {
+  const body = btoa(String.fromCharCode(...bytes));
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+}
+
+describe('roles', () => {
+  it('converts between Candid variants and names', () => {
+    expect(fromCandidRole({ uploader: null })).toBe('uploader');
+    expect(toCandidRole('admin')).toEqual({ admin: null });
+    expect(() => toCandidRole('owner')).toThrow('Unknown role');
+  });
+
+  it('ranks admin above uploader above viewer', () => {
+    expect(hasRole('admin', 'uploader')).toBe(true);
+    expect(hasRole('uploader', 'uploader')).toBe(true);
+    expect(hasRole('uploader', 'admin')).toBe(false);
+    expect(hasRole('viewer', 'uploader')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+  });
+});
+
+describe('identityFromPem', () => {
+  it('reads Ed25519 PKCS#8 key files', () => {
+    const prefix = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20];
+    const identity = identityFromPem(pem('PRIVATE KEY', [...prefix, ...seed]));
+
+    expect(identity.getPrincipal().toText()).toBe(Ed25519KeyIdentity.generate(seed).getPrincipal().toText());
+  });
+
+  it('reads secp256k1 key files as exported by dfx', () => {
+    const header = [0x30, 0x74, 0x02, 0x01, 0x01, 0x04, 0x20];
+    const identity = identityFromPem(pem('EC PRIVATE KEY', [...header, ...seed]));
+
+    expect(identity.getPrincipal().toText()).toBe(Secp256k1KeyIdentity.fromSecretKey(seed).getPrincipal().toText());
+  });
+
+  it('rejects other files', () => {
+    expect(() => identityFromPem('not a key')).toThrow('No private key found');
+    expect(() => identityFromPem(pem('PRIVATE KEY', [0x30, 0x2e, 0x02, 0x01, 0x00, ...seed]))).toThrow('Unsupported private key type');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { subnetGenerationData, nodeDistribution, nodeCountHistogram } from '../analytics';
+
+const node = (nodeId, nodeProviderId, dcId) => ({ nodeId, nodeProviderId, dcId });
+
+const subnet = (subnetId, gen1, gen2, unknown, nodes = []) => ({
+  subnetId,
+  nodeCount: BigInt(gen1 + gen2 + unknown),
+  gen1Count: BigInt(gen1),
+  gen2Count: BigInt(gen2),
+  unknownCount: BigInt(unknown),
+  nodes,
+});
+
+describe('subnetGenerationData', () => {
+  it('keeps every subnet, largest first, with all generations', () => {
+    const data = subnetGenerationData([
+      subnet('small-subnet-id', 10, 3, 0),
+      subnet('large-subnet-id', 20, 18, 2),
+      subnet('other-subnet-id', 5, 8, 0),
+    ]);
+
+    expect(data.map(entry => entry.subnetId)).toEqual(['large-subnet-id', 'other-subnet-id', 'small-subnet-id']);
+    expect(data[0]).toEqual({ subnetId: 'large-subnet-id', name: 'large-su...', Gen1: 20, Gen2: 18, Unknown: 2 });
+  });
+});
+
+describe('nodeDistribution', () => {
+  it('counts nodes and subnets per value, most nodes first', () => {
+    const subnets = [
+      subnet('aaa', 3, 0, 0, [node('n1', 'np-1', 'zh4'), node('n2', 'np-1', 'ge1'), node('n3', 'np-2', 'zh4')]),
+      subnet('bbb', 2, 0, 0, [node('n4', 'np-1', 'zh4'), node('n5', 'np-2', '')]),
+    ];
+
+    expect(nodeDistribution(subnets, 'nodeProviderId')).toEqual([
+      { value: 'np-1', name: 'np-1', nodes: 3, subnets: 2 },
+      { value: 'np-2', name: 'np-2', nodes: 2, subnets: 2 },
+    ]);
+    expect(nodeDistribution(subnets, 'dcId').map(entry => [entry.value, entry.nodes])).toEqual([['zh4', 3], ['ge1', 1]]);
+  });
+
+  it('shortens long values for the axis labels', () => {
+    const [entry] = nodeDistribution([subnet('aaa', 1, 0, 0, [node('n1', 'wwdbq-xuqhf-eydzu-oyl7p', 'zh4')])], 'nodeProviderId');
+    expect(entry.name).toBe('wwdbq-xu...');
+    expect(entry.value).toBe('wwdbq-xuqhf-eydzu-oyl7p');
+  });
+});
+
+describe('nodeCountHistogram', () => {
+  it('counts subnets per size, smallest first', () => {
+    const histogram = nodeCountHistogram([subnet('a', 13, 0, 0), subnet('b', 40, 0, 0), subnet('c', 13, 0, 0)]);
+
+    expect(histogram).toEqual([
+      { size: '13', name: '13 nodes', subnets: 2 },
+      { size: '40', name: '40 nodes', subnets: 1 },
+    ]);
+  });
+});
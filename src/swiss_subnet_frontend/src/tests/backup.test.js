@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { fromCandidBackup, clearSummary, describeReason } from '../backup';
+
+const subnet = (subnetId, nodeCount) => ({ subnetId, nodeCount: BigInt(nodeCount) });
+
+describe('fromCandidBackup', () => {
+  it('returns null without a backup', () => {
+    expect(fromCandidBackup([])).toBeNull();
+  });
+
+  it('converts the counts and the reason variant', () => {
+    const backup = fromCandidBackup([{
+      takenAt: 2000n,
+      reason: { clear: null },
+      dataUpdatedAt: 1000n,
+      totalSubnets: 3n,
+      totalNodes: 40n,
+    }]);
+
+    expect(backup).toEqual({ takenAt: 2000n, reason: 'clear', dataUpdatedAt: 1000n, totalSubnets: 3, totalNodes: 40 });
+    expect(describeReason(backup.reason)).toBe('before the data was cleared');
+  });
+});
+
+describe('clearSummary', () => {
+  it('counts real subnets and every node', () => {
+    const summary = clearSummary([
+      subnet('subnet-a', 13),
+      subnet('subnet-b', 28),
+      subnet('unassigned', 5),
+      subnet('api_boundary', 2),
+    ]);
+
+    expect(summary).toEqual({ subnets: 2, nodes: 48, virtualNodes: 7 });
+  });
+
+  it('is empty without data', () => {
+    expect(clearSummary([])).toEqual({ subnets: 0, nodes: 0, virtualNodes: 0 });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import {
+  cachedCertificateStatus,
+  clearDashboardCache,
+  dashboardCacheKey,
+  loadDashboardCache,
+  saveDashboardCache,
+} from '../cache';
+
+describe('dashboardCacheKey', () => {
+  it('separates replicas and canisters', () => {
+    expect(dashboardCacheKey({ network: 'ic', host: '', canisterId: 'aaaaa-aa' })).toBe('https://ic0.app|aaaaa-aa');
+    expect(dashboardCacheKey({ network: 'local', host: '', canisterId: 'aaaaa-aa' }))
+      .not.toBe(dashboardCacheKey({ network: 'ic', host: '', canisterId: 'aaaaa-aa' }));
+  });
+});
+
+describe('cachedCertificateStatus', () => {
+  const certifiedAt = new Date('2024-01-01T00:00:00Z');
+
+  it('reports verified data as stale once the certificate has aged', () => {
+    const entry = { certificateStatus: 'verified', certifiedAt };
+    expect(cachedCertificateStatus(entry, certifiedAt.getTime() + 60 * 1000)).toBe('verified');
+    expect(cachedCertificateStatus(entry, certifiedAt.getTime() + 24 * 60 * 60 * 1000)).toBe('stale');
+  });
+
+  it('keeps other statuses', () => {
+    expect(cachedCertificateStatus({ certificateStatus: 'missing', certifiedAt: null })).toBe('missing');
+  });
+});
+
+describe('without IndexedDB', () => {
+  it('resolves quietly', async () => {
+    expect(await saveDashboardCache('key', { subnets: [] })).toBe(false);
+    expect(await loadDashboardCache('key')).toBeNull();
+    expect(await clearDashboardCache('key')).toBe(false);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, expect, it } from 'vitest';
+import {
+  STATS_SCHEMA,
+  SUBNET_SCHEMA,
+  bytesEqual,
+  certificateTime,
+  debugShow,
+  decodeLeb128,
+  expectedCertifiedData,
+  hashStats,
+  hashSubnet,
+  hashSubnetHashes,
+  isCertificateStale,
+  lookupBytes,
+  sha256,
+  worstCertificateStatus,
+} from '../certification';
+
+const stats = {
+  totalSubnets: 47n,
+  totalNodes: 1447n,
+  gen1Nodes: 0n,
+  gen2Nodes: 1234567n,
+  unknownNodes: 3n,
+  lastUpdated: 1700000000123456789n,
+};
+
+const node = {
+  nodeId: 'node-1',
+  generation: 'Gen1',
+  rewardType: 'Type1',
+  hostosVersionId: '',
+  nodeOperatorId: 'op',
+  nodeProviderId: 'np',
+  dcId: 'zh4',
+  region: 'r',
+  status: 'active',
+};
+
+const subnet = (subnetId) => ({
+  subnetId,
+  subnetType: 'system',
+  nodeCount: 1n,
+  gen1Count: 1n,
+  gen2Count: 0n,
+  unknownCount: 0n,
+  nodes: [node],
+});
+
+describe('debugShow', () => {
+  // Expected strings are the output of Motoko's debug_show for the same values
+  it('matches Motoko for NetworkStats', () => {
+    expect(debugShow(stats, STATS_SCHEMA)).toBe(
+      '{gen1Nodes = 0; gen2Nodes = 1_234_567; lastUpdated = +1_700_000_000_123_456_789; ' +
+      'totalNodes = 1_447; totalSubnets = 47; unknownNodes = 3}'
+    );
+  });
+
+  it('matches Motoko for SubnetInfo, ignoring fields added by the frontend', () => {
+    expect(debugShow({ ...subnet('s'), config: { subnetType: 'x' } }, SUBNET_SCHEMA)).toBe(
+      '{gen1Count = 1; gen2Count = 0; nodeCount = 1; nodes = [{dcId = "zh4"; generation = "Gen1"; ' +
+      'hostosVersionId = ""; nodeId = "node-1"; nodeOperatorId = "op"; nodeProviderId = "np"; region = "r"; ' +
+      'rewardType = "Type1"; status = "active"}]; subnetId = "s"; subnetType = "system"; unknownCount = 0}'
+    );
+  });
+
+  it('prints Text unescaped, like Motoko', () => {
+    // Motoko's @text_of_Text only wraps the text in quotes
+    const text = 'Data "Center" \\ Zürich 日本';
+    expect(debugShow(text, 'text')).toBe(`"${text}"`);
+  });
+
+  it('hashes the UTF-8 of non-ASCII text', async () => {
+    const named = { ...subnet('s'), nodes: [{ ...node, dcId: 'zürich "1"' }] };
+    const expected = await sha256(new TextEncoder().encode(debugShow(named, SUBNET_SCHEMA)));
+
+    expect(debugShow(named, SUBNET_SCHEMA)).toContain('dcId = "zürich "1""');
+    expect(bytesEqual(await hashSubnet(named), expected)).toBe(true);
+  });
+});
+
+describe('expectedCertifiedData', () => {
+  const subnets = [subnet('b'), subnet('a')];
+
+  async function certify() {
+    const statsHash = await hashStats(stats);
+    const subnetHashes = await Promise.all(subnets.map(async s => [s.subnetId, await hashSubnet(s)]));
+    const subnetsHash = await hashSubnetHashes(subnetHashes);
+    const certifiedData = await expectedCertifiedData('stats', stats, { witness: subnetsHash });
+    return { statsHash, subnetHashes, subnetsHash, certifiedData };
+  }
+
+  it('recomputes the same certified data from every certified query', async () => {
+    const { statsHash, subnetHashes, certifiedData } = await certify();
+
+    const fromSubnet = await expectedCertifiedData('subnet', subnets[0], { witness: statsHash, subnetHashes });
+    const fromSubnets = await expectedCertifiedData('subnets', subnets, { witness: statsHash });
+
+    expect(bytesEqual(fromSubnet, certifiedData)).toBe(true);
+    expect(bytesEqual(fromSubnets, certifiedData)).toBe(true);
+  });
+
+  it('detects tampered payloads', async () => {
+    const { statsHash, subnetHashes, subnetsHash, certifiedData } = await certify();
+    const tampered = { ...subnets[0], nodes: [{ ...node, generation: 'Gen2' }] };
+
+    const tamperedStats = await expectedCertifiedData('stats', { ...stats, gen1Nodes: 1n }, { witness: subnetsHash });
+    expect(bytesEqual(tamperedStats, certifiedData)).toBe(false);
+    expect(await expectedCertifiedData('subnet', tampered, { witness: statsHash, subnetHashes })).toBeNull();
+  });
+
+  it('fails closed without a witness', async () => {
+    expect(await expectedCertifiedData('stats', stats, { witness: new Uint8Array() })).toBeNull();
+  });
+});
+
+describe('worstCertificateStatus', () => {
+  it('keeps the least verified status', () => {
+    expect(worstCertificateStatus('verified', 'verified')).toBe('verified');
+    expect(worstCertificateStatus('verified', 'stale')).toBe('stale');
+    expect(worstCertificateStatus('invalid', 'stale')).toBe('invalid');
+    expect(worstCertificateStatus('unavailable', 'missing')).toBe('unavailable');
+  });
+});
+
+describe('certificate freshness', () => {
+  // 2024-01-01T00:00:00Z in nanoseconds, LEB128 encoded
+  const timeNs = 1704067200000000000n;
+  const encode = (value) => {
+    const bytes = [];
+    do {
+      let byte = Number(value & 0x7fn);
+      value >>= 7n;
+      if (value > 0n) byte |= 0x80;
+      bytes.push(byte);
+    } while (value > 0n);
+    return new Uint8Array(bytes);
+  };
+
+  it('decodes LEB128 numbers', () => {
+    expect(decodeLeb128(new Uint8Array([0xe5, 0x8e, 0x26]))).toBe(624485n);
+    expect(decodeLeb128(encode(timeNs))).toBe(timeNs);
+  });
+
+  it('reads lookups from both certificate APIs', () => {
+    const bytes = new Uint8Array([1, 2, 3]);
+    expect(lookupBytes({ lookup: () => ({ status: 'found', value: bytes.buffer }) }, [])).toEqual(bytes);
+    expect(lookupBytes({ lookup: () => ({ status: 'absent' }) }, [])).toBeNull();
+    expect(lookupBytes({ lookup: () => bytes.buffer }, [])).toEqual(bytes);
+    expect(lookupBytes({ lookup: () => undefined }, [])).toBeNull();
+  });
+
+  it('reads the certificate time', () => {
+    const certificate = { lookup: () => ({ status: 'found', value: encode(timeNs) }) };
+    expect(certificateTime(certificate).toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(certificateTime({ lookup: () => ({ status: 'unknown' }) })).toBeNull();
+  });
+
+  it('flags certificates older than the maximum age', () => {
+    const certifiedAt = new Date('2024-01-01T00:00:00Z');
+    const minutesLater = (minutes) => certifiedAt.getTime() + minutes * 60 * 1000;
+    expect(isCertificateStale(certifiedAt, 5, minutesLater(4))).toBe(false);
+    expect(isCertificateStale(certifiedAt, 5, minutesLater(6))).toBe(true);
+    expect(isCertificateStale(certifiedAt, 60, minutesLater(6))).toBe(false);
+  });
+});
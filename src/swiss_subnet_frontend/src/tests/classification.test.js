@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_RULES,
+  classifyRewardType,
+  fromCandidRules,
+  previewReclassification,
+  rewardTypeSummary,
+  toCandidRules,
+  validateRules,
+} from '../classification';
+
+const node = (nodeId, rewardType, generation) => ({ nodeId, rewardType, generation });
+
+const subnets = [
+  {
+    subnetId: 'subnet-a',
+    nodes: [node('n1', 'Type1dot1', 'Gen1'), node('n2', 'Type3dot1', 'Gen2'), node('n3', 'Type4', 'Unknown')],
+  },
+  { subnetId: 'unassigned', nodes: [node('n4', 'Type4', 'Unknown')] },
+];
+
+describe('classifyRewardType', () => {
+  it('reproduces the built-in classification with the default rules', () => {
+    expect(classifyRewardType(DEFAULT_RULES, 'Type1')).toBe('Gen1');
+    expect(classifyRewardType(DEFAULT_RULES, 'Type1dot1')).toBe('Gen1');
+    expect(classifyRewardType(DEFAULT_RULES, 'Type3dot1')).toBe('Gen2');
+    expect(classifyRewardType(DEFAULT_RULES, 'Type4')).toBe('Unknown');
+    expect(classifyRewardType(DEFAULT_RULES, '')).toBe('Unknown');
+  });
+
+  it('uses the first matching rule', () => {
+    const rules = [
+      { matchType: 'exact', pattern: 'Type1dot1', generation: 'Gen2' },
+      ...DEFAULT_RULES,
+    ];
+    expect(classifyRewardType(rules, 'Type1dot1')).toBe('Gen2');
+    expect(classifyRewardType(rules, 'Type1')).toBe('Gen1');
+  });
+
+  it('supports prefix rules', () => {
+    const rules = [{ matchType: 'prefix', pattern: 'Type4', generation: 'Gen2' }];
+    expect(classifyRewardType(rules, 'Type4dot1')).toBe('Gen2');
+    expect(classifyRewardType(rules, 'OldType4')).toBe('Unknown');
+  });
+});
+
+describe('candid conversion', () => {
+  it('round-trips the match type variant', () => {
+    const candid = toCandidRules(DEFAULT_RULES);
+    expect(candid[0].matchType).toEqual({ contains: null });
+    expect(fromCandidRules(candid)).toEqual(DEFAULT_RULES);
+  });
+});
+
+describe('validateRules', () => {
+  it('rejects empty patterns and unknown generations', () => {
+    expect(validateRules(DEFAULT_RULES)).toEqual([]);
+    expect(validateRules([{ matchType: 'exact', pattern: '', generation: 'Gen3' }])).toHaveLength(2);
+  });
+});
+
+describe('rule previews', () => {
+  const rules = [...DEFAULT_RULES, { matchType: 'exact', pattern: 'Type4', generation: 'Gen2' }];
+
+  it('lists the nodes whose generation changes', () => {
+    expect(previewReclassification(subnets, DEFAULT_RULES)).toEqual([]);
+    expect(previewReclassification(subnets, rules)).toEqual([
+      { nodeId: 'n3', subnetId: 'subnet-a', rewardType: 'Type4', from: 'Unknown', to: 'Gen2' },
+      { nodeId: 'n4', subnetId: 'unassigned', rewardType: 'Type4', from: 'Unknown', to: 'Gen2' },
+    ]);
+  });
+
+  it('summarizes reward types and flags those without a rule', () => {
+    const summary = rewardTypeSummary(subnets, DEFAULT_RULES);
+    expect(summary[0]).toEqual({ rewardType: 'Type4', nodeCount: 2, generation: 'Unknown', matched: false });
+    expect(rewardTypeSummary(subnets, rules).every(entry => entry.matched)).toBe(true);
+  });
+
+  it('leaves nodes without a reward type alone', () => {
+    const legacy = [{ subnetId: 'subnet-c', nodes: [node('n5', '', 'Gen1')] }];
+    expect(previewReclassification(legacy, DEFAULT_RULES)).toEqual([]);
+    expect(rewardTypeSummary(legacy, DEFAULT_RULES)).toEqual([]);
+  });
+});
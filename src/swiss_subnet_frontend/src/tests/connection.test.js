@@ -0,0 +1,135 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  CanisterError,
+  OfflineError,
+  TimeoutError,
+  backoffDelay,
+  isRetryableError,
+  loadSettings,
+  resolveHost,
+  saveSettings,
+  validateSettings,
+  withResilientQueries,
+  withRetries,
+  withTimeout,
+} from '../connection';
+
+const noWait = () => Promise.resolve();
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+describe('resolveHost', () => {
+  it('uses the well-known host of built-in networks', () => {
+    expect(resolveHost({ network: 'ic', host: '' })).toBe('https://ic0.app');
+    expect(resolveHost({ network: 'local', host: '' })).toBe('http://localhost:4943');
+  });
+
+  it('prefers an explicit host', () => {
+    expect(resolveHost({ network: 'custom', host: 'http://10.0.0.5:8080/' })).toBe('http://10.0.0.5:8080');
+    expect(resolveHost({ network: 'local', host: 'http://127.0.0.1:4943' })).toBe('http://127.0.0.1:4943');
+  });
+});
+
+describe('validateSettings', () => {
+  const valid = { network: 'custom', host: 'http://localhost:8080', canisterId: 'aaaaa-aa' };
+
+  it('accepts complete settings', () => {
+    expect(validateSettings(valid)).toEqual([]);
+  });
+
+  it('rejects bad custom URLs and missing canister IDs', () => {
+    expect(validateSettings({ ...valid, host: 'localhost' })).toHaveLength(1);
+    expect(validateSettings({ ...valid, host: 'ftp://localhost' })).toHaveLength(1);
+    expect(validateSettings({ ...valid, canisterId: '' })).toHaveLength(1);
+    expect(validateSettings({ ...valid, network: 'testnet' })).toHaveLength(1);
+  });
+});
+
+describe('saved settings', () => {
+  it('round-trips through storage on top of the defaults', () => {
+    const storage = memoryStorage();
+    saveSettings({ network: 'ic', host: '' }, storage);
+    const settings = loadSettings(storage);
+    expect(settings.network).toBe('ic');
+    expect(settings.timeoutMs).toBeGreaterThan(0);
+  });
+
+  it('ignores corrupt entries', () => {
+    const storage = memoryStorage();
+    storage.setItem('connectionSettings', '{not json');
+    expect(loadSettings(storage).timeoutMs).toBeGreaterThan(0);
+  });
+});
+
+describe('withRetries', () => {
+  it('doubles the delay after each attempt', () => {
+    expect([1, 2, 3].map(attempt => backoffDelay(attempt, 100))).toEqual([100, 200, 400]);
+  });
+
+  it('retries transient errors until the call succeeds', async () => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new Error('fetch failed'))
+      .mockRejectedValueOnce(new TimeoutError('getSubnets', 10))
+      .mockResolvedValue('ok');
+    const wait = vi.fn(noWait);
+    const onRetry = vi.fn();
+
+    expect(await withRetries(fn, { maxRetries: 3, retryDelayMs: 100, onRetry, wait })).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(wait.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    const fn = vi.fn().mockRejectedValue(new Error('fetch failed'));
+    await expect(withRetries(fn, { maxRetries: 2, wait: noWait })).rejects.toThrow('fetch failed');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry errors reported by the canister', async () => {
+    const fn = vi.fn().mockRejectedValue(new Error('Call failed: Reject code: 5, canister trapped'));
+    await expect(withRetries(fn, { wait: noWait })).rejects.toThrow('Reject code');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(isRetryableError(new OfflineError())).toBe(false);
+    expect(isRetryableError(new CanisterError('Access denied'))).toBe(false);
+  });
+
+  it('fails fast while offline', async () => {
+    vi.stubGlobal('navigator', { onLine: false });
+    const fn = vi.fn();
+    await expect(withRetries(fn, { wait: noWait })).rejects.toBeInstanceOf(OfflineError);
+    expect(fn).not.toHaveBeenCalled();
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('withTimeout', () => {
+  it('rejects calls that take too long', async () => {
+    const never = new Promise(() => {});
+    await expect(withTimeout(never, 5, 'getSubnets')).rejects.toThrow('getSubnets timeout after 5 ms');
+  });
+});
+
+describe('withResilientQueries', () => {
+  it('retries queries but passes updates through', async () => {
+    const actor = {
+      getSubnets: vi.fn().mockRejectedValueOnce(new Error('fetch failed')).mockResolvedValue([]),
+      refreshData: vi.fn().mockRejectedValue(new Error('fetch failed')),
+    };
+    const onRetry = vi.fn();
+    const resilient = withResilientQueries(actor, ['getSubnets'], { retryDelayMs: 0, onRetry });
+
+    expect(await resilient.getSubnets()).toEqual([]);
+    expect(onRetry).toHaveBeenCalledWith('getSubnets', 1, expect.any(Error));
+
+    await expect(resilient.refreshData()).rejects.toThrow('fetch failed');
+    expect(actor.refreshData).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { buildExport, exportMetadata, toCsv } from '../exportData';
+
+const node = {
+  nodeId: 'node-1',
+  generation: 'Gen2',
+  rewardType: 'type3.1',
+  status: 'assigned',
+  nodeOperatorId: 'op-1',
+  nodeProviderId: 'np-1',
+  dcId: 'zh4',
+  region: 'Europe,Switzerland,Zurich',
+};
+
+const metadata = exportMetadata({
+  view: 'all subnets',
+  networkStats: { lastUpdated: 1700000000000000000n },
+  globalStats: { totalNodes: 1n, gen1Nodes: 0n, gen2Nodes: 1n, unknownNodes: 0n },
+  certificateStatus: 'verified',
+  now: new Date('2024-01-01T00:00:00Z'),
+});
+
+describe('exportMetadata', () => {
+  it('records the data timestamp, verification and global stats', () => {
+    expect(metadata).toEqual({
+      view: 'all subnets',
+      exportedAt: '2024-01-01T00:00:00.000Z',
+      dataTimestamp: '2023-11-14T22:13:20.000Z',
+      certificateStatus: 'verified',
+      verified: true,
+      globalStats: { totalNodes: 1, gen1Nodes: 0, gen2Nodes: 1, unknownNodes: 0 },
+    });
+  });
+
+  it('marks data without a verified certificate as unverified', () => {
+    const unverified = exportMetadata({ view: 'x', certificateStatus: 'invalid' });
+
+    expect(unverified).toMatchObject({ verified: false, dataTimestamp: null, globalStats: null });
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells containing separators', () => {
+    const csv = toCsv([node], ['nodeId', 'region']);
+
+    expect(csv).toBe('nodeId,region\nnode-1,"Europe,Switzerland,Zurich"\n');
+  });
+});
+
+describe('buildExport', () => {
+  it('exports subnets as CSV with a metadata header', () => {
+    const subnets = [{ subnetId: 's1', subnetType: 'application', nodeCount: 1n, gen1Count: 0n, gen2Count: 1n, unknownCount: 0n, nodes: [node] }];
+    const { content, extension } = buildExport('csv', { subnets }, metadata);
+    const lines = content.trim().split('\n');
+
+    expect(extension).toBe('csv');
+    expect(lines).toContain('# verified: true');
+    expect(lines).toContain('# globalStats.totalNodes: 1');
+    expect(lines.slice(-2)).toEqual([
+      'subnetId,subnetType,nodeCount,gen1Count,gen2Count,unknownCount',
+      's1,application,1,0,1,0',
+    ]);
+  });
+
+  it('exports nodes as JSON with their subnet and classification', () => {
+    const { content, mimeType } = buildExport('json', { nodes: [{ node, subnetId: 's1' }] }, metadata);
+    const parsed = JSON.parse(content);
+
+    expect(mimeType).toBe('application/json');
+    expect(parsed.metadata.verified).toBe(true);
+    expect(parsed.nodes).toEqual([{ subnetId: 's1', ...node }]);
+  });
+});
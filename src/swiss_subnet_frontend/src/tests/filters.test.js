@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_FILTERS, applyFilters, facetOptions, parseFilters, serializeFilters, toggleFacet } from '../filters';
+
+const node = (nodeId, overrides = {}) => ({
+  nodeId,
+  nodeOperatorId: `op-${nodeId}`,
+  nodeProviderId: `np-${nodeId}`,
+  dcId: 'zh4',
+  generation: 'Gen1',
+  status: 'assigned',
+  ...overrides,
+});
+
+const subnets = [
+  { subnetId: 'tdb26-jop6k', subnetType: 'system', nodes: [node('aaa'), node('bbb', { generation: 'Gen2', dcId: 'ge1' })] },
+  {
+    subnetId: 'pae4o-o6dxf',
+    subnetType: 'application',
+    config: { features: { sevEnabled: true, httpRequests: false, canisterSandboxing: false }, chainKeys: ['Ecdsa:secp256k1:key_1'] },
+    nodes: [node('ccc', { dcId: 'sg1' })],
+  },
+];
+
+describe('URL round trip', () => {
+  it('parses and serializes filters, keeping unrelated parameters', () => {
+    const filters = parseFilters('?q=zh4&gen=Gen1,Gen2&dc=ge1&foo=bar');
+
+    expect(filters).toEqual({ ...EMPTY_FILTERS, q: 'zh4', generation: ['Gen1', 'Gen2'], dc: ['ge1'] });
+    expect(serializeFilters(filters, '?foo=bar')).toBe('?foo=bar&q=zh4&gen=Gen1%2CGen2&dc=ge1');
+    expect(serializeFilters(EMPTY_FILTERS, '?q=old&type=system')).toBe('');
+  });
+});
+
+describe('applyFilters', () => {
+  it('matches the search text case-insensitively across fields', () => {
+    const result = applyFilters(subnets, { ...EMPTY_FILTERS, q: 'NP-CC' });
+
+    expect(result.nodes.map(({ node }) => node.nodeId)).toEqual(['ccc']);
+    expect([...result.subnetIds]).toEqual(['pae4o-o6dxf']);
+  });
+
+  it('matches a subnet ID prefix for all of its nodes', () => {
+    const result = applyFilters(subnets, { ...EMPTY_FILTERS, q: 'tdb26' });
+
+    expect(result.nodes).toHaveLength(2);
+  });
+
+  it('combines facets with the search text', () => {
+    const filters = toggleFacet({ ...EMPTY_FILTERS, q: 'zh4' }, 'generation', 'Gen1');
+    const result = applyFilters(subnets, toggleFacet(filters, 'subnetType', 'system'));
+
+    expect(result.nodes.map(({ node }) => node.nodeId)).toEqual(['aaa']);
+  });
+});
+
+describe('API boundary nodes', () => {
+  const withBoundary = [
+    ...subnets,
+    { subnetId: 'api_boundary', nodes: [node('aaa', { generation: 'Unknown', dcId: '' }), node('ddd', { generation: 'Unknown' })] },
+  ];
+
+  it('lists subnet members once, with their subnet and role', () => {
+    const { nodes } = applyFilters(withBoundary, { ...EMPTY_FILTERS, q: 'aaa' });
+
+    expect(nodes).toEqual([{ node: withBoundary[0].nodes[0], subnetId: 'tdb26-jop6k', apiBoundary: true }]);
+  });
+
+  it('leaves the ID-only entries of subnet members out of the facets', () => {
+    expect(facetOptions(withBoundary).generation).toEqual([
+      { value: 'Gen1', count: 2 },
+      { value: 'Gen2', count: 1 },
+      { value: 'Unknown', count: 1 },
+    ]);
+  });
+});
+
+describe('subnet feature facet', () => {
+  it('keeps subnets with any of the selected features', () => {
+    const result = applyFilters(subnets, toggleFacet(EMPTY_FILTERS, 'feature', 'Chain key'));
+
+    expect([...result.subnetIds]).toEqual(['pae4o-o6dxf']);
+    expect(facetOptions(subnets).feature).toEqual([{ value: 'Chain key', count: 1 }, { value: 'SEV', count: 1 }]);
+  });
+});
+
+describe('chart facets', () => {
+  it('filters by provider, subnet and subnet size', () => {
+    const byProvider = applyFilters(subnets, toggleFacet(EMPTY_FILTERS, 'provider', 'np-bbb'));
+    expect(byProvider.nodes.map(({ node }) => node.nodeId)).toEqual(['bbb']);
+
+    const bySubnet = applyFilters(subnets, toggleFacet(EMPTY_FILTERS, 'subnet', 'pae4o-o6dxf'));
+    expect([...bySubnet.subnetIds]).toEqual(['pae4o-o6dxf']);
+
+    const sized = subnets.map(subnet => ({ ...subnet, nodeCount: BigInt(subnet.nodes.length) }));
+    const bySize = applyFilters(sized, toggleFacet(EMPTY_FILTERS, 'size', '2'));
+    expect([...bySize.subnetIds]).toEqual(['tdb26-jop6k']);
+  });
+
+  it('round-trips through the URL', () => {
+    const filters = toggleFacet(toggleFacet(EMPTY_FILTERS, 'provider', 'np-aaa'), 'size', '13');
+    expect(serializeFilters(filters)).toBe('?provider=np-aaa&size=13');
+    expect(parseFilters('?provider=np-aaa&size=13')).toEqual(filters);
+  });
+});
+
+describe('facetOptions', () => {
+  it('counts nodes per facet value', () => {
+    const options = facetOptions(subnets);
+
+    expect(options.generation).toEqual([{ value: 'Gen1', count: 2 }, { value: 'Gen2', count: 1 }]);
+    expect(options.dc.map(option => option.value)).toEqual(['ge1', 'sg1', 'zh4']);
+  });
+});
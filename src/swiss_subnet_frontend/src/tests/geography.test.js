@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { createDataCenterLookup, countryBreakdown, groupByDataCenter } from '../geography';
+
+describe('createDataCenterLookup', () => {
+  it('resolves built-in data centers', () => {
+    const lookup = createDataCenterLookup();
+
+    expect(lookup('zh4')).toMatchObject({ city: 'Zurich', country: 'CH', continent: 'Europe', mapped: true });
+  });
+
+  it('applies overrides and reports unmapped data centers', () => {
+    const lookup = createDataCenterLookup({
+      xx1: { city: 'Somewhere', country: 'IT', continent: 'Europe', lat: 45, lon: 9 },
+      zh4: { city: 'Zürich' },
+    });
+
+    expect(lookup('xx1')).toMatchObject({ city: 'Somewhere', mapped: true });
+    expect(lookup('zh4')).toMatchObject({ city: 'Zürich', country: 'CH', mapped: true });
+    expect(lookup('yy9')).toMatchObject({ city: 'Unknown', mapped: false });
+  });
+});
+
+describe('aggregation', () => {
+  const lookup = createDataCenterLookup();
+  const nodes = [
+    { dcId: 'zh4', generation: 'Gen2' },
+    { dcId: 'zh5', generation: 'Gen1' },
+    { dcId: 'ge1', generation: 'Gen2' },
+    { dcId: 'sg1', generation: 'Gen1' },
+  ];
+
+  it('groups nodes per data center with generation counts', () => {
+    const groups = groupByDataCenter(nodes, lookup);
+
+    expect(groups).toHaveLength(4);
+    expect(groups.find(g => g.dcId === 'zh5')).toMatchObject({ nodeCount: 1, gen1: 1, gen2: 0 });
+  });
+
+  it('breaks nodes down by country', () => {
+    const countries = countryBreakdown(nodes, lookup);
+
+    expect(countries[0]).toMatchObject({ country: 'CH', nodeCount: 3, dataCenters: ['ge1', 'zh4', 'zh5'] });
+    expect(countries[1]).toMatchObject({ country: 'SG', nodeCount: 1, continent: 'Asia' });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { computeDecentralization, computeNetworkDecentralization, isBelowThreshold, nakamotoCoefficient } from '../metrics';
+
+function node(provider, operator, dc) {
+  return { nodeProviderId: provider, nodeOperatorId: operator, dcId: dc };
+}
+
+describe('nakamotoCoefficient', () => {
+  it('counts the entities needed to control more than a third of the nodes', () => {
+    // 13 nodes: more than 13/3 = 4.33 needs 5 single-node entities
+    expect(nakamotoCoefficient(Array(13).fill(1))).toBe(5);
+    // one entity with 5 of 13 nodes can stall the subnet alone
+    expect(nakamotoCoefficient([5, ...Array(8).fill(1)])).toBe(1);
+    // exactly one third is not enough
+    expect(nakamotoCoefficient([2, 2, 2])).toBe(2);
+  });
+
+  it('returns 0 without nodes', () => {
+    expect(nakamotoCoefficient([])).toBe(0);
+  });
+});
+
+describe('computeDecentralization', () => {
+  it('computes distinct entities and coefficients per dimension', () => {
+    const metrics = computeDecentralization([
+      node('p1', 'o1', 'zh1'),
+      node('p1', 'o2', 'zh1'),
+      node('p2', 'o3', 'zh1'),
+      node('p3', 'o4', 'ge1'),
+    ]);
+
+    expect(metrics.providers).toEqual({ distinct: 3, nakamoto: 1, largest: 2, unknown: 0 });
+    expect(metrics.operators).toEqual({ distinct: 4, nakamoto: 2, largest: 1, unknown: 0 });
+    expect(metrics.dataCenters).toEqual({ distinct: 2, nakamoto: 1, largest: 3, unknown: 0 });
+    expect(metrics.minNakamoto).toBe(1);
+  });
+
+  it('leaves nodes without metadata out and counts them', () => {
+    const metrics = computeDecentralization([
+      node('', '', ''),
+      node('', '', ''),
+      node('p1', 'o1', 'zh1'),
+      node('p2', 'o2', 'zh1'),
+      node('p3', 'o3', 'zh1'),
+    ]);
+
+    expect(metrics.providers).toEqual({ distinct: 3, nakamoto: 2, largest: 1, unknown: 2 });
+    expect(metrics.nodeCount).toBe(5);
+  });
+});
+
+describe('computeNetworkDecentralization', () => {
+  it('records the weakest subnet per dimension', () => {
+    const { bySubnet, network } = computeNetworkDecentralization([
+      { subnetId: 'a', nodes: [node('p1', 'o1', 'd1'), node('p2', 'o2', 'd2'), node('p3', 'o3', 'd3'), node('p4', 'o4', 'd4')] },
+      { subnetId: 'b', nodes: [node('p1', 'o5', 'd1'), node('p1', 'o6', 'd1')] },
+    ]);
+
+    expect(bySubnet.a.providers.nakamoto).toBe(2);
+    expect(bySubnet.b.providers.nakamoto).toBe(1);
+    expect(network.providers.distinct).toBe(4);
+    expect(network.providers.minSubnetNakamoto).toBe(1);
+    expect(isBelowThreshold(bySubnet.b, 2)).toBe(true);
+    expect(isBelowThreshold(bySubnet.a, 2)).toBe(false);
+  });
+});
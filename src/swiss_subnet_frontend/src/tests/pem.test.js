@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { Ed25519KeyIdentity } from '@dfinity/identity';
+import { parsePrivateKey } from '../pem';
+
+const seed = Uint8Array.from({ length: 32 }, (_, i) => i + 1);
+
+function pem(label, bytes) {
+  const body = btoa(String.fromCharCode(...bytes));
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+}
+
+describe('parsePrivateKey', () => {
+  it('reads PKCS#8 v1 Ed25519 keys', () => {
+    const der = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20, ...seed];
+
+    expect(parsePrivateKey(pem('PRIVATE KEY', der))).toEqual({ type: 'ed25519', secretKey: seed });
+  });
+
+  it('reads PKCS#8 v2 Ed25519 keys as written by dfx', () => {
+    const publicKey = new Uint8Array(Ed25519KeyIdentity.generate(seed).getPublicKey().toRaw());
+    const der = [
+      0x30, 0x53, 0x02, 0x01, 0x01, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20, ...seed,
+      0xa1, 0x23, 0x03, 0x21, 0x00, ...publicKey,
+    ];
+    const file = pem('PRIVATE KEY', der);
+
+    expect(file).toContain('MFMCAQEw');
+    expect(parsePrivateKey(file)).toEqual({ type: 'ed25519', secretKey: seed });
+  });
+
+  it('reads SEC1 secp256k1 keys', () => {
+    const der = [0x30, 0x74, 0x02, 0x01, 0x01, 0x04, 0x20, ...seed];
+
+    expect(parsePrivateKey(pem('EC PRIVATE KEY', der))).toEqual({ type: 'secp256k1', secretKey: seed });
+  });
+
+  it('rejects other and truncated keys', () => {
+    const rsa = [0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01];
+    const truncated = [0x30, 0x53, 0x02, 0x01, 0x01, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20, 1, 2];
+
+    expect(() => parsePrivateKey(pem('PRIVATE KEY', rsa))).toThrow('Unsupported private key type');
+    expect(() => parsePrivateKey(pem('PRIVATE KEY', truncated))).toThrow('Malformed Ed25519 private key');
+    expect(() => parsePrivateKey('not a key')).toThrow('No private key found');
+  });
+});
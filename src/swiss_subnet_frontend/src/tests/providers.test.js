@@ -0,0 +1,77 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildDirectory, buildProfile, directoryColumns, loadProviderNames, nodeEntries } from '../providers';
+
+const node = (nodeId, provider, operator, dcId, generation = 'Gen2') => ({
+  nodeId,
+  nodeProviderId: provider,
+  nodeOperatorId: operator,
+  dcId,
+  generation,
+});
+
+const subnets = [
+  { subnetId: 'subnet-a', nodes: [node('n1', 'p1', 'o1', 'zh4', 'Gen1'), node('n2', 'p2', 'o2', 'ge1')] },
+  { subnetId: 'subnet-b', nodes: [node('n3', 'p1', 'o1', 'zh4'), node('n4', 'p1', 'o3', 'sg1')] },
+  { subnetId: 'unassigned', nodes: [node('n5', 'p1', 'o3', 'sg1', 'Gen1'), node('n6', '', '', '')] },
+  { subnetId: 'api_boundary', nodes: [node('n7', 'p2', 'o2', 'ge1', 'Unknown')] },
+];
+
+describe('buildProfile', () => {
+  it('summarizes the nodes of a provider', () => {
+    const entries = nodeEntries(subnets).filter(entry => entry.node.nodeProviderId === 'p1');
+    const profile = buildProfile(entries, 'provider');
+
+    expect(profile).toMatchObject({
+      totalNodes: 4,
+      assignedNodes: 3,
+      unassignedNodes: 1,
+      apiBoundaryNodes: 0,
+      generations: { Gen1: 2, Gen2: 2, Unknown: 0 },
+    });
+    expect(profile.subnets).toEqual([{ id: 'subnet-b', nodeCount: 2 }, { id: 'subnet-a', nodeCount: 1 }]);
+    expect(profile.dataCenters).toEqual([{ id: 'sg1', nodeCount: 2 }, { id: 'zh4', nodeCount: 2 }]);
+    expect(profile.related).toEqual([{ id: 'o1', nodeCount: 2 }, { id: 'o3', nodeCount: 2 }]);
+  });
+
+  it('lists the providers of an operator', () => {
+    const entries = nodeEntries(subnets).filter(entry => entry.node.nodeOperatorId === 'o2');
+    const profile = buildProfile(entries, 'operator');
+
+    expect(profile.related).toEqual([{ id: 'p2', nodeCount: 2 }]);
+    expect(profile.apiBoundaryNodes).toBe(1);
+    expect(profile.generations.Unknown).toBe(1);
+  });
+});
+
+describe('buildDirectory', () => {
+  it('lists every provider with its name, largest first', () => {
+    const rows = buildDirectory(subnets, 'provider', { p2: 'Provider Two' });
+
+    expect(rows.map(row => [row.id, row.name, row.totalNodes])).toEqual([
+      ['p1', '', 4],
+      ['p2', 'Provider Two', 2],
+    ]);
+    expect(rows[0]).toMatchObject({ subnetCount: 2, dataCenterCount: 2, relatedCount: 2, gen1Nodes: 2 });
+  });
+
+  it('links directory rows to the matching profile', () => {
+    expect(directoryColumns('operator')[0]).toMatchObject({ key: 'id', link: 'operator' });
+    expect(buildDirectory(subnets, 'operator').map(row => row.id)).toEqual(['o1', 'o2', 'o3']);
+  });
+});
+
+describe('loadProviderNames', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('keeps only names given as text', async () => {
+    vi.stubGlobal('fetch', async () => ({ ok: true, json: async () => ({ p1: 'Provider One', p2: 7, p3: ' ' }) }));
+
+    expect(await loadProviderNames('/providers.json')).toEqual({ p1: 'Provider One' });
+  });
+
+  it('yields no names without a file', async () => {
+    vi.stubGlobal('fetch', async () => ({ ok: false }));
+
+    expect(await loadProviderNames('/providers.json')).toEqual({});
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_REFRESH_INTERVAL_SECONDS,
+  loadRefreshInterval,
+  saveRefreshInterval,
+  formatInterval,
+  hasDataChanged,
+  summarizeChanges,
+  describeChanges,
+} from '../refresh';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+const node = (nodeId, generation = 'Gen2') => ({ nodeId, generation });
+const subnet = (subnetId, nodes) => ({ subnetId, nodes });
+
+describe('refresh interval', () => {
+  it('defaults until one is saved, and keeps 0 as off', () => {
+    const storage = memoryStorage();
+    expect(loadRefreshInterval(storage)).toBe(DEFAULT_REFRESH_INTERVAL_SECONDS);
+    saveRefreshInterval(0, storage);
+    expect(loadRefreshInterval(storage)).toBe(0);
+    saveRefreshInterval(300, storage);
+    expect(loadRefreshInterval(storage)).toBe(300);
+  });
+
+  it('ignores invalid stored values', () => {
+    const storage = memoryStorage();
+    storage.setItem('refreshInterval', 'soon');
+    expect(loadRefreshInterval(storage)).toBe(DEFAULT_REFRESH_INTERVAL_SECONDS);
+  });
+
+  it('formats intervals for the picker', () => {
+    expect(formatInterval(0)).toBe('Off');
+    expect(formatInterval(30)).toBe('30s');
+    expect(formatInterval(300)).toBe('5 min');
+  });
+});
+
+describe('hasDataChanged', () => {
+  it('compares the canister update time with the loaded stats', () => {
+    expect(hasDataChanged(5n, { lastUpdated: 5n })).toBe(false);
+    expect(hasDataChanged(6n, { lastUpdated: 5n })).toBe(true);
+    expect(hasDataChanged(5n, null)).toBe(true);
+  });
+});
+
+describe('summarizeChanges', () => {
+  it('counts added and removed nodes and lists the subnets they belong to', () => {
+    const before = [subnet('aaa', [node('n1'), node('n2')]), subnet('bbb', [node('n3')])];
+    const after = [subnet('aaa', [node('n1')]), subnet('bbb', [node('n3'), node('n4'), node('n5')])];
+
+    expect(summarizeChanges(before, after)).toEqual({
+      nodesAdded: 2,
+      nodesRemoved: 1,
+      changedSubnets: ['aaa', 'bbb'],
+    });
+  });
+
+  it('marks subnets with moved or reclassified nodes as changed', () => {
+    const before = [subnet('aaa', [node('n1'), node('n2')]), subnet('bbb', []), subnet('ccc', [node('n3')])];
+    const after = [subnet('aaa', [node('n1')]), subnet('bbb', [node('n2')]), subnet('ccc', [node('n3', 'Gen1')])];
+
+    expect(summarizeChanges(before, after)).toEqual({
+      nodesAdded: 0,
+      nodesRemoved: 0,
+      changedSubnets: ['aaa', 'bbb', 'ccc'],
+    });
+  });
+
+  it('includes subnets that appeared or disappeared', () => {
+    const before = [subnet('aaa', [node('n1')]), subnet('old', [])];
+    const after = [subnet('aaa', [node('n1')]), subnet('new', [])];
+
+    expect(summarizeChanges(before, after).changedSubnets).toEqual(['new', 'old']);
+  });
+
+  it('follows API boundary nodes of a subnet by their subnet entry', () => {
+    const before = [subnet('api_boundary', [node('n1', 'Unknown')]), subnet('aaa', [node('n1')])];
+    const after = [subnet('aaa', [node('n1')]), subnet('api_boundary', [node('n1', 'Unknown')])];
+
+    expect(summarizeChanges(before, after)).toEqual({ nodesAdded: 0, nodesRemoved: 0, changedSubnets: [] });
+  });
+
+  it('reports nothing for identical data', () => {
+    const subnets = [subnet('aaa', [node('n1')])];
+    const changes = summarizeChanges(subnets, subnets);
+    expect(changes).toEqual({ nodesAdded: 0, nodesRemoved: 0, changedSubnets: [] });
+    expect(describeChanges(changes)).toBe('No node or subnet changes');
+  });
+});
+
+describe('describeChanges', () => {
+  it('writes a one-line summary', () => {
+    expect(describeChanges({ nodesAdded: 1, nodesRemoved: 3, changedSubnets: ['aaa', 'bbb'] }))
+      .toBe('1 node added, 3 nodes removed, 2 subnets changed');
+    expect(describeChanges({ nodesAdded: 0, nodesRemoved: 0, changedSubnets: ['aaa'] }))
+      .toBe('1 subnet changed');
+  });
+});
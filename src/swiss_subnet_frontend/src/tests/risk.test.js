@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { faultTolerance, assessSubnetRisk, rankSubnetRisks, countByLevel } from '../risk';
+import { createDataCenterLookup } from '../geography';
+
+const lookup = createDataCenterLookup({ xx1: { country: 'CH' }, xx2: { country: 'CH' } });
+
+// Every node gets its own provider, operator and data center unless overridden
+const node = (i, overrides = {}) => ({
+  nodeId: `node-${String(i).padStart(2, '0')}`,
+  nodeProviderId: `provider-${i}`,
+  nodeOperatorId: `operator-${i}`,
+  dcId: `dc${i}`,
+  generation: 'Gen2',
+  ...overrides,
+});
+
+const subnet = (subnetId, nodes) => ({ subnetId, nodes });
+
+const spread = (count, overrides = () => ({})) =>
+  Array.from({ length: count }, (_, i) => node(i, overrides(i)));
+
+describe('faultTolerance', () => {
+  it('tolerates f faulty nodes out of n = 3f + 1', () => {
+    expect(faultTolerance(13)).toBe(4);
+    expect(faultTolerance(28)).toBe(9);
+    expect(faultTolerance(34)).toBe(11);
+    expect(faultTolerance(4)).toBe(1);
+    expect(faultTolerance(1)).toBe(0);
+    expect(faultTolerance(0)).toBe(0);
+  });
+});
+
+describe('assessSubnetRisk', () => {
+  it('has no findings for a well-spread subnet', () => {
+    const risk = assessSubnetRisk(subnet('a', spread(13)), lookup);
+
+    expect(risk.level).toBe('ok');
+    expect(risk.findings).toEqual([]);
+    expect(risk.stallThreshold).toBe(5);
+    expect(risk.quorum).toBe(9);
+    expect(risk.margin).toBe(4);
+    // Made-up data centers have no known country
+    expect(risk.unknown.country).toBe(13);
+  });
+
+  it('names the nodes of a provider that can stall the subnet', () => {
+    const nodes = spread(13, i => (i < 5 ? { nodeProviderId: 'big-provider' } : {}));
+    const risk = assessSubnetRisk(subnet('a', nodes), lookup);
+
+    expect(risk.level).toBe('stall');
+    expect(risk.margin).toBe(0);
+    expect(risk.findings).toEqual([{
+      severity: 'stall',
+      dimension: 'provider',
+      label: 'Node provider',
+      entity: 'big-provider',
+      count: 5,
+      nodeIds: ['node-00', 'node-01', 'node-02', 'node-03', 'node-04'],
+    }]);
+  });
+
+  it('reports a quorum held by a single country', () => {
+    const nodes = spread(13, i => ({ dcId: i < 9 ? `xx${(i % 2) + 1}` : `dc${i}` }));
+    const risk = assessSubnetRisk(subnet('a', nodes), lookup);
+
+    expect(risk.level).toBe('quorum');
+    const [country, ...dataCenters] = risk.findings;
+    expect(country).toMatchObject({ severity: 'quorum', dimension: 'country', entity: 'CH', count: 9 });
+    expect(dataCenters.map(finding => [finding.entity, finding.count])).toEqual([['xx1', 5]]);
+    expect(risk.unknown.country).toBe(4);
+  });
+
+  it('counts Gen1 concentration as aging-hardware risk', () => {
+    const nodes = spread(13, i => (i % 2 === 0 ? { generation: 'Gen1' } : {}));
+    const risk = assessSubnetRisk(subnet('a', nodes), lookup);
+
+    expect(risk.level).toBe('aging');
+    expect(risk.findings).toHaveLength(1);
+    expect(risk.findings[0]).toMatchObject({ severity: 'aging', entity: 'Gen1', count: 7 });
+    expect(risk.findings[0].nodeIds).toContain('node-12');
+    expect(risk.gen1Share).toBeCloseTo(7 / 13);
+  });
+
+  it('ignores nodes without an entity', () => {
+    const nodes = spread(13, () => ({ nodeOperatorId: '' }));
+    const risk = assessSubnetRisk(subnet('a', nodes), lookup);
+
+    expect(risk.findings).toEqual([]);
+    expect(risk.unknown.operator).toBe(13);
+  });
+});
+
+describe('rankSubnetRisks', () => {
+  it('ranks by level, then by margin and Gen1 share', () => {
+    const risks = rankSubnetRisks([
+      subnet('spread', spread(13)),
+      subnet('close', spread(13, i => (i < 4 ? { nodeOperatorId: 'op' } : {}))),
+      subnet('aging', spread(13, i => (i < 6 ? { generation: 'Gen1' } : {}))),
+      subnet('stalled', spread(13, i => (i < 6 ? { dcId: 'dc-big' } : {}))),
+      subnet('older', spread(13, i => (i < 3 ? { generation: 'Gen1' } : {}))),
+    ], lookup);
+
+    expect(risks.map(risk => risk.subnetId)).toEqual(['stalled', 'aging', 'close', 'older', 'spread']);
+    expect(countByLevel(risks)).toEqual({ quorum: 0, stall: 1, aging: 1, ok: 3 });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { computeRollout, groupByVersion } from '../rollout';
+
+const subnet = (subnetId, replicaVersionId, hostosVersions) => ({
+  subnetId,
+  config: { replicaVersionId },
+  nodes: hostosVersions.map((hostosVersionId, i) => ({ nodeId: `${subnetId}-${i}`, hostosVersionId })),
+});
+
+describe('groupByVersion', () => {
+  it('sorts versions by count and marks the leading one', () => {
+    const groups = groupByVersion(['a', 'b', 'b', ''], v => v);
+
+    expect(groups.map(({ version, count, share, leading }) => [version, count, share, leading])).toEqual([
+      ['b', 2, 0.5, true],
+      ['a', 1, 0.25, false],
+      ['unknown', 1, 0.25, false],
+    ]);
+  });
+});
+
+describe('computeRollout', () => {
+  it('flags subnets and nodes on minority versions', () => {
+    const subnets = [
+      subnet('s1', 'new', ['h2', 'h2']),
+      subnet('s2', 'old', ['h1', 'h2']),
+      subnet('s3', 'new', ['h2', '']),
+      { subnetId: 'unassigned', config: null, nodes: [{ nodeId: 'u1', hostosVersionId: 'h1' }] },
+    ];
+
+    const { replica, hostos } = computeRollout(subnets);
+
+    expect(replica.total).toBe(3);
+    expect(replica.minority.map(s => s.subnetId)).toEqual(['s2']);
+    expect(hostos.total).toBe(7);
+    expect(hostos.minority.map(({ node }) => node.nodeId)).toEqual(['s2-0', 'u1']);
+  });
+});
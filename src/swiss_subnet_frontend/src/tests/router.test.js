@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { HOME_ROUTE, matchRoute, routePath } from '../router';
+
+describe('matchRoute', () => {
+  it('resolves the dashboard and entity routes', () => {
+    expect(matchRoute('/')).toEqual(HOME_ROUTE);
+    expect(matchRoute('/subnet/tdb26-jop6k')).toEqual({ name: 'subnet', id: 'tdb26-jop6k' });
+    expect(matchRoute('/dc/zh4/')).toEqual({ name: 'dc', id: 'zh4' });
+    expect(matchRoute('/operator/op-1')).toEqual({ name: 'operator', id: 'op-1' });
+  });
+
+  it('resolves the directories without an ID', () => {
+    expect(matchRoute('/providers')).toEqual({ name: 'providers', id: null });
+    expect(matchRoute('/operators/')).toEqual({ name: 'operators', id: null });
+    expect(routePath('providers')).toBe('/providers');
+  });
+
+  it('reports unknown or incomplete paths as not found', () => {
+    expect(matchRoute('/subnet')).toMatchObject({ name: 'notFound' });
+    expect(matchRoute('/node/a/b')).toMatchObject({ name: 'notFound' });
+    expect(matchRoute('/operators/x')).toMatchObject({ name: 'notFound' });
+    expect(matchRoute('/node/%E0%A4%A')).toMatchObject({ name: 'notFound' });
+  });
+});
+
+describe('routePath', () => {
+  it('round-trips IDs through the path', () => {
+    const path = routePath('provider', 'a b/c');
+
+    expect(path).toBe('/provider/a%20b%2Fc');
+    expect(matchRoute(path)).toEqual({ name: 'provider', id: 'a b/c' });
+    expect(routePath('home')).toBe('/');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { parseSnapshotId, serializeSnapshotId, statsFromSubnets, trendData } from '../snapshots';
+
+const subnet = (subnetId, gen1, gen2, unknown) => ({
+  subnetId,
+  nodeCount: BigInt(gen1 + gen2 + unknown),
+  gen1Count: BigInt(gen1),
+  gen2Count: BigInt(gen2),
+  unknownCount: BigInt(unknown),
+  nodes: [],
+});
+
+const summary = (id, day, gen1, gen2, unknown, unassigned) => ({
+  id: BigInt(id),
+  takenAt: BigInt(Date.UTC(2024, 0, day)) * 1000000n,
+  totalSubnets: 2n,
+  totalNodes: BigInt(gen1 + gen2 + unknown),
+  gen1Nodes: BigInt(gen1),
+  gen2Nodes: BigInt(gen2),
+  unknownNodes: BigInt(unknown),
+  unassignedNodes: BigInt(unassigned),
+});
+
+describe('snapshot URL parameter', () => {
+  it('reads and writes the snapshot ID next to other parameters', () => {
+    expect(parseSnapshotId('?q=zh4&snapshot=3')).toBe('3');
+    expect(parseSnapshotId('?snapshot=abc')).toBeNull();
+    expect(parseSnapshotId('')).toBeNull();
+    expect(serializeSnapshotId('3', '?q=zh4')).toBe('?q=zh4&snapshot=3');
+    expect(serializeSnapshotId(null, '?q=zh4&snapshot=3')).toBe('?q=zh4');
+  });
+});
+
+describe('statsFromSubnets', () => {
+  it('matches getNetworkStats and getGlobalStats', () => {
+    const { networkStats, globalStats } = statsFromSubnets(
+      [subnet('a', 10, 3, 0), subnet('b', 0, 13, 0), subnet('unassigned', 5, 5, 2)],
+      42n,
+    );
+    expect(networkStats).toEqual({
+      totalSubnets: 2n,
+      totalNodes: 26n,
+      gen1Nodes: 10n,
+      gen2Nodes: 16n,
+      unknownNodes: 0n,
+      lastUpdated: 42n,
+    });
+    expect(globalStats).toEqual({ totalNodes: 38n, gen1Nodes: 15n, gen2Nodes: 21n, unknownNodes: 2n });
+  });
+
+  it('counts API boundary nodes that are subnet members once, like getGlobalStats', () => {
+    const member = { nodeId: 'n1', generation: 'Gen2' };
+    const boundary = {
+      ...subnet('api_boundary', 0, 0, 2),
+      nodes: [{ nodeId: 'n1', generation: 'Unknown' }, { nodeId: 'n2', generation: 'Unknown' }],
+    };
+    const { globalStats } = statsFromSubnets([{ ...subnet('a', 0, 1, 0), nodes: [member] }, boundary], 42n);
+    expect(globalStats).toEqual({ totalNodes: 2n, gen1Nodes: 0n, gen2Nodes: 1n, unknownNodes: 1n });
+  });
+});
+
+describe('trendData', () => {
+  it('orders snapshots by time and computes the Gen2 share', () => {
+    const data = trendData([summary(1, 20, 10, 30, 0, 4), summary(0, 1, 30, 10, 0, 2)]);
+    expect(data.map(point => point.id)).toEqual(['0', '1']);
+    expect(data[1]).toMatchObject({ total: 40, gen1: 10, gen2: 30, unknown: 0, unassigned: 4, subnets: 2, gen2Share: 75 });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SUBNET_COLUMNS,
+  subnetRows,
+  nodeRows,
+  sortRows,
+  paginate,
+  visibleRange,
+  loadColumns,
+  saveColumns,
+} from '../tables';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+const node = (nodeId, nodeProviderId, dcId) => ({
+  nodeId,
+  nodeProviderId,
+  nodeOperatorId: `op-${nodeProviderId}`,
+  dcId,
+  generation: 'Gen1',
+  status: 'active',
+});
+
+describe('subnetRows', () => {
+  it('derives shares, replica version and distinct counts', () => {
+    const [row] = subnetRows([{
+      subnetId: 'tdb26-jop6k',
+      subnetType: 'system',
+      nodeCount: 4n,
+      gen1Count: 1n,
+      gen2Count: 3n,
+      unknownCount: 0n,
+      config: { replicaVersionId: 'abc123' },
+      nodes: [node('a', 'np-1', 'zh4'), node('b', 'np-1', 'ge1'), node('c', 'np-2', 'zh4'), node('d', '', 'zh4')],
+    }]);
+
+    expect(row).toMatchObject({
+      nodeCount: 4,
+      gen1Share: 25,
+      replicaVersion: 'abc123',
+      providerCount: 2,
+      operatorCount: 3,
+      dcCount: 2,
+    });
+  });
+});
+
+describe('nodeRows', () => {
+  it('flattens node locations', () => {
+    const [row] = nodeRows([{ subnetId: 'unassigned', node: node('a', 'np-1', 'zh4') }]);
+    expect(row).toMatchObject({ nodeId: 'a', subnetId: 'unassigned', role: '', nodeProviderId: 'np-1', dcId: 'zh4' });
+  });
+
+  it('shows the API boundary role', () => {
+    const [row] = nodeRows([{ subnetId: 'subnet-a', node: node('a', 'np-1', 'zh4'), apiBoundary: true }]);
+    expect(row).toMatchObject({ subnetId: 'subnet-a', role: 'API boundary' });
+  });
+});
+
+describe('sortRows', () => {
+  const rows = [
+    { id: 'a', nodes: 13, version: 'v10' },
+    { id: 'b', nodes: 40, version: '' },
+    { id: 'c', nodes: 13, version: 'v9' },
+  ];
+
+  it('sorts numbers and keeps the order of equal rows', () => {
+    expect(sortRows(rows, 'nodes', 'desc').map(row => row.id)).toEqual(['b', 'a', 'c']);
+    expect(sortRows(rows, 'nodes', 'asc').map(row => row.id)).toEqual(['a', 'c', 'b']);
+  });
+
+  it('sorts text naturally with empty values last in both directions', () => {
+    expect(sortRows(rows, 'version', 'asc').map(row => row.id)).toEqual(['c', 'a', 'b']);
+    expect(sortRows(rows, 'version', 'desc').map(row => row.id)).toEqual(['a', 'c', 'b']);
+  });
+});
+
+describe('paginate', () => {
+  const rows = Array.from({ length: 120 }, (_, i) => i);
+
+  it('returns one page and clamps the page number', () => {
+    expect(paginate(rows, 1, 50)).toMatchObject({ page: 1, pageCount: 3 });
+    expect(paginate(rows, 2, 50).rows).toHaveLength(20);
+    expect(paginate(rows, 9, 50).page).toBe(2);
+    expect(paginate([], 0, 50)).toEqual({ rows: [], page: 0, pageCount: 1 });
+  });
+
+  it('shows every row for a page size of 0', () => {
+    expect(paginate(rows, 3, 0)).toEqual({ rows, page: 0, pageCount: 1 });
+  });
+});
+
+describe('visibleRange', () => {
+  it('covers the viewport plus the overscan', () => {
+    expect(visibleRange(0, 360, 10000, 36, 5)).toEqual({ start: 0, end: 15 });
+    expect(visibleRange(3600, 360, 10000, 36, 5)).toEqual({ start: 95, end: 115 });
+    expect(visibleRange(359640, 360, 10000, 36, 5)).toEqual({ start: 9985, end: 10000 });
+  });
+});
+
+describe('column selection', () => {
+  it('defaults, then round-trips through storage ignoring unknown columns', () => {
+    const storage = memoryStorage();
+    const defaults = loadColumns('subnets', SUBNET_COLUMNS, storage);
+    expect(defaults).toContain('nodeCount');
+    expect(defaults).not.toContain('unknownCount');
+
+    saveColumns('subnets', ['subnetId', 'removed', 'dcCount'], storage);
+    expect(loadColumns('subnets', SUBNET_COLUMNS, storage)).toEqual(['subnetId', 'dcCount']);
+
+    storage.setItem('tableColumns.subnets', '{broken');
+    expect(loadColumns('subnets', SUBNET_COLUMNS, storage)).toEqual(defaults);
+  });
+});
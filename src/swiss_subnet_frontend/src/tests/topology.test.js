@@ -0,0 +1,172 @@
+import { describe, expect, it } from 'vitest';
+import { parseTopology, parseTopologyText } from '../topology';
+
+const OPERATOR = 'z6cfb-dbya3-nh4pm-nyteq-76n7d-xzi27-tf3cg-t7sz7-244qt-6rnjy-3ae';
+const PROVIDER = 'g2ax6-jrkmb-3zuh3-jibtb-q5xoq-njrgo-5utbc-j2o7g-zfq2w-yyhky-dqe';
+
+function topologyNode(overrides = {}) {
+  return {
+    node_operator_id: OPERATOR,
+    node_provider_id: PROVIDER,
+    dc_id: 'hk1',
+    node_reward_type: 'Type3dot1',
+    ...overrides,
+  };
+}
+
+describe('parseTopology', () => {
+  it('converts topology.json subnets, unassigned and API boundary nodes, listing subnet members in both', () => {
+    const { nodes, report } = parseTopology({
+      subnets: {
+        'subnet-a': { nodes: { 'aaaaa-aa': topologyNode() } },
+      },
+      unassigned_nodes: { 'bbbbb-bb': topologyNode({ node_reward_type: 'Type1dot1' }) },
+      api_boundary_nodes: ['aaaaa-aa', 'ccccc-cc'],
+    });
+
+    expect(report.format).toBe('topology');
+    expect(report.isValid).toBe(true);
+    expect(nodes.map(n => [n.node_id, n.subnet_id, n.status])).toEqual([
+      ['aaaaa-aa', 'subnet-a', 'active'],
+      ['bbbbb-bb', 'unassigned', 'unassigned'],
+      ['aaaaa-aa', 'api_boundary', 'api_boundary'],
+      ['ccccc-cc', 'api_boundary', 'api_boundary'],
+    ]);
+    expect(nodes[2].dc_id).toBe('');
+    expect(report.counts).toMatchObject({ subnets: 1, assigned: 1, unassigned: 1, apiBoundary: 2 });
+    expect(report.warnings).toEqual([]);
+  });
+
+  it('keeps the metadata of unassigned nodes that serve as API boundary nodes', () => {
+    const { nodes, report } = parseTopology({
+      subnets: {
+        'subnet-a': { nodes: { 'aaaaa-aa': topologyNode() } },
+      },
+      unassigned_nodes: {
+        'bbbbb-bb': topologyNode({ node_reward_type: 'Type1dot1' }),
+        'ddddd-dd': topologyNode({ dc_id: 'zh4' }),
+      },
+      api_boundary_nodes: ['ddddd-dd', 'ccccc-cc', 'ddddd-dd'],
+    });
+
+    expect(nodes.map(n => [n.node_id, n.subnet_id, n.status, n.dc_id])).toEqual([
+      ['aaaaa-aa', 'subnet-a', 'active', 'hk1'],
+      ['bbbbb-bb', 'unassigned', 'unassigned', 'hk1'],
+      ['ddddd-dd', 'api_boundary', 'api_boundary', 'zh4'],
+      ['ccccc-cc', 'api_boundary', 'api_boundary', ''],
+    ]);
+    expect(nodes[2].node_provider_id).toBe(PROVIDER);
+    expect(report.counts).toMatchObject({ assigned: 1, unassigned: 1, apiBoundary: 2 });
+  });
+
+  it('extracts the subnet configuration', () => {
+    const { subnetConfigs } = parseTopology({
+      subnets: {
+        'subnet-a': {
+          subnet_type: 'verified_application',
+          replica_version_id: 'abc123',
+          features: { sev_enabled: true, http_requests: true, canister_sandboxing: false },
+          max_number_of_canisters: 120000,
+          dkg_interval_length: 499,
+          unit_delay_millis: 1000,
+          chain_key_config: {
+            key_configs: [
+              { key_id: { Ecdsa: { curve: 'secp256k1', name: 'key_1' } } },
+              { key_id: { Schnorr: { algorithm: 'ed25519', name: 'key_1' } } },
+            ],
+          },
+          nodes: { 'aaaaa-aa': topologyNode() },
+        },
+        'subnet-b': { chain_key_config: null, nodes: { 'bbbbb-bb': topologyNode() } },
+      },
+    });
+
+    expect(subnetConfigs).toEqual([
+      {
+        subnetId: 'subnet-a',
+        subnetType: 'verified_application',
+        replicaVersionId: 'abc123',
+        features: { sevEnabled: true, httpRequests: true, canisterSandboxing: false },
+        maxNumberOfCanisters: 120000,
+        dkgIntervalLength: 499,
+        unitDelayMillis: 1000,
+        chainKeys: ['Ecdsa:secp256k1:key_1', 'Schnorr:ed25519:key_1'],
+      },
+      {
+        subnetId: 'subnet-b',
+        subnetType: '',
+        replicaVersionId: '',
+        features: { sevEnabled: false, httpRequests: false, canisterSandboxing: false },
+        maxNumberOfCanisters: 0,
+        dkgIntervalLength: 0,
+        unitDelayMillis: 0,
+        chainKeys: [],
+      },
+    ]);
+  });
+
+  it('reports duplicate node IDs and skips the second occurrence', () => {
+    const { nodes, report } = parseTopology({
+      subnets: {
+        'subnet-a': { nodes: { 'aaaaa-aa': topologyNode() } },
+        'subnet-b': { nodes: { 'aaaaa-aa': topologyNode() } },
+      },
+    });
+
+    expect(nodes).toHaveLength(1);
+    expect(report.duplicateNodeIds).toEqual(['aaaaa-aa']);
+    expect(report.errors[0]).toMatchObject({ nodeId: 'aaaaa-aa', subnetId: 'subnet-b', field: 'node_id' });
+    expect(report.isValid).toBe(false);
+    expect(report.canUpload).toBe(true);
+  });
+
+  it('warns about unknown reward types and missing operator/provider IDs', () => {
+    const { report } = parseTopology({
+      subnets: {
+        'subnet-a': {
+          nodes: {
+            'aaaaa-aa': topologyNode({ node_reward_type: 'Type4' }),
+            'bbbbb-bb': topologyNode({ node_operator_id: undefined, node_provider_id: '' }),
+          },
+        },
+      },
+    });
+
+    expect(report.unknownRewardTypes).toEqual({ Type4: 1 });
+    expect(report.warnings.map(w => [w.nodeId, w.field])).toEqual([
+      ['aaaaa-aa', 'node_reward_type'],
+      ['bbbbb-bb', 'node_operator_id'],
+      ['bbbbb-bb', 'node_provider_id'],
+    ]);
+    expect(report.isValid).toBe(true);
+  });
+
+  it('rejects flat nodes without a subnet ID', () => {
+    const { nodes, report } = parseTopology([
+      { node_id: 'aaaaa-aa', subnet_id: 'subnet-a', node_operator_id: OPERATOR, node_provider_id: PROVIDER, dc_id: 'zh1', node_hardware_generation: 'Type3' },
+      { node_id: 'bbbbb-bb' },
+    ]);
+
+    expect(report.format).toBe('flat');
+    expect(nodes).toHaveLength(1);
+    expect(report.errors.map(e => e.field)).toContain('subnet_id');
+    expect(report.counts.skipped).toBe(1);
+  });
+});
+
+describe('parseTopologyText', () => {
+  it('reports malformed JSON instead of throwing', () => {
+    const { nodes, report } = parseTopologyText('{ "subnets": ');
+
+    expect(nodes).toEqual([]);
+    expect(report.canUpload).toBe(false);
+    expect(report.fileErrors[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('refuses files without any nodes', () => {
+    const { report } = parseTopologyText('{ "subnets": {} }');
+
+    expect(report.canUpload).toBe(false);
+    expect(report.fileErrors).toEqual(['No valid nodes found']);
+  });
+});
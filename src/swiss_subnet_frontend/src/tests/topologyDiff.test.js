@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { diffTopology, groupMoves } from '../topologyDiff';
+
+function storedNode(nodeId, overrides = {}) {
+  return {
+    nodeId,
+    generation: 'Gen2',
+    rewardType: 'Type3dot1',
+    nodeOperatorId: 'operator-1',
+    nodeProviderId: 'provider-1',
+    dcId: 'zh1',
+    region: 'zh1',
+    status: 'active',
+    ...overrides,
+  };
+}
+
+function uploadNode(nodeId, subnetId, overrides = {}) {
+  return {
+    node_id: nodeId,
+    node_hardware_generation: 'Type3dot1',
+    node_operator_id: 'operator-1',
+    node_provider_id: 'provider-1',
+    dc_id: 'zh1',
+    region: 'zh1',
+    status: subnetId === 'unassigned' ? 'unassigned' : 'active',
+    subnet_id: subnetId,
+    ...overrides,
+  };
+}
+
+const current = [
+  { subnetId: 'subnet-a', nodes: [storedNode('n1'), storedNode('n2'), storedNode('n3')] },
+  { subnetId: 'unassigned', nodes: [storedNode('n4', { status: 'unassigned' })] },
+];
+
+describe('diffTopology', () => {
+  it('reports no changes for identical data', () => {
+    const diff = diffTopology(current, [
+      uploadNode('n1', 'subnet-a'),
+      uploadNode('n2', 'subnet-a'),
+      uploadNode('n3', 'subnet-a'),
+      uploadNode('n4', 'unassigned'),
+    ]);
+
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.unchanged).toBe(4);
+  });
+
+  it('detects added, removed, moved and changed nodes', () => {
+    const diff = diffTopology(current, [
+      uploadNode('n1', 'subnet-a', { node_hardware_generation: 'Type1dot1' }),
+      uploadNode('n2', 'unassigned'),
+      uploadNode('n4', 'subnet-b', { node_operator_id: 'operator-2', node_provider_id: 'provider-2' }),
+      uploadNode('n5', 'subnet-b'),
+    ]);
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.added.map(n => n.nodeId)).toEqual(['n5']);
+    expect(diff.removed.map(n => n.nodeId)).toEqual(['n3']);
+    expect(diff.moved).toEqual([
+      { nodeId: 'n2', from: 'subnet-a', to: 'unassigned' },
+      { nodeId: 'n4', from: 'unassigned', to: 'subnet-b' },
+    ]);
+    expect(diff.rewardTypeChanged).toEqual([
+      { nodeId: 'n1', subnetId: 'subnet-a', from: 'Type3dot1', to: 'Type1dot1' },
+    ]);
+    expect(diff.operatorChanged.map(c => c.nodeId)).toEqual(['n4']);
+    expect(diff.providerChanged.map(c => c.nodeId)).toEqual(['n4']);
+    expect(diff.subnetsAdded).toEqual(['subnet-b']);
+    expect(diff.subnetsRemoved).toEqual([]);
+  });
+});
+
+describe('groupMoves', () => {
+  it('groups moves by source and destination', () => {
+    const groups = groupMoves([
+      { nodeId: 'n1', from: 'a', to: 'b' },
+      { nodeId: 'n2', from: 'c', to: 'b' },
+      { nodeId: 'n3', from: 'a', to: 'b' },
+    ]);
+
+    expect(groups).toEqual([
+      { from: 'a', to: 'b', nodeIds: ['n1', 'n3'] },
+      { from: 'c', to: 'b', nodeIds: ['n2'] },
+    ]);
+  });
+});
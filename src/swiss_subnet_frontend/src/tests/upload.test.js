@@ -0,0 +1,115 @@
+import { describe, expect, it, vi } from 'vitest';
+import { CanisterError } from '../connection';
+import { splitIntoBatches, uploadInBatches, UploadError } from '../upload';
+
+function node(i) {
+  return { node_id: `node-${i}`, subnet_id: 'subnet-a' };
+}
+
+function fakeActor({ failures = {}, error = 'network down' } = {}) {
+  const staged = new Map();
+  const attempts = {};
+  return {
+    staged,
+    attempts,
+    beginUpload: vi.fn(async (total) => {
+      staged.total = Number(total);
+      return { ok: 7n };
+    }),
+    uploadBatch: vi.fn(async (_sessionId, index, nodes) => {
+      const i = Number(index);
+      attempts[i] = (attempts[i] || 0) + 1;
+      if (failures[i] && attempts[i] <= failures[i]) throw new Error(error);
+      staged.set(i, nodes);
+      return { ok: {} };
+    }),
+    getUploadStatus: vi.fn(async () => ({
+      ok: { totalBatches: BigInt(staged.total), receivedBatches: [...staged.keys()].map(BigInt) },
+    })),
+    uploadSubnetConfigs: vi.fn(async (_sessionId, configs) => ({ ok: BigInt(configs.length) })),
+    commitUpload: vi.fn(async () => ({ ok: 'committed' })),
+  };
+}
+
+const nodes = Array.from({ length: 5 }, (_, i) => node(i));
+
+describe('splitIntoBatches', () => {
+  it('splits into consecutive batches', () => {
+    expect(splitIntoBatches(nodes, 2).map(b => b.length)).toEqual([2, 2, 1]);
+  });
+});
+
+describe('uploadInBatches', () => {
+  it('stages every batch and commits once', async () => {
+    const actor = fakeActor();
+    const progress = [];
+
+    const result = await uploadInBatches(actor, nodes, { batchSize: 2, onProgress: p => progress.push(p) });
+
+    expect(result).toEqual({ sessionId: 7n, message: 'committed' });
+    expect(actor.beginUpload).toHaveBeenCalledWith(3n);
+    expect(actor.uploadBatch).toHaveBeenCalledTimes(3);
+    expect(actor.commitUpload).toHaveBeenCalledTimes(1);
+    expect(progress.at(-1)).toMatchObject({ phase: 'done', completedBatches: 3, uploadedNodes: 5 });
+  });
+
+  it('stages subnet configurations before committing', async () => {
+    const actor = fakeActor();
+    const subnetConfigs = [{ subnetId: 'subnet-a' }];
+
+    await uploadInBatches(actor, nodes, { subnetConfigs });
+
+    expect(actor.uploadSubnetConfigs).toHaveBeenCalledWith(7n, subnetConfigs);
+    expect(actor.uploadSubnetConfigs.mock.invocationCallOrder[0])
+      .toBeLessThan(actor.commitUpload.mock.invocationCallOrder[0]);
+  });
+
+  it('retries a failed batch', async () => {
+    const actor = fakeActor({ failures: { 1: 2 } });
+
+    await uploadInBatches(actor, nodes, { batchSize: 2, retryDelayMs: 0 });
+
+    expect(actor.attempts[1]).toBe(3);
+    expect(actor.commitUpload).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry a batch the canister rejected', async () => {
+    const actor = fakeActor({ failures: { 1: 1 }, error: 'Call was rejected: Reject code: 5' });
+
+    const error = await uploadInBatches(actor, nodes, { batchSize: 2, retryDelayMs: 0 }).catch(err => err);
+
+    expect(error).toBeInstanceOf(UploadError);
+    expect(actor.attempts[1]).toBe(1);
+  });
+
+  it('does not retry a batch the canister returned an error for', async () => {
+    const actor = fakeActor();
+    actor.uploadBatch.mockResolvedValueOnce({ err: 'Upload session not found or expired' });
+
+    const error = await uploadInBatches(actor, nodes, { batchSize: 2, retryDelayMs: 0 }).catch(err => err);
+
+    expect(error).toBeInstanceOf(UploadError);
+    expect(error.message).toBe('Batch 1/3 failed: Batch 1/3 rejected: Upload session not found or expired');
+    expect(error.cause).toBeInstanceOf(CanisterError);
+    expect(actor.uploadBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('resumes an interrupted session without re-sending staged batches', async () => {
+    const actor = fakeActor({ failures: { 2: 10 } });
+
+    const error = await uploadInBatches(actor, nodes, { batchSize: 2, maxRetries: 1, retryDelayMs: 0 })
+      .catch(err => err);
+
+    expect(error).toBeInstanceOf(UploadError);
+    expect(error).toMatchObject({ sessionId: 7n, batchIndex: 2 });
+    expect(actor.commitUpload).not.toHaveBeenCalled();
+
+    actor.uploadBatch.mockClear();
+    actor.attempts[2] = 100;
+    await uploadInBatches(actor, nodes, { batchSize: 2, sessionId: error.sessionId });
+
+    expect(actor.uploadBatch).toHaveBeenCalledTimes(1);
+    expect(actor.uploadBatch.mock.calls[0][1]).toBe(2n);
+    expect(actor.commitUpload).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { createDataCenterLookup } from '../geography';
+import { parseTopology } from '../topology';
+import { apiBoundaryMemberIds, apiBoundaryNodes, spareCapacity } from '../virtualSubnets';
+
+const node = (nodeId, provider, dcId, generation = 'Gen2') => ({
+  nodeId,
+  nodeProviderId: provider,
+  nodeOperatorId: provider ? `op-${provider}` : '',
+  dcId,
+  region: '',
+  rewardType: '',
+  generation,
+  hostosVersionId: '',
+});
+
+describe('spareCapacity', () => {
+  it('groups unassigned nodes by data center and generation', () => {
+    const subnets = [
+      { subnetId: 'subnet-a', nodes: [node('n1', 'p1', 'zh4')] },
+      {
+        subnetId: 'unassigned',
+        nodes: [node('n2', 'p1', 'zh4', 'Gen1'), node('n3', 'p2', 'zh4'), node('n4', 'p2', 'sg1'), node('n5', '', '', 'Unknown')],
+      },
+    ];
+    const capacity = spareCapacity(subnets, createDataCenterLookup());
+
+    expect(capacity).toMatchObject({ totalNodes: 4, providerCount: 2, generations: { Gen1: 1, Gen2: 2, Unknown: 1 } });
+    expect(capacity.dataCenters.map(group => [group.dcId, group.gen1, group.gen2, group.nodeCount])).toEqual([
+      ['zh4', 1, 1, 2],
+      ['sg1', 0, 1, 1],
+      ['', 0, 0, 1],
+    ]);
+  });
+
+  it('is empty without unassigned nodes', () => {
+    expect(spareCapacity([], createDataCenterLookup())).toMatchObject({ totalNodes: 0, dataCenters: [] });
+  });
+});
+
+describe('apiBoundaryNodes', () => {
+  it('fills in metadata from the same node elsewhere in the topology', () => {
+    const subnets = [
+      { subnetId: 'subnet-a', nodes: [node('n1', 'p1', 'zh4', 'Gen1')] },
+      { subnetId: 'api_boundary', nodes: [node('n1', '', '', 'Unknown'), node('n2', '', '', 'Unknown')] },
+    ];
+    const boundary = apiBoundaryNodes(subnets);
+
+    expect(boundary).toMatchObject({ joined: 1, subnetMembers: 1, missingMetadata: 1 });
+    expect(boundary.nodes[0].subnetId).toBe('subnet-a');
+    expect(boundary.nodes[0].node).toMatchObject({ nodeId: 'n1', nodeProviderId: 'p1', dcId: 'zh4', generation: 'Gen1' });
+    expect(boundary.nodes[1].subnetId).toBe('api_boundary');
+    expect(boundary.nodes[1].node).toMatchObject({ nodeId: 'n2', nodeProviderId: '' });
+  });
+
+  it('joins the ID-only entries the topology parser stores for subnet members', () => {
+    const { nodes } = parseTopology({
+      subnets: {
+        'subnet-a': {
+          nodes: {
+            'aaaaa-aa': {
+              node_operator_id: 'z6cfb-dbya3-nh4pm-nyteq-76n7d-xzi27-tf3cg-t7sz7-244qt-6rnjy-3ae',
+              node_provider_id: 'g2ax6-jrkmb-3zuh3-jibtb-q5xoq-njrgo-5utbc-j2o7g-zfq2w-yyhky-dqe',
+              dc_id: 'zh4',
+              node_reward_type: 'type3.1',
+            },
+          },
+        },
+      },
+      api_boundary_nodes: ['aaaaa-aa'],
+    });
+    const subnets = ['subnet-a', 'api_boundary'].map(subnetId => ({
+      subnetId,
+      nodes: nodes.filter(n => n.subnet_id === subnetId).map(n => node(n.node_id, n.node_provider_id, n.dc_id, n.dc_id ? 'Gen2' : 'Unknown')),
+    }));
+    const boundary = apiBoundaryNodes(subnets);
+
+    expect(boundary).toMatchObject({ joined: 1, subnetMembers: 1, missingMetadata: 0 });
+    expect(boundary.nodes).toEqual([{
+      subnetId: 'subnet-a',
+      node: expect.objectContaining({ nodeId: 'aaaaa-aa', dcId: 'zh4', generation: 'Gen2' }),
+      apiBoundary: true,
+    }]);
+  });
+
+  it('finds the subnet members among them', () => {
+    const subnets = [
+      { subnetId: 'subnet-a', nodes: [node('n1', 'p1', 'zh4')] },
+      { subnetId: 'api_boundary', nodes: [node('n1', '', ''), node('n2', '', '')] },
+    ];
+
+    expect([...apiBoundaryMemberIds(subnets)]).toEqual(['n1']);
+  });
+
+  it('keeps metadata the boundary node already has', () => {
+    const subnets = [
+      { subnetId: 'unassigned', nodes: [node('n1', 'p1', 'zh4')] },
+      { subnetId: 'api_boundary', nodes: [node('n1', 'p9', 'ge1')] },
+    ];
+    const [entry] = apiBoundaryNodes(subnets).nodes;
+
+    expect(entry.subnetId).toBe('api_boundary');
+    expect(entry.node).toMatchObject({ nodeProviderId: 'p9', dcId: 'ge1' });
+  });
+});
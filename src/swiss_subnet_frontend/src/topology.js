@@ -0,0 +1,403 @@
+/**
+ * Topology parsing and validation.
+ *
+ * Converts either an `ic-admin get-topology` dump (topology.json) or a flat
+ * list of nodes into the `NodeFromFile` records expected by the backend's
+ * `loadNodesFromFile`, extracts the per-subnet `SubnetConfig` records
+ * (topology.json only), and produces a structured validation report so the
+ * caller can decide whether to upload before anything reaches the canister.
+ */
+
+export const KNOWN_REWARD_TYPES = [
+    "Type0",
+    "Type1",
+    "Type1dot1",
+    "Type2",
+    "Type3",
+    "Type3dot1",
+];
+
+export const VIRTUAL_SUBNETS = ["unassigned", "api_boundary"];
+
+const PRINCIPAL_PATTERN = /^[a-z0-9]{5}(-[a-z0-9]{1,5})*$/;
+
+/**
+ * Create an empty validation report
+ */
+function createReport(format) {
+    return {
+        format,
+        fileErrors: [],
+        errors: [],
+        warnings: [],
+        unknownRewardTypes: {},
+        duplicateNodeIds: [],
+        counts: {
+            subnets: 0,
+            assigned: 0,
+            unassigned: 0,
+            apiBoundary: 0,
+            skipped: 0,
+        },
+    };
+}
+
+function addIssue(list, nodeId, subnetId, field, message) {
+    list.push({ nodeId, subnetId, field, message });
+}
+
+/**
+ * Check the fields of a single node and record errors/warnings.
+ * Returns false when the node cannot be uploaded.
+ */
+function validateNode(report, node, { requireMetadata = true } = {}) {
+    const { node_id: nodeId, subnet_id: subnetId } = node;
+    let valid = true;
+
+    if (!nodeId) {
+        addIssue(report.errors, nodeId, subnetId, "node_id", "Missing node ID");
+        valid = false;
+    } else if (!PRINCIPAL_PATTERN.test(nodeId)) {
+        addIssue(report.warnings, nodeId, subnetId, "node_id", "Node ID is not a valid principal");
+    }
+
+    if (!subnetId) {
+        addIssue(report.errors, nodeId, subnetId, "subnet_id", "Missing subnet ID");
+        valid = false;
+    }
+
+    for (const field of ["node_operator_id", "node_provider_id"]) {
+        if (!node[field]) {
+            if (!requireMetadata) continue;
+            addIssue(report.warnings, nodeId, subnetId, field, `Missing ${field}`);
+        } else if (!PRINCIPAL_PATTERN.test(node[field])) {
+            addIssue(report.warnings, nodeId, subnetId, field, `${field} is not a valid principal`);
+        }
+    }
+
+    if (!node.dc_id && requireMetadata) {
+        addIssue(report.warnings, nodeId, subnetId, "dc_id", "Missing data center ID");
+    }
+
+    const rewardType = node.node_hardware_generation;
+    if (!rewardType) {
+        if (requireMetadata) {
+            addIssue(report.warnings, nodeId, subnetId, "node_reward_type", "Missing node_reward_type");
+        }
+    } else if (!KNOWN_REWARD_TYPES.includes(rewardType)) {
+        addIssue(report.warnings, nodeId, subnetId, "node_reward_type", `Unknown node_reward_type "${rewardType}"`);
+        report.unknownRewardTypes[rewardType] = (report.unknownRewardTypes[rewardType] || 0) + 1;
+    }
+
+    return valid;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Convert a topology.json node entry to a NodeFromFile record
+ */
+function fromTopologyNode(nodeId, nodeInfo, subnetId, status) {
+    return {
+        node_id: nodeId,
+        node_hardware_generation: nodeInfo.node_reward_type || "",
+        node_operator_id: nodeInfo.node_operator_id || "",
+        node_provider_id: nodeInfo.node_provider_id || "",
+        dc_id: nodeInfo.dc_id || "",
+        region: nodeInfo.dc_id || "",
+        status,
+        subnet_id: subnetId,
+        hostos_version_id: typeof nodeInfo.hostos_version_id === "string" ? nodeInfo.hostos_version_id : "",
+    };
+}
+
+function toNat(value) {
+    return Number.isInteger(value) && value >= 0 ? value : 0;
+}
+
+/**
+ * Key IDs of a chain_key_config, e.g. `Ecdsa:secp256k1:key_1`
+ */
+function chainKeyIds(chainKeyConfig) {
+    if (!isPlainObject(chainKeyConfig) || !Array.isArray(chainKeyConfig.key_configs)) return [];
+    return chainKeyConfig.key_configs
+        .filter(keyConfig => isPlainObject(keyConfig?.key_id))
+        .map(({ key_id: keyId }) => {
+            const [scheme, params] = Object.entries(keyId)[0] || [];
+            if (!scheme) return null;
+            const { curve, algorithm, name } = isPlainObject(params) ? params : {};
+            return [scheme, curve || algorithm, name].filter(Boolean).join(":");
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Convert the settings of a topology.json subnet to a SubnetConfig record
+ */
+function fromTopologySubnet(subnetId, subnetData) {
+    const features = isPlainObject(subnetData.features) ? subnetData.features : {};
+    return {
+        subnetId,
+        subnetType: typeof subnetData.subnet_type === "string" ? subnetData.subnet_type : "",
+        replicaVersionId: typeof subnetData.replica_version_id === "string" ? subnetData.replica_version_id : "",
+        features: {
+            sevEnabled: features.sev_enabled === true,
+            httpRequests: features.http_requests === true,
+            canisterSandboxing: features.canister_sandboxing === true,
+        },
+        maxNumberOfCanisters: toNat(subnetData.max_number_of_canisters),
+        dkgIntervalLength: toNat(subnetData.dkg_interval_length),
+        unitDelayMillis: toNat(subnetData.unit_delay_millis),
+        chainKeys: chainKeyIds(subnetData.chain_key_config),
+    };
+}
+
+/**
+ * Add a node to the result, rejecting duplicates and invalid entries
+ */
+function acceptNode(report, nodes, seen, node, options) {
+    if (node.node_id && seen.has(node.node_id)) {
+        const firstSubnet = seen.get(node.node_id);
+        addIssue(
+            report.errors,
+            node.node_id,
+            node.subnet_id,
+            "node_id",
+            `Duplicate node ID (already listed under ${firstSubnet})`
+        );
+        if (!report.duplicateNodeIds.includes(node.node_id)) {
+            report.duplicateNodeIds.push(node.node_id);
+        }
+        report.counts.skipped += 1;
+        return false;
+    }
+
+    if (!validateNode(report, node, options)) {
+        report.counts.skipped += 1;
+        return false;
+    }
+
+    seen.set(node.node_id, node.subnet_id);
+    nodes.push(node);
+    return true;
+}
+
+function parseTopologyFormat(data) {
+    const report = createReport("topology");
+    const nodes = [];
+    const subnetConfigs = [];
+    const seen = new Map();
+
+    // 1. Nodes assigned to subnets
+    for (const [subnetId, subnetData] of Object.entries(data.subnets)) {
+        if (!isPlainObject(subnetData) || !isPlainObject(subnetData.nodes)) {
+            addIssue(report.errors, null, subnetId, "nodes", "Subnet has no nodes object");
+            continue;
+        }
+        report.counts.subnets += 1;
+        subnetConfigs.push(fromTopologySubnet(subnetId, subnetData));
+
+        for (const [nodeId, nodeInfo] of Object.entries(subnetData.nodes)) {
+            if (!isPlainObject(nodeInfo)) {
+                addIssue(report.errors, nodeId, subnetId, "node", "Node entry is not an object");
+                report.counts.skipped += 1;
+                continue;
+            }
+            if (acceptNode(report, nodes, seen, fromTopologyNode(nodeId, nodeInfo, subnetId, "active"))) {
+                report.counts.assigned += 1;
+            }
+        }
+    }
+
+    // 2. Unassigned nodes
+    if (data.unassigned_nodes !== undefined) {
+        if (!isPlainObject(data.unassigned_nodes)) {
+            report.fileErrors.push("unassigned_nodes must be an object keyed by node ID");
+        } else {
+            for (const [nodeId, nodeInfo] of Object.entries(data.unassigned_nodes)) {
+                if (!isPlainObject(nodeInfo)) {
+                    addIssue(report.errors, nodeId, "unassigned", "node", "Node entry is not an object");
+                    report.counts.skipped += 1;
+                    continue;
+                }
+                if (acceptNode(report, nodes, seen, fromTopologyNode(nodeId, nodeInfo, "unassigned", "unassigned"))) {
+                    report.counts.unassigned += 1;
+                }
+            }
+        }
+    }
+
+    // 3. API boundary nodes. Unassigned nodes serving as API boundary nodes
+    // move over with their metadata. Nodes of a subnet stay there and are also
+    // listed here by ID, like the rest; apiBoundaryNodes() in virtualSubnets.js
+    // joins in their metadata.
+    if (data.api_boundary_nodes !== undefined) {
+        if (!Array.isArray(data.api_boundary_nodes)) {
+            report.fileErrors.push("api_boundary_nodes must be an array of node IDs");
+        } else {
+            const listed = new Set();
+            for (const nodeId of data.api_boundary_nodes) {
+                if (listed.has(nodeId)) continue;
+                listed.add(nodeId);
+                if (seen.get(nodeId) === "unassigned") {
+                    const node = nodes.find(n => n.node_id === nodeId);
+                    node.subnet_id = "api_boundary";
+                    node.status = "api_boundary";
+                    seen.set(nodeId, "api_boundary");
+                    report.counts.unassigned -= 1;
+                    report.counts.apiBoundary += 1;
+                    continue;
+                }
+                const node = {
+                    node_id: typeof nodeId === "string" ? nodeId : "",
+                    node_hardware_generation: "",
+                    node_operator_id: "",
+                    node_provider_id: "",
+                    dc_id: "",
+                    region: "",
+                    status: "api_boundary",
+                    subnet_id: "api_boundary",
+                    hostos_version_id: "",
+                };
+                if (seen.has(nodeId)) {
+                    // Already validated as a member of its subnet
+                    nodes.push(node);
+                    report.counts.apiBoundary += 1;
+                } else if (acceptNode(report, nodes, seen, node, { requireMetadata: false })) {
+                    report.counts.apiBoundary += 1;
+                }
+            }
+        }
+    }
+
+    return { nodes, subnetConfigs, report };
+}
+
+function parseFlatFormat(data) {
+    const report = createReport("flat");
+    const nodes = [];
+    const seen = new Map();
+    const entries = Array.isArray(data) ? data : data.nodes;
+
+    if (!Array.isArray(entries)) {
+        report.fileErrors.push(
+            'Unrecognized format: expected a topology.json object with "subnets", or an array of nodes'
+        );
+        return { nodes, subnetConfigs: [], report };
+    }
+
+    const subnetIds = new Set();
+
+    entries.forEach((entry, index) => {
+        if (!isPlainObject(entry)) {
+            addIssue(report.errors, null, null, "node", `Entry #${index} is not an object`);
+            report.counts.skipped += 1;
+            return;
+        }
+
+        const node = {
+            node_id: entry.node_id || "",
+            node_hardware_generation: entry.node_hardware_generation || "",
+            node_operator_id: entry.node_operator_id || "",
+            node_provider_id: entry.node_provider_id || "",
+            dc_id: entry.dc_id || "",
+            region: entry.region || "",
+            status: entry.status || "",
+            subnet_id: entry.subnet_id || "",
+            hostos_version_id: entry.hostos_version_id || "",
+        };
+
+        if (!acceptNode(report, nodes, seen, node)) return;
+
+        if (node.subnet_id === "unassigned") {
+            report.counts.unassigned += 1;
+        } else if (node.subnet_id === "api_boundary") {
+            report.counts.apiBoundary += 1;
+        } else {
+            report.counts.assigned += 1;
+            subnetIds.add(node.subnet_id);
+        }
+    });
+
+    report.counts.subnets = subnetIds.size;
+    return { nodes, subnetConfigs: [], report };
+}
+
+/**
+ * Parse already-decoded topology data.
+ *
+ * @param {object|Array} data - topology.json object or flat node list
+ * @returns {{ nodes: Array, subnetConfigs: Array, report: object }}
+ */
+export function parseTopology(data) {
+    let result;
+
+    if (isPlainObject(data) && data.subnets !== undefined) {
+        if (!isPlainObject(data.subnets)) {
+            const report = createReport("topology");
+            report.fileErrors.push("subnets must be an object keyed by subnet ID");
+            result = { nodes: [], subnetConfigs: [], report };
+        } else {
+            result = parseTopologyFormat(data);
+        }
+    } else if (Array.isArray(data) || isPlainObject(data)) {
+        result = parseFlatFormat(data);
+    } else {
+        const report = createReport("unknown");
+        report.fileErrors.push("File does not contain a JSON object or array");
+        result = { nodes: [], subnetConfigs: [], report };
+    }
+
+    const { report } = result;
+    if (result.nodes.length === 0 && report.fileErrors.length === 0) {
+        report.fileErrors.push("No valid nodes found");
+    }
+    report.totalNodes = result.nodes.length;
+    report.isValid = report.fileErrors.length === 0 && report.errors.length === 0;
+    report.canUpload = report.fileErrors.length === 0 && result.nodes.length > 0;
+
+    return result;
+}
+
+/**
+ * Parse topology file contents, reporting malformed JSON instead of throwing
+ *
+ * @param {string} text - raw file contents
+ */
+export function parseTopologyText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        const report = createReport("unknown");
+        report.fileErrors.push(`Invalid JSON: ${err.message}`);
+        report.totalNodes = 0;
+        report.isValid = false;
+        report.canUpload = false;
+        return { nodes: [], subnetConfigs: [], report };
+    }
+    return parseTopology(data);
+}
+
+/**
+ * One-line summary of a validation report
+ */
+export function summarizeReport(report) {
+    if (report.fileErrors.length > 0) {
+        return `❌ ${report.fileErrors[0]}`;
+    }
+    const parts = [`${report.totalNodes} nodes ready`];
+    if (report.errors.length > 0) parts.push(`${report.errors.length} errors (skipped)`);
+    if (report.warnings.length > 0) parts.push(`${report.warnings.length} warnings`);
+    return parts.join(", ");
+}
+
+export default {
+    KNOWN_REWARD_TYPES,
+    VIRTUAL_SUBNETS,
+    parseTopology,
+    parseTopologyText,
+    summarizeReport,
+};
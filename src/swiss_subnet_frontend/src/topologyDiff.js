@@ -0,0 +1,138 @@
+/**
+ * Diff between the topology stored in the canister and a parsed upload.
+ *
+ * The current side is the `SubnetInfo[]` returned by `getSubnets()`, the next
+ * side the `NodeFromFile[]` produced by the topology parser.
+ */
+
+/**
+ * Flatten canister subnets into a map of nodeId -> comparable node record.
+ * Subnet members that are also API boundary nodes are compared by their
+ * subnet entry, not the ID-only one under `api_boundary`.
+ */
+function indexCurrent(subnets) {
+    const index = new Map();
+    for (const subnet of subnets) {
+        for (const node of subnet.nodes) {
+            if (subnet.subnetId === "api_boundary" && index.has(node.nodeId)) continue;
+            index.set(node.nodeId, {
+                nodeId: node.nodeId,
+                subnetId: subnet.subnetId,
+                rewardType: node.rewardType || "",
+                operatorId: node.nodeOperatorId,
+                providerId: node.nodeProviderId,
+                dcId: node.dcId,
+            });
+        }
+    }
+    return index;
+}
+
+/**
+ * Index parsed upload nodes the same way as indexCurrent
+ */
+function indexNext(nodes) {
+    const index = new Map();
+    for (const node of nodes) {
+        if (node.subnet_id === "api_boundary" && index.has(node.node_id)) continue;
+        index.set(node.node_id, {
+            nodeId: node.node_id,
+            subnetId: node.subnet_id,
+            rewardType: node.node_hardware_generation,
+            operatorId: node.node_operator_id,
+            providerId: node.node_provider_id,
+            dcId: node.dc_id,
+        });
+    }
+    return index;
+}
+
+const CHANGE_FIELDS = [
+    ["rewardType", "rewardTypeChanged"],
+    ["operatorId", "operatorChanged"],
+    ["providerId", "providerChanged"],
+    ["dcId", "dcChanged"],
+];
+
+/**
+ * Compare the canister's subnets with the nodes about to be uploaded
+ *
+ * @param {Array} currentSubnets - SubnetInfo records from getSubnets()
+ * @param {Array} nextNodes - NodeFromFile records from parseTopology()
+ */
+export function diffTopology(currentSubnets, nextNodes) {
+    const current = indexCurrent(currentSubnets);
+    const next = indexNext(nextNodes);
+
+    const diff = {
+        added: [],
+        removed: [],
+        moved: [],
+        rewardTypeChanged: [],
+        operatorChanged: [],
+        providerChanged: [],
+        dcChanged: [],
+        subnetsAdded: [],
+        subnetsRemoved: [],
+        unchanged: 0,
+        currentNodeCount: current.size,
+        nextNodeCount: next.size,
+    };
+
+    for (const [nodeId, node] of next) {
+        const before = current.get(nodeId);
+        if (!before) {
+            diff.added.push(node);
+            continue;
+        }
+
+        let changed = false;
+
+        if (before.subnetId !== node.subnetId) {
+            diff.moved.push({ nodeId, from: before.subnetId, to: node.subnetId });
+            changed = true;
+        }
+
+        for (const [field, list] of CHANGE_FIELDS) {
+            if (before[field] !== node[field]) {
+                diff[list].push({ nodeId, subnetId: node.subnetId, from: before[field], to: node[field] });
+                changed = true;
+            }
+        }
+
+        if (!changed) diff.unchanged += 1;
+    }
+
+    for (const [nodeId, node] of current) {
+        if (!next.has(nodeId)) diff.removed.push(node);
+    }
+
+    const currentSubnetIds = new Set(currentSubnets.map(s => s.subnetId));
+    const nextSubnetIds = new Set(nextNodes.map(n => n.subnet_id));
+    diff.subnetsAdded = [...nextSubnetIds].filter(id => !currentSubnetIds.has(id));
+    diff.subnetsRemoved = [...currentSubnetIds].filter(id => !nextSubnetIds.has(id));
+
+    diff.hasChanges = diff.unchanged !== next.size || current.size !== next.size;
+
+    return diff;
+}
+
+/**
+ * Group moved nodes by their source -> destination subnet pair
+ */
+export function groupMoves(moved) {
+    const groups = new Map();
+    for (const move of moved) {
+        const key = `${move.from} → ${move.to}`;
+        if (!groups.has(key)) {
+            groups.set(key, { from: move.from, to: move.to, nodeIds: [] });
+        }
+        groups.get(key).nodeIds.push(move.nodeId);
+    }
+    return [...groups.values()].sort((a, b) => b.nodeIds.length - a.nodeIds.length);
+}
+
+export default {
+    diffTopology,
+    groupMoves,
+};
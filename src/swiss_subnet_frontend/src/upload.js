@@ -0,0 +1,173 @@
+/**
+ * Batched, resumable topology upload.
+ *
+ * Nodes are staged in the backend through an upload session
+ * (`beginUpload` / `uploadBatch` / `commitUpload`) and only replace the live
+ * data when the whole session is committed, so a failed upload never leaves
+ * a half-loaded topology behind. Failed calls are retried like queries
+ * (see withRetries in connection.js).
+ */
+
+// With extension: the command-line client loads this module in Node
+import { CanisterError, withRetries } from "./connection.js";
+
+// Keeps each uploadBatch call well below the 2 MiB ingress message limit
+export const DEFAULT_BATCH_SIZE = 250;
+export const DEFAULT_RETRY_DELAY_MS = 1000;
+
+/**
+ * Error raised when a batch still fails after all retries. Carries the
+ * session ID so the upload can be resumed.
+ */
+export class UploadError extends Error {
+    constructor(message, { sessionId, batchIndex, cause } = {}) {
+        super(message);
+        this.name = "UploadError";
+        this.sessionId = sessionId;
+        this.batchIndex = batchIndex;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Split nodes into consecutive batches of at most `batchSize` nodes
+ */
+export function splitIntoBatches(nodes, batchSize = DEFAULT_BATCH_SIZE) {
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+        throw new Error("batchSize must be a positive integer");
+    }
+    const batches = [];
+    for (let i = 0; i < nodes.length; i += batchSize) {
+        batches.push(nodes.slice(i, i + batchSize));
+    }
+    return batches;
+}
+
+function unwrap(result, context) {
+    if (result && "err" in result) {
+        throw new CanisterError(`${context}: ${result.err}`);
+    }
+    return result.ok;
+}
+
+/**
+ * Upload nodes in batches through a staging session and commit them.
+ *
+ * Pass `sessionId` from a previous UploadError to resume: batches already
+ * received by the canister are skipped. The nodes and batch size must be the
+ * same as in the interrupted upload.
+ *
+ * @param {object} actor - backend actor
+ * @param {Array} nodes - NodeFromFile records
+ * @param {object} [options]
+ * @param {number} [options.batchSize]
+ * @param {number} [options.maxRetries] - retries per batch, by default
+ *   those of queries
+ * @param {number} [options.retryDelayMs] - delay before the first retry
+ * @param {number|bigint} [options.sessionId] - session to resume
+ * @param {Array} [options.subnetConfigs] - SubnetConfig records, stored with the nodes
+ * @param {function} [options.onProgress] - called with a progress object
+ * @returns {Promise<{ sessionId: bigint, message: string }>}
+ */
+export async function uploadInBatches(actor, nodes, options = {}) {
+    const {
+        batchSize = DEFAULT_BATCH_SIZE,
+        maxRetries,
+        retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+        subnetConfigs = [],
+        onProgress,
+    } = options;
+
+    const batches = splitIntoBatches(nodes, batchSize);
+    if (batches.length === 0) {
+        throw new UploadError("Nothing to upload");
+    }
+
+    let sessionId;
+    let received = new Set();
+
+    if (options.sessionId !== undefined && options.sessionId !== null) {
+        sessionId = BigInt(options.sessionId);
+        const status = unwrap(await actor.getUploadStatus(sessionId), "Cannot resume upload");
+        if (Number(status.totalBatches) !== batches.length) {
+            throw new UploadError(
+                `Cannot resume upload: session expects ${status.totalBatches} batches, got ${batches.length}`,
+                { sessionId }
+            );
+        }
+        received = new Set(status.receivedBatches.map(Number));
+    } else {
+        sessionId = unwrap(await actor.beginUpload(BigInt(batches.length)), "Cannot start upload");
+    }
+
+    const report = (phase, extra = {}) => onProgress?.({
+        phase,
+        sessionId,
+        completedBatches: received.size,
+        totalBatches: batches.length,
+        uploadedNodes: batches.reduce((sum, batch, i) => sum + (received.has(i) ? batch.length : 0), 0),
+        totalNodes: nodes.length,
+        ...extra,
+    });
+
+    report("uploading");
+
+    for (let index = 0; index < batches.length; index++) {
+        if (received.has(index)) continue;
+
+        try {
+            await withRetries(
+                async () => unwrap(
+                    await actor.uploadBatch(sessionId, BigInt(index), batches[index]),
+                    `Batch ${index + 1}/${batches.length} rejected`
+                ),
+                {
+                    maxRetries,
+                    retryDelayMs,
+                    onRetry: (attempt, err) => report("retrying", { batchIndex: index, attempt, error: err.message }),
+                }
+            );
+        } catch (err) {
+            throw new UploadError(
+                `Batch ${index + 1}/${batches.length} failed: ${err.message}`,
+                { sessionId, batchIndex: index, cause: err }
+            );
+        }
+
+        received.add(index);
+        report("uploading", { batchIndex: index });
+    }
+
+    if (subnetConfigs.length > 0) {
+        try {
+            await withRetries(
+                async () => unwrap(
+                    await actor.uploadSubnetConfigs(sessionId, subnetConfigs),
+                    "Subnet configurations rejected"
+                ),
+                { maxRetries, retryDelayMs }
+            );
+        } catch (err) {
+            throw new UploadError(err.message, { sessionId, cause: err });
+        }
+    }
+
+    report("committing");
+
+    let message;
+    try {
+        message = unwrap(await actor.commitUpload(sessionId), "Commit failed");
+    } catch (err) {
+        throw new UploadError(err.message, { sessionId, cause: err });
+    }
+
+    report("done");
+    return { sessionId, message };
+}
+
+export default {
+    DEFAULT_BATCH_SIZE,
+    UploadError,
+    splitIntoBatches,
+    uploadInBatches,
+};
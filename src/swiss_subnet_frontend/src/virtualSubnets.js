@@ -0,0 +1,108 @@
+/**
+ * The `unassigned` and `api_boundary` pseudo-subnets.
+ *
+ * Unassigned nodes are the network's spare capacity. API boundary nodes are
+ * only listed by ID in topology.json and stored without metadata, next to
+ * the node's entry in its subnet if it is a member of one; whatever the
+ * loaded data knows about the same node ID is joined in for display.
+ */
+
+import { groupByDataCenter } from "./geography";
+import { VIRTUAL_SUBNETS } from "./topology";
+
+const METADATA_FIELDS = ["nodeProviderId", "nodeOperatorId", "dcId", "region", "rewardType", "generation", "hostosVersionId"];
+
+function subnetNodes(subnets, subnetId) {
+    return subnets.find(subnet => subnet.subnetId === subnetId)?.nodes || [];
+}
+
+/**
+ * IDs of the API boundary nodes that are members of a subnet. Such a node is
+ * stored in its subnet and again, by ID only, under `api_boundary`; lists of
+ * nodes show the subnet entry and leave the other one out.
+ */
+export function apiBoundaryMemberIds(subnets) {
+    const boundaryIds = new Set(subnetNodes(subnets, "api_boundary").map(node => node.nodeId));
+    const members = new Set();
+    for (const subnet of subnets) {
+        if (subnet.subnetId === "api_boundary") continue;
+        for (const node of subnet.nodes) {
+            if (boundaryIds.has(node.nodeId)) members.add(node.nodeId);
+        }
+    }
+    return members;
+}
+
+/**
+ * Unassigned nodes grouped by data center, with their generation mix
+ *
+ * @param {Array} subnets - SubnetInfo records including the unassigned list
+ * @param {function} lookup - from createDataCenterLookup
+ * @returns {{ totalNodes, generations: { Gen1, Gen2, Unknown }, providerCount,
+ *   dataCenters: Array }} with dataCenters as returned by groupByDataCenter
+ */
+export function spareCapacity(subnets, lookup) {
+    const nodes = subnetNodes(subnets, "unassigned");
+    const generations = { Gen1: 0, Gen2: 0, Unknown: 0 };
+    for (const node of nodes) {
+        generations[node.generation in generations ? node.generation : "Unknown"] += 1;
+    }
+
+    return {
+        totalNodes: nodes.length,
+        generations,
+        providerCount: new Set(nodes.map(node => node.nodeProviderId).filter(Boolean)).size,
+        dataCenters: groupByDataCenter(nodes, lookup),
+    };
+}
+
+/**
+ * API boundary nodes with empty fields filled in from the same node ID in
+ * another subnet
+ *
+ * @returns {{ nodes: Array<{ node, subnetId, apiBoundary }>, joined: number,
+ *   subnetMembers: number, missingMetadata: number }} where `subnetId` is the
+ *   subnet the node is a member of, or `api_boundary` if none, `joined`
+ *   counts nodes that got metadata from elsewhere, `subnetMembers` those that
+ *   belong to a subnet and `missingMetadata` those still without a provider
+ *   or data center
+ */
+export function apiBoundaryNodes(subnets) {
+    const known = new Map();
+    for (const subnet of subnets) {
+        if (subnet.subnetId === "api_boundary") continue;
+        for (const node of subnet.nodes) known.set(node.nodeId, { node, subnetId: subnet.subnetId });
+    }
+
+    let joined = 0;
+    const nodes = subnetNodes(subnets, "api_boundary").map(node => {
+        const other = known.get(node.nodeId);
+        if (!other) return { node, subnetId: "api_boundary", apiBoundary: true };
+
+        const filled = { ...node };
+        for (const field of METADATA_FIELDS) {
+            if (!filled[field] || (field === "generation" && filled[field] === "Unknown")) {
+                filled[field] = other.node[field];
+            }
+        }
+        joined += 1;
+        return {
+            node: filled,
+            subnetId: VIRTUAL_SUBNETS.includes(other.subnetId) ? "api_boundary" : other.subnetId,
+            apiBoundary: true,
+        };
+    });
+
+    return {
+        nodes,
+        joined,
+        subnetMembers: nodes.filter(entry => entry.subnetId !== "api_boundary").length,
+        missingMetadata: nodes.filter(({ node }) => !node.nodeProviderId || !node.dcId).length,
+    };
+}
+
+export default {
+    apiBoundaryMemberIds,
+    spareCapacity,
+    apiBoundaryNodes,
+};
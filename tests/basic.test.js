@@ -1,4 +1,6 @@
 import { PocketIc } from '@hadronous/pic';
+import { AnonymousIdentity } from '@dfinity/agent';
+import { Ed25519KeyIdentity } from '@dfinity/identity';
 import { readFileSync, existsSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -9,6 +11,8 @@ const __dirname = dirname(__filename);
 describe('Subnet Dashboard Backend', () => {
     let pic;
     let actor;
+    // Controller of the test canister, and therefore an admin
+    const admin = Ed25519KeyIdentity.generate();
 
     beforeAll(async () => {
         const serverUrl = process.env.POCKET_IC_SERVER_URL;
@@ -45,9 +49,11 @@ describe('Subnet Dashboard Backend', () => {
         const fixture = await pic.setupCanister({
             wasm,
             arg: [],
+            sender: admin.getPrincipal(),
         });
         
         actor = fixture.actor;
+        actor.setIdentity(admin);
         console.log('✅ Test canister deployed');
     }, 120000);
 
@@ -120,6 +126,286 @@ describe('Subnet Dashboard Backend', () => {
         console.log('📜 Certificate:', cert && cert.length > 0 ? `Present (${cert[0].length} bytes)` : 'Empty');
     }, 30000);
 
+    test('should stage batches and only replace data on commit', async () => {
+        const node = (id, subnetId) => ({
+            node_id: id,
+            node_hardware_generation: 'Type3dot1',
+            node_operator_id: 'operator',
+            node_provider_id: 'provider',
+            dc_id: 'zh1',
+            region: 'zh1',
+            status: 'active',
+            subnet_id: subnetId,
+            hostos_version_id: '',
+        });
+
+        const begin = await actor.beginUpload(2n);
+        expect(begin).toHaveProperty('ok');
+        const sessionId = begin.ok;
+
+        await actor.uploadBatch(sessionId, 0n, [node('node-1', 'subnet-a'), node('node-2', 'subnet-a')]);
+
+        const status = await actor.getUploadStatus(sessionId);
+        expect(status.ok.receivedBatches).toEqual([0n]);
+
+        const incomplete = await actor.commitUpload(sessionId);
+        expect(incomplete).toHaveProperty('err');
+
+        await actor.uploadBatch(sessionId, 1n, [node('node-3', 'subnet-b')]);
+        const commit = await actor.commitUpload(sessionId);
+        expect(commit).toHaveProperty('ok');
+
+        const stats = await actor.getNetworkStats();
+        expect(stats.totalSubnets).toBe(2n);
+        expect(stats.totalNodes).toBe(3n);
+        expect(stats.gen2Nodes).toBe(3n);
+
+        console.log('✅ Staged upload committed:', commit.ok);
+    }, 30000);
+
+    test('should store subnet configurations with a committed upload', async () => {
+        const begin = await actor.beginUpload(1n);
+        const sessionId = begin.ok;
+
+        await actor.uploadBatch(sessionId, 0n, [{
+            node_id: 'node-1',
+            node_hardware_generation: 'Type3dot1',
+            node_operator_id: 'operator',
+            node_provider_id: 'provider',
+            dc_id: 'zh1',
+            region: 'zh1',
+            status: 'active',
+            subnet_id: 'subnet-a',
+            hostos_version_id: '',
+        }]);
+        await actor.uploadSubnetConfigs(sessionId, [{
+            subnetId: 'subnet-a',
+            subnetType: 'system',
+            replicaVersionId: 'abc123',
+            features: { sevEnabled: false, httpRequests: true, canisterSandboxing: false },
+            maxNumberOfCanisters: 0n,
+            dkgIntervalLength: 499n,
+            unitDelayMillis: 1000n,
+            chainKeys: ['Ecdsa:secp256k1:key_1'],
+        }]);
+        await actor.commitUpload(sessionId);
+
+        const configs = await actor.getSubnetConfigs();
+        expect(configs).toHaveLength(1);
+        expect(configs[0].chainKeys).toEqual(['Ecdsa:secp256k1:key_1']);
+
+        const subnet = await actor.getSubnetById('subnet-a');
+        expect(subnet.ok.subnetType).toBe('system');
+    }, 30000);
+
+    test('should reclassify stored nodes when the rules change', async () => {
+        const defaults = await actor.getClassificationRules();
+        expect(defaults).toHaveLength(2);
+
+        const begin = await actor.beginUpload(1n);
+        const sessionId = begin.ok;
+        await actor.uploadBatch(sessionId, 0n, ['Type1dot1', 'Type4', 'Type4dot1'].map((rewardType, i) => ({
+            node_id: `node-${i}`,
+            node_hardware_generation: rewardType,
+            node_operator_id: 'operator',
+            node_provider_id: 'provider',
+            dc_id: 'zh1',
+            region: 'zh1',
+            status: 'active',
+            subnet_id: 'subnet-a',
+            hostos_version_id: '',
+        })));
+        await actor.commitUpload(sessionId);
+        expect((await actor.getNetworkStats()).unknownNodes).toBe(2n);
+
+        const invalid = await actor.setClassificationRules([{ matchType: { exact: null }, pattern: '', generation: 'Gen2' }]);
+        expect(invalid).toHaveProperty('err');
+
+        const result = await actor.setClassificationRules([
+            ...defaults,
+            { matchType: { prefix: null }, pattern: 'Type4', generation: 'Gen2' },
+        ]);
+        expect(result).toEqual({ ok: 2n });
+
+        const stats = await actor.getNetworkStats();
+        expect(stats.gen1Nodes).toBe(1n);
+        expect(stats.gen2Nodes).toBe(2n);
+        expect(stats.unknownNodes).toBe(0n);
+
+        // The certified stats follow the reclassification
+        const certified = await actor.getNetworkStatsCertified();
+        expect(certified.stats.gen2Nodes).toBe(2n);
+
+        await actor.setClassificationRules(defaults);
+    }, 30000);
+
+    test('should count an API boundary node of a subnet once', async () => {
+        const begin = await actor.beginUpload(1n);
+        const entry = {
+            node_id: 'node-1',
+            node_hardware_generation: 'Type3dot1',
+            node_operator_id: 'operator',
+            node_provider_id: 'provider',
+            dc_id: 'zh1',
+            region: 'zh1',
+            status: 'active',
+            subnet_id: 'subnet-a',
+            hostos_version_id: '',
+        };
+        await actor.uploadBatch(begin.ok, 0n, [
+            entry,
+            { ...entry, node_hardware_generation: '', node_operator_id: '', node_provider_id: '', dc_id: '', region: '', status: 'api_boundary', subnet_id: 'api_boundary' },
+        ]);
+        await actor.commitUpload(begin.ok);
+
+        expect((await actor.getGlobalStats()).totalNodes).toBe(1n);
+        const boundary = (await actor.getSubnetById('api_boundary')).ok;
+        expect(boundary.nodeCount).toBe(1n);
+        expect(boundary.gen2Count).toBe(1n);
+        expect(boundary.unknownCount).toBe(0n);
+        expect((await actor.getNodeById('node-1')).ok.subnetId).toBe('subnet-a');
+    }, 30000);
+
+    test('should keep every upload as a snapshot', async () => {
+        const before = await actor.getSnapshots();
+
+        const begin = await actor.beginUpload(1n);
+        await actor.uploadBatch(begin.ok, 0n, [
+            { subnet: 'subnet-a', rewardType: 'Type3dot1' },
+            { subnet: 'unassigned', rewardType: 'Type1dot1' },
+        ].map(({ subnet, rewardType }, i) => ({
+            node_id: `node-${i}`,
+            node_hardware_generation: rewardType,
+            node_operator_id: 'operator',
+            node_provider_id: 'provider',
+            dc_id: 'zh1',
+            region: 'zh1',
+            status: subnet === 'unassigned' ? 'unassigned' : 'active',
+            subnet_id: subnet,
+            hostos_version_id: '',
+        })));
+        await actor.commitUpload(begin.ok);
+
+        const after = await actor.getSnapshots();
+        expect(after).toHaveLength(before.length + 1);
+
+        const latest = after[after.length - 1];
+        expect(latest.totalSubnets).toBe(1n);
+        expect(latest.totalNodes).toBe(2n);
+        expect(latest.unassignedNodes).toBe(1n);
+        expect(latest.hasData).toBe(true);
+
+        const snapshot = await actor.getSnapshot(latest.id);
+        expect(snapshot.ok.subnets.map(subnet => subnet.subnetId).sort()).toEqual(['subnet-a', 'unassigned']);
+
+        expect(await actor.getSnapshot(999999n)).toHaveProperty('err');
+    }, 30000);
+
+    test('should keep the data of the last 10 snapshots only', async () => {
+        for (let upload = 0; upload < 11; upload++) {
+            const begin = await actor.beginUpload(1n);
+            await actor.uploadBatch(begin.ok, 0n, [{
+                node_id: `node-${upload}`,
+                node_hardware_generation: 'Type3dot1',
+                node_operator_id: 'operator',
+                node_provider_id: 'provider',
+                dc_id: 'zh1',
+                region: 'zh1',
+                status: 'active',
+                subnet_id: 'subnet-a',
+                hostos_version_id: '',
+            }]);
+            await actor.commitUpload(begin.ok);
+        }
+
+        const snapshots = await actor.getSnapshots();
+        const withData = snapshots.filter(snapshot => snapshot.hasData);
+        expect(withData).toHaveLength(10);
+
+        const dropped = snapshots[snapshots.length - 11];
+        expect(dropped.hasData).toBe(false);
+        expect((await actor.getSnapshot(dropped.id)).err).toContain('Only the last 10 snapshots');
+    }, 120000);
+
+    test('should back up the data before clearing it and restore it', async () => {
+        const begin = await actor.beginUpload(1n);
+        await actor.uploadBatch(begin.ok, 0n, ['node-x', 'node-y'].map(id => ({
+            node_id: id,
+            node_hardware_generation: 'Type1dot1',
+            node_operator_id: 'operator',
+            node_provider_id: 'provider',
+            dc_id: 'zh1',
+            region: 'zh1',
+            status: 'active',
+            subnet_id: 'subnet-backup',
+            hostos_version_id: '',
+        })));
+        await actor.commitUpload(begin.ok);
+        const { witness: subnetsHashBefore } = await actor.getNetworkStatsCertified();
+
+        await actor.refreshData();
+        expect((await actor.getNetworkStats()).totalNodes).toBe(0n);
+
+        // Clearing empty data keeps the backup of the real data
+        await actor.refreshData();
+        const [backup] = await actor.getBackup();
+        expect(backup.reason).toEqual({ clear: null });
+        expect(backup.totalSubnets).toBe(1n);
+        expect(backup.totalNodes).toBe(2n);
+
+        const restored = await actor.restoreBackup();
+        expect(restored).toHaveProperty('ok');
+
+        const subnets = await actor.getSubnets();
+        expect(subnets.map(subnet => subnet.subnetId)).toEqual(['subnet-backup']);
+        // Recertified: the certified subnets hash is the one from before the clear
+        expect((await actor.getNetworkStatsCertified()).witness).toEqual(subnetsHashBefore);
+
+        // The cleared (empty) data is not worth a backup
+        expect(await actor.getBackup()).toEqual([]);
+        expect(await actor.restoreBackup()).toHaveProperty('err');
+    }, 30000);
+
+    test('should only let uploaders change the data', async () => {
+        const uploader = Ed25519KeyIdentity.generate();
+        expect(await actor.getMyRole()).toEqual({ admin: null });
+
+        actor.setIdentity(new AnonymousIdentity());
+        try {
+            expect(await actor.getMyRole()).toEqual({ viewer: null });
+            expect(await actor.beginUpload(1n)).toHaveProperty('err');
+            expect(await actor.loadNodesFromFile([])).toHaveProperty('err');
+            expect(await actor.setClassificationRules([])).toHaveProperty('err');
+            await expect(actor.refreshData()).rejects.toThrow();
+            expect(await actor.restoreBackup()).toHaveProperty('err');
+            expect(await actor.getRoles()).toHaveProperty('err');
+        } finally {
+            actor.setIdentity(admin);
+        }
+
+        const granted = await actor.setRole(uploader.getPrincipal(), { uploader: null });
+        expect(granted).toHaveProperty('ok');
+        expect(await actor.setRole(new AnonymousIdentity().getPrincipal(), { admin: null })).toHaveProperty('err');
+
+        actor.setIdentity(uploader);
+        try {
+            expect(await actor.getMyRole()).toEqual({ uploader: null });
+            const begin = await actor.beginUpload(1n);
+            expect(begin).toHaveProperty('ok');
+            await actor.abortUpload(begin.ok);
+            expect(await actor.setRole(uploader.getPrincipal(), { admin: null })).toHaveProperty('err');
+            await expect(actor.updateCertification()).rejects.toThrow();
+        } finally {
+            actor.setIdentity(admin);
+        }
+
+        const roles = await actor.getRoles();
+        expect(roles.ok.map(([principal]) => principal.toText())).toContain(uploader.getPrincipal().toText());
+
+        await actor.setRole(uploader.getPrincipal(), { viewer: null });
+        expect((await actor.getRoles()).ok).toHaveLength(0);
+    }, 30000);
+
     test('should get last update time', async () => {
         const lastUpdate = await actor.getLastUpdateTime();
         